@@ -1,12 +1,23 @@
-import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import { initializeApp } from 'firebase/app';
 import { 
-    getAuth, signInAnonymously, signInWithCustomToken, onAuthStateChanged 
+    getAuth, signInAnonymously, signInWithCustomToken, onIdTokenChanged, signOut,
+    createUserWithEmailAndPassword, signInWithEmailAndPassword, EmailAuthProvider, linkWithCredential,
+    RecaptchaVerifier, signInWithPhoneNumber, linkWithPhoneNumber 
 } from 'firebase/auth';
 import { 
-    getFirestore, collection, query, onSnapshot, doc, setDoc, 
-    addDoc, serverTimestamp, getDocs, where, limit 
+    getFirestore, collection, collectionGroup, query, onSnapshot, doc, setDoc, 
+    serverTimestamp, getDoc, getDocs, where, limit, runTransaction, deleteField, increment, orderBy, updateDoc, Timestamp,
+    startAt, endAt, writeBatch 
 } from 'firebase/firestore';
+import { buildIcsEvent, buildIcsCalendar } from './shared/ics.mjs';
+import {
+    QUEUE_STATUS, CHANGE_CUTOFF_HOURS, NON_BLOCKING_STATUSES, DEFAULT_AVAILABILITY,
+    pad2, timeToMinutes, minutesToTime, toDateKey, resolveAvailability, subtractInterval,
+    isBlockingAppointment, getWorkingWindows, getAvailableSlots, getAppointmentStart, isWithinChangeWindow,
+    SLOT_INTERVAL_OPTIONS, validateAvailability, findSlotConflict, claimsToAppointments, estimateQueueStarts,
+    getWalkInWait
+} from './shared/availability.mjs';
 
 // Lucide React Icons
 const HomeIcon = (props) => <svg {...props} xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="m3 9 9-7 9 7v11a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2z"/><polyline points="9 22 9 12 15 12 15 22"/></svg>;
@@ -14,6 +25,8 @@ const CalendarIcon = (props) => <svg {...props} xmlns="http://www.w3.org/2000/sv
 const UserIcon = (props) => <svg {...props} xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="M19 21v-2a4 4 0 0 0-4-4H9a4 4 0 0 0-4 4v2"/><circle cx="12" cy="7" r="4"/></svg>;
 const DollarSignIcon = (props) => <svg {...props} xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><line x1="12" x2="12" y1="2" y2="22"/><path d="M17 5H9.5a3.5 3.5 0 0 0 0 7h5a3.5 3.5 0 0 1 0 7H6"/></svg>;
 const CheckCircleIcon = (props) => <svg {...props} xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="M22 11.08V12a10 10 0 1 1-5.93-9.14"/><path d="m9 11 3 3L22 4"/></svg>;
+const BellIcon = (props) => <svg {...props} xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="M6 8a6 6 0 0 1 12 0c0 7 3 9 3 9H3s3-2 3-9"/><path d="M10.3 21a1.94 1.94 0 0 0 3.4 0"/></svg>;
+const MapPinIcon = (props) => <svg {...props} xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="M20 10c0 4.993-5.539 10.193-7.399 11.799a1 1 0 0 1-1.202 0C9.539 20.193 4 14.993 4 10a8 8 0 0 1 16 0"/><circle cx="12" cy="10" r="3"/></svg>;
 const LightbulbIcon = (props) => <svg {...props} xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><path d="M15 14c.2-1 .6-1.5 1-2 2.8-2.8 2.3-7-1-10A10 10 0 0 0 5 14c0 3.8 2.5 5.5 5 5.5s4-.5 4-2v-2z"/><line x1="9" x2="12" y1="22" y2="19"/><line x1="15" x2="18" y1="22" y2="19"/></svg>;
 
 
@@ -21,58 +34,197 @@ const LightbulbIcon = (props) => <svg {...props} xmlns="http://www.w3.org/2000/s
 const firebaseConfig = typeof __firebase_config !== 'undefined' ? JSON.parse(__firebase_config) : {};
 const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-kutkart-app';
 const initialAuthToken = typeof __initial_auth_token !== 'undefined' ? __initial_auth_token : null;
-const apiKey = ""; // Gemini API key
+// Public address of server/ai-proxy.mjs, which holds the Gemini API key
+const AI_PROXY_URL = typeof __ai_proxy_url !== 'undefined' ? __ai_proxy_url : 'http://localhost:8788';
+// 'gemini' (through the proxy) or 'local' (offline answers); defaults to Gemini only when a proxy is configured
+const AI_PROVIDER = typeof __ai_provider !== 'undefined' ? __ai_provider : (typeof __ai_proxy_url !== 'undefined' ? 'gemini' : 'local');
+// Public address of server/ics-feed.mjs, which serves barbers' subscribable calendars
+const CALENDAR_FEED_BASE_URL = typeof __calendar_feed_url !== 'undefined' ? __calendar_feed_url : 'http://localhost:8787';
+// Public address of server/payments.mjs, which checks each payment and confirms the booking
+const PAYMENTS_URL = typeof __payments_url !== 'undefined' ? __payments_url : 'http://localhost:8789';
 
 // Utility for fetching data with exponential backoff 
+// HTTP client errors won't go away on a retry, except a 429 that says when to come back (`retryAfterMs`)
+const isRetryableError = (error) => !(error?.status >= 400 && error.status < 500)
+    || (error.status === 429 && error.retryAfterMs != null);
+
 const fetchWithBackoff = async (func, maxRetries = 3) => {
     for (let i = 0; i < maxRetries; i++) {
         try {
             return await func();
         } catch (error) {
-            if (i === maxRetries - 1) throw error;
-            const delay = Math.pow(2, i) * 1000 + Math.random() * 1000;
+            if (i === maxRetries - 1 || !isRetryableError(error)) throw error;
+            const delay = error.retryAfterMs ?? Math.pow(2, i) * 1000 + Math.random() * 1000;
             console.warn(`Attempt ${i + 1} failed. Retrying in ${delay / 1000}s...`);
             await new Promise(resolve => setTimeout(resolve, delay));
         }
     }
 };
 
-// --- Gemini API Call Logic ---
-const GEMINI_API_URL = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash-preview-05-20:generateContent?key=${apiKey}`;
+// --- AI Provider ---
+// Text generation goes through a pluggable AI provider. A provider is any object with:
+//   name                                                  - shown in logs and part of the cache key
+//   generate({ task, system, prompt, input, responseSchema?, grounded? }, { signal })
+//                                                         -> the model's text (JSON text when responseSchema is set)
+// `task` names the feature ('aftercare-tips', 'style-inspiration') and `input` holds
+// its raw values, so an offline provider can answer without parsing the prompt.
+// The Gemini adapter never sees an API key: it posts to server/ai-proxy.mjs, which
+// adds the key server-side. Swap `aiProvider` below for another adapter; nothing else changes.
 
-/**
- * Generates concise aftercare tips using non-grounded text generation.
- */
-const generateAftercareTips = async (serviceName, hairType) => {
-    const systemPrompt = "You are a professional barber assistant. Provide 3 concise and easy-to-follow aftercare tips for the specific service and hair type requested. Format the response as a numbered list in markdown.";
-    const userQuery = `I just had a ${serviceName}. My hair type is ${hairType}. What are the best aftercare tips?`;
+const AI_TIMEOUT_MS = 20000; // Per attempt; fetchWithBackoff retries after a timeout
+const AI_CACHE_TTL_MS = 30 * 60 * 1000;
+const AI_CACHE_MAX_ENTRIES = 50;
 
-    const payload = {
-        contents: [{ parts: [{ text: userQuery }] }],
-        systemInstruction: { parts: [{ text: systemPrompt }] },
-    };
+// A Retry-After header (seconds or an HTTP date) in milliseconds, or null if absent or unreadable
+const parseRetryAfter = (header, now = Date.now()) => {
+    if (!header) return null;
+    const seconds = Number(header);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(header);
+    return Number.isNaN(date) ? null : Math.max(0, date - now);
+};
 
-    const apiCall = async () => {
-        const response = await fetch(GEMINI_API_URL, {
+const createGeminiProxyProvider = ({ url = AI_PROXY_URL } = {}) => ({
+    name: 'gemini',
+
+    async generate({ task, system, prompt, responseSchema = null, grounded = false }, { signal } = {}) {
+        const response = await fetch(`${url}/ai/generate`, {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(payload)
+            body: JSON.stringify({ task, system, prompt, responseSchema, grounded }),
+            signal,
         });
 
         if (!response.ok) {
-            throw new Error(`API call failed: ${response.statusText}`);
+            throw Object.assign(new Error(`API call failed: ${response.status} ${response.statusText}`), {
+                status: response.status,
+                retryAfterMs: parseRetryAfter(response.headers.get('Retry-After')),
+            });
         }
 
-        const result = await response.json();
-        const text = result.candidates?.[0]?.content?.parts?.[0]?.text;
-        
+        const { text } = await response.json();
         if (!text) {
             throw new Error("Received empty response from LLM.");
         }
         return text;
-    };
+    },
+});
+
+const LOCAL_HAIR_TYPE_TIPS = {
+    straight: 'Straight hair shows oil quickly, so wash every other day and keep heavy products to a minimum.',
+    wavy: 'Scrunch in a light cream while your hair is damp to keep the waves defined without weighing them down.',
+    curly: 'Skip daily shampoo; co-wash and finish with a leave-in conditioner so the curls stay soft.',
+    coily: 'Seal in moisture with a leave-in and an oil, and sleep on a satin pillowcase to avoid breakage.',
+};
+
+const LOCAL_CONCERN_TIPS = {
+    'dandruff': 'Use an anti-dandruff shampoo twice a week and leave it on the scalp for a couple of minutes.',
+    'dry scalp': 'Massage a few drops of scalp oil in at night and avoid hot water when rinsing.',
+    'oily scalp': 'Wash with a clarifying shampoo once a week and keep conditioner off the roots.',
+    'frizz': 'Dry with a microfibre towel and a little anti-frizz serum instead of rubbing with a cotton towel.',
+    'thinning': 'Go easy on tight styling and heat; a volumising shampoo helps the cut look fuller.',
+    'sensitive skin': 'Choose fragrance-free products and rinse well so nothing sits on freshly shaved skin.',
+    'ingrown hairs': 'Exfoliate gently every few days and shave with the grain to stop hairs curling back in.',
+};
+
+const LOCAL_STYLES = {
+    straight: [['Textured Crop', 'Low'], ['Side Part Taper', 'Medium'], ['Slick Back Undercut', 'High']],
+    wavy: [['Messy Quiff', 'Medium'], ['Mid-Length Flow', 'Low'], ['Wavy Fringe Fade', 'Medium']],
+    curly: [['Curly Top Fade', 'Medium'], ['Curly Shag', 'Low'], ['Defined Curl Taper', 'High']],
+    coily: [['High Top Fade', 'High'], ['Twist Sponge Cut', 'Medium'], ['Short Afro Taper', 'Low']],
+};
+
+/**
+ * Offline provider for demos and tests. Answers come from fixed tables keyed on
+ * the request's `input`, so the same request always gets the same text.
+ */
+const createLocalAiProvider = () => ({
+    name: 'local',
+
+    async generate({ task, input = {} }) {
+        switch (task) {
+            case 'aftercare-tips': {
+                const concern = (input.hairConcerns || []).find(c => LOCAL_CONCERN_TIPS[c]);
+                return [
+                    `1. **Let it settle:** Skip washing for a day after your ${input.service}, then use lukewarm water and a mild shampoo.`,
+                    `2. **For ${input.hairType} hair:** ${LOCAL_HAIR_TYPE_TIPS[input.hairType] || LOCAL_HAIR_TYPE_TIPS.straight}`,
+                    concern
+                        ? `3. **For ${concern}:** ${LOCAL_CONCERN_TIPS[concern]}`
+                        : '3. **Keep the shape:** Book your next visit in 3–4 weeks so the lines stay sharp.',
+                ].join('\n');
+            }
+            case 'style-inspiration':
+                return JSON.stringify((LOCAL_STYLES[input.hairType] || LOCAL_STYLES.straight).map(([styleName, maintenanceLevel]) => ({
+                    styleName,
+                    description: `A ${styleName.toLowerCase()} suits ${input.hairType} hair and keeps the look ${input.vibe}.`,
+                    maintenanceLevel,
+                    searchQuery: `${styleName} ${input.hairType} hair men`,
+                })));
+            default:
+                throw new Error(`Local AI provider has no answer for task: ${task}`);
+        }
+    },
+});
+
+const aiProvider = AI_PROVIDER === 'gemini' ? createGeminiProxyProvider() : createLocalAiProvider();
+
+// Recent answers keyed by provider and request, so repeated questions don't cost another model call
+const aiCache = new Map();
+
+const aiCacheKey = (provider, { task, system, prompt, responseSchema = null, grounded = false }) =>
+    JSON.stringify([provider.name, task, system, prompt, responseSchema, grounded]);
+
+/**
+ * Runs one request through `provider`: answers from the cache when it can
+ * (unless `fresh` asks for a new answer), otherwise calls the provider with a
+ * per-attempt timeout and retries with backoff. Only successful answers are cached.
+ */
+const generateWithAi = async (request, { provider = aiProvider, fresh = false } = {}) => {
+    const key = aiCacheKey(provider, request);
+    const cached = aiCache.get(key);
+    if (!fresh && cached && cached.expiresAt > Date.now()) return cached.text;
+
+    const text = await fetchWithBackoff(async () => {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), AI_TIMEOUT_MS);
+        try {
+            return await provider.generate(request, { signal: controller.signal });
+        } catch (error) {
+            if (controller.signal.aborted) throw new Error(`AI request timed out after ${AI_TIMEOUT_MS / 1000}s.`);
+            throw error;
+        } finally {
+            clearTimeout(timer);
+        }
+    });
+
+    aiCache.delete(key);
+    aiCache.set(key, { text, expiresAt: Date.now() + AI_CACHE_TTL_MS });
+    // Maps iterate in insertion order, so the first key is the oldest
+    if (aiCache.size > AI_CACHE_MAX_ENTRIES) aiCache.delete(aiCache.keys().next().value);
+    return text;
+};
+
+/**
+ * Generates concise aftercare tips using non-grounded text generation.
+ * `hairConcerns` and `recentServices` (short descriptions of earlier visits) come
+ * from the customer's profile and booking history so the advice fits them.
+ * `fresh` skips the cache, for when the customer asks for the tips again.
+ */
+const generateAftercareTips = async ({ service, hairType, hairConcerns = [], recentServices = [], fresh = false }) => {
+    const systemPrompt = "You are a professional barber assistant. Provide 3 concise and easy-to-follow aftercare tips for the specific service and hair type requested. Take the customer's hair concerns and recent services into account. Format the response as a numbered list in markdown.";
+    const userQuery = [
+        `I just had a ${service}. My hair type is ${hairType}.`,
+        hairConcerns.length > 0 && `My hair concerns: ${hairConcerns.join(', ')}.`,
+        recentServices.length > 0 && `My recent services: ${recentServices.join('; ')}.`,
+        'What are the best aftercare tips?',
+    ].filter(Boolean).join(' ');
 
-    return fetchWithBackoff(apiCall);
+    return generateWithAi({
+        task: 'aftercare-tips',
+        system: systemPrompt,
+        prompt: userQuery,
+        input: { service, hairType, hairConcerns, recentServices },
+    }, { fresh });
 };
 
 
@@ -83,662 +235,6720 @@ const generateStyleInspiration = async (inputVibe, hairType) => {
     const systemPrompt = "You are a modern stylist. Provide 3 distinct, trending hairstyle recommendations for a man with the given hair type and desired vibe/occasion. You must use current trends from Google Search. Respond in the required JSON format.";
     const userQuery = `I have ${hairType} hair and I want a style that is ${inputVibe}. What are 3 trending hairstyles I should consider?`;
 
-    const payload = {
-        contents: [{ parts: [{ text: userQuery }] }],
-        tools: [{ "google_search": {} }],
-        systemInstruction: { parts: [{ text: systemPrompt }] },
-        generationConfig: {
-            responseMimeType: "application/json",
-            responseSchema: {
-                type: "ARRAY",
-                items: {
-                    type: "OBJECT",
-                    properties: {
-                        "styleName": { "type": "STRING", "description": "The name of the hairstyle, e.g., 'Textured Crop'." },
-                        "description": { "type": "STRING", "description": "A brief, persuasive description of the style." },
-                        "maintenanceLevel": { "type": "STRING", "description": "Low, Medium, or High." },
-                        "searchQuery": { "type": "STRING", "description": "A concise query to find an image for this style." }
-                    },
-                    required: ["styleName", "description", "maintenanceLevel", "searchQuery"]
-                }
+    const jsonText = await generateWithAi({
+        task: 'style-inspiration',
+        system: systemPrompt,
+        prompt: userQuery,
+        input: { vibe: inputVibe, hairType },
+        grounded: true,
+        responseSchema: {
+            type: "ARRAY",
+            items: {
+                type: "OBJECT",
+                properties: {
+                    "styleName": { "type": "STRING", "description": "The name of the hairstyle, e.g., 'Textured Crop'." },
+                    "description": { "type": "STRING", "description": "A brief, persuasive description of the style." },
+                    "maintenanceLevel": { "type": "STRING", "description": "Low, Medium, or High." },
+                    "searchQuery": { "type": "STRING", "description": "A concise query to find an image for this style." }
+                },
+                required: ["styleName", "description", "maintenanceLevel", "searchQuery"]
             }
-        }
-    };
+        },
+    });
 
-    const apiCall = async () => {
-        const response = await fetch(GEMINI_API_URL, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(payload)
-        });
+    // The LLM returns a JSON string, which must be parsed
+    return JSON.parse(jsonText);
+};
+// --- End AI Provider ---
 
-        if (!response.ok) {
-            throw new Error(`API call failed: ${response.statusText}`);
-        }
-        
-        const result = await response.json();
-        const jsonText = result.candidates?.[0]?.content?.parts?.[0]?.text;
-        
-        if (!jsonText) {
-            throw new Error("Received empty response or invalid JSON structure from LLM.");
-        }
-        
-        // The LLM returns a JSON string, which must be parsed
-        const parsedJson = JSON.parse(jsonText);
-        
-        return parsedJson;
-    };
 
-    return fetchWithBackoff(apiCall);
+// --- Service Catalogue ---
+// Each barber document carries an ordered `services` array. Archived services stay
+// in the array (old bookings still reference them) but are hidden from customers.
+
+const SERVICE_CATEGORIES = ['Hair', 'Beard', 'Shave', 'Color', 'Spa', 'Other'];
+
+// Services seeded before ids existed are identified by name
+const getServiceId = (service) => service.id || service.name;
+
+const getActiveServices = (barber) => (barber.services || []).filter(service => !service.archived);
+
+/**
+ * Validates a service form against the rest of the catalogue.
+ * Returns a list of human-readable problems; empty means valid.
+ */
+const validateService = (service, services) => {
+    const problems = [];
+    const name = service.name.trim();
+
+    if (!name) problems.push('Give the service a name.');
+    if (services.some(s => getServiceId(s) !== service.id && s.name.trim().toLowerCase() === name.toLowerCase())) {
+        problems.push(`There is already a service called "${name}".`);
+    }
+    if (!Number.isInteger(service.price) || service.price < 0) problems.push('Price must be a whole number of rupees.');
+    if (!Number.isInteger(service.duration) || service.duration < 5 || service.duration % 5 !== 0) {
+        problems.push('Duration must be at least 5 minutes, in steps of 5.');
+    }
+    if (!SERVICE_CATEGORIES.includes(service.category)) problems.push('Pick a category.');
+    return problems;
 };
-// --- End Gemini API Call Logic ---
 
+// Snapshot of the services stored on a booking, so later catalogue edits don't rewrite history
+const toBookedService = (service) => ({
+    id: getServiceId(service),
+    name: service.name,
+    price: service.price,
+    duration: service.duration,
+});
 
-// --- Mock Data Setup ---
-const MOCK_BARBERS = [
-    { 
-        id: "mike_cuts", name: "Mike's Cuts", rating: 5, imageUrl: "https://placehold.co/100x100/A07849/FFFFFF?text=Mike",
-        services: [
-            { name: "Haircut", price: 2500, duration: 45 },
-            { name: "Beard Trim", price: 1000, duration: 20 },
-        ],
-        reviewCount: 154
-    },
-    { 
-        id: "trim_king", name: "The Trim King", rating: 4.9, imageUrl: "https://placehold.co/100x100/A07849/FFFFFF?text=King",
-        services: [
-            { name: "Haircut", price: 2200, duration: 45 },
-            { name: "Hot Shave", price: 1500, duration: 30 },
-        ],
-        reviewCount: 92
-    },
-    { 
-        id: "razor_edge", name: "Razor Edge", rating: 5, imageUrl: "https://placehold.co/100x100/A07849/FFFFFF?text=Razor",
-        services: [
-            { name: "Head Massage", price: 1800, duration: 30 },
-            { name: "Hair Color", price: 4000, duration: 60 },
-        ],
-        reviewCount: 201
-    },
+// Services on a booking or appointment. Single-service records predate the `services` list.
+const getBookedServices = (record) => record.services || [
+    { id: record.serviceId || record.service, name: record.service, price: record.barberPrice, duration: record.duration },
 ];
 
-// Function to generate time slots for a specific day
-const generateMockSlots = (date) => {
-    const slots = [];
-    for (let h = 9; h <= 17; h++) {
-        ['00', '30'].forEach(m => {
-            if (h === 17 && m === '30') return; // Stop at 17:00
-            const time = `${h.toString().padStart(2, '0')}:${m}`;
-            const isAvailable = Math.random() > 0.3; // 70% available
-            if (isAvailable) {
-                slots.push({ time, isAvailable: true });
-            }
-        });
+// Combined name, price and chair time for a bundle of services
+const summarizeServices = (services) => ({
+    name: services.map(s => s.name).join(' + '),
+    price: services.reduce((sum, s) => sum + (s.price || 0), 0),
+    duration: services.reduce((sum, s) => sum + (s.duration || 0), 0),
+});
+// --- End Service Catalogue ---
+
+
+// --- Shop Locations ---
+// Barber documents carry `location: { address, lat, lng, geohash }`. The geohash
+// lets the home view fetch only shops near the customer: every point inside a
+// geohash cell shares its prefix, so "near here" becomes a handful of prefix
+// range queries (the cell around the customer plus its 8 neighbours).
+// Opening hours are the barber's `availability`.
+
+const GEOHASH_ALPHABET = '0123456789bcdefghjkmnpqrstuvwxyz';
+const GEOHASH_PRECISION = 9; // ~5m cells, stored on the document
+const EARTH_RADIUS_KM = 6371;
+const KM_PER_DEGREE = 111.32;
+
+const DISCOVERY_RADIUS_OPTIONS_KM = [2, 5, 10, 25];
+
+const encodeGeohash = (lat, lng, precision = GEOHASH_PRECISION) => {
+    const range = { lat: [-90, 90], lng: [-180, 180] };
+    let hash = '';
+    let bits = 0;
+    let value = 0;
+    let isLng = true;
+    while (hash.length < precision) {
+        const [axis, coordinate] = isLng ? ['lng', lng] : ['lat', lat];
+        const mid = (range[axis][0] + range[axis][1]) / 2;
+        value <<= 1;
+        if (coordinate >= mid) {
+            value |= 1;
+            range[axis][0] = mid;
+        } else {
+            range[axis][1] = mid;
+        }
+        isLng = !isLng;
+        if (++bits === 5) {
+            hash += GEOHASH_ALPHABET[value];
+            bits = 0;
+            value = 0;
+        }
     }
-    return slots;
+    return hash;
 };
 
-// --- Firebase Component Hooks ---
+// Width and height of a geohash cell in degrees. Longitude gets the extra bit on odd lengths.
+const getGeohashCellSize = (precision) => {
+    const lngBits = Math.ceil((precision * 5) / 2);
+    const latBits = Math.floor((precision * 5) / 2);
+    return { lat: 180 / 2 ** latBits, lng: 360 / 2 ** lngBits };
+};
 
-const useFirebase = () => {
-    const [db, setDb] = useState(null);
-    const [auth, setAuth] = useState(null);
-    const [userId, setUserId] = useState(null);
-    const [isAuthReady, setIsAuthReady] = useState(false);
+/**
+ * Geohash prefixes whose cells together cover a circle of `radiusKm` around the
+ * point: the longest prefix whose cells are at least that big, for the point's
+ * cell and its neighbours.
+ */
+const getGeohashCoverage = ({ lat, lng }, radiusKm) => {
+    const kmPerLngDegree = KM_PER_DEGREE * Math.max(Math.cos((lat * Math.PI) / 180), 0.01);
+    let precision = GEOHASH_PRECISION;
+    while (precision > 1) {
+        const cell = getGeohashCellSize(precision);
+        if (cell.lat * KM_PER_DEGREE >= radiusKm && cell.lng * kmPerLngDegree >= radiusKm) break;
+        precision--;
+    }
+    const cell = getGeohashCellSize(precision);
+    const prefixes = new Set();
+    [-1, 0, 1].forEach(dLat => [-1, 0, 1].forEach(dLng => {
+        const neighbourLat = Math.max(-90, Math.min(90, lat + dLat * cell.lat));
+        const neighbourLng = ((lng + dLng * cell.lng + 540) % 360) - 180;
+        prefixes.add(encodeGeohash(neighbourLat, neighbourLng, precision));
+    }));
+    return [...prefixes];
+};
 
-    useEffect(() => {
-        if (Object.keys(firebaseConfig).length === 0) {
-            console.error("Firebase config is missing. Cannot initialize.");
-            return;
-        }
+// Great-circle distance in km (haversine)
+const getDistanceKm = (from, to) => {
+    const toRadians = (degrees) => (degrees * Math.PI) / 180;
+    const dLat = toRadians(to.lat - from.lat);
+    const dLng = toRadians(to.lng - from.lng);
+    const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLng / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
 
-        const app = initializeApp(firebaseConfig);
-        const firestore = getFirestore(app);
-        const authService = getAuth(app);
+const formatDistance = (km) => (km < 1 ? `${Math.round(km * 1000)} m` : `${km.toFixed(1)} km`);
 
-        setDb(firestore);
-        setAuth(authService);
-        
-        // 1. Authentication Check
-        const unsubscribe = onAuthStateChanged(authService, async (user) => {
-            if (user) {
-                setUserId(user.uid);
-            } else {
-                try {
-                    if (initialAuthToken) {
-                        const userCredential = await signInWithCustomToken(authService, initialAuthToken);
-                        setUserId(userCredential.user.uid);
-                    } else {
-                        const userCredential = await signInAnonymously(authService);
-                        setUserId(userCredential.user.uid);
-                    }
-                } catch (error) {
-                    console.error("Authentication failed:", error);
-                    setUserId(crypto.randomUUID());
-                }
-            }
-            setIsAuthReady(true);
-        });
+const hasCoordinates = (location) => Number.isFinite(location?.lat) && Number.isFinite(location?.lng);
 
-        return () => unsubscribe();
-    }, []);
+/**
+ * Checks a shop location form before it is saved.
+ * Returns a list of human-readable problems; empty means valid.
+ */
+const validateLocation = ({ address, lat, lng }) => {
+    const problems = [];
+    if (!address.trim()) problems.push('Enter the shop address.');
+    if (!Number.isFinite(lat) || lat < -90 || lat > 90) problems.push('Latitude must be between -90 and 90.');
+    if (!Number.isFinite(lng) || lng < -180 || lng > 180) problems.push('Longitude must be between -180 and 180.');
+    return problems;
+};
 
-    // 2. Initial Data Seeding/Fetching (Mock Barbers)
-    useEffect(() => {
-        if (!db || !isAuthReady) return;
+const toStoredLocation = ({ address, lat, lng }) => ({
+    address: address.trim(),
+    lat,
+    lng,
+    geohash: encodeGeohash(lat, lng),
+});
 
-        const seedBarbers = async () => {
-            const barbersRef = collection(db, 'artifacts', appId, 'public', 'data', 'barbers');
-            
-            const q = query(barbersRef, limit(1));
-            const snapshot = await getDocs(q);
+// Google Maps directions to the shop, by pin when we have one and by address otherwise
+const getDirectionsUrl = (location) => {
+    const destination = hasCoordinates(location) ? `${location.lat},${location.lng}` : location?.address;
+    return destination ? `https://www.google.com/maps/dir/?api=1&destination=${encodeURIComponent(destination)}` : null;
+};
 
-            if (snapshot.empty) {
-                console.log("Seeding initial mock barber data...");
-                MOCK_BARBERS.forEach(barber => {
-                    const docRef = doc(barbersRef, barber.id);
-                    setDoc(docRef, barber).catch(e => console.error("Error seeding barber:", e));
-                });
-            }
-        };
-        
-        fetchWithBackoff(seedBarbers).catch(err => console.error("Failed to seed barbers after retries:", err));
+/**
+ * Whether the shop is open at `now`, and until or from when. Breaks and days
+ * off count as closed; `next` is the next opening today, if any.
+ */
+const getOpenStatus = (availability, now = new Date()) => {
+    const minutes = now.getHours() * 60 + now.getMinutes();
+    const windows = getWorkingWindows(availability, now);
+    const current = windows.find(w => w.start <= minutes && minutes < w.end);
+    if (current) return { open: true, until: minutesToTime(current.end) };
+    const next = windows.find(w => w.start > minutes);
+    return { open: false, next: next ? minutesToTime(next.start) : null };
+};
+
+// Free geocoding through OpenStreetMap's Nominatim; resolves to { address, lat, lng } or null
+const geocodeAddress = async (address) => {
+    const url = `https://nominatim.openstreetmap.org/search?format=json&limit=1&q=${encodeURIComponent(address)}`;
+    const response = await fetchWithBackoff(() => fetch(url, { headers: { 'Accept': 'application/json' } }));
+    if (!response.ok) throw new Error(`Geocoding failed with status: ${response.status}`);
+    const [match] = await response.json();
+    return match ? { address: match.display_name, lat: Number(match.lat), lng: Number(match.lon) } : null;
+};
+
+// The browser's current position as { lat, lng }
+const detectCurrentLocation = () => new Promise((resolve, reject) => {
+    if (!navigator.geolocation) {
+        reject(new Error('Location is not available in this browser.'));
+        return;
+    }
+    navigator.geolocation.getCurrentPosition(
+        (position) => resolve({ lat: position.coords.latitude, lng: position.coords.longitude }),
+        reject,
+        { timeout: 10000, maximumAge: 5 * 60 * 1000 }
+    );
+});
+// --- End Shop Locations ---
 
-    }, [db, isAuthReady]);
 
-    return { db, auth, userId, isAuthReady, barbersData: MOCK_BARBERS }; // Also export mock barbers for dashboard logic
+// --- Barber Search ---
+// Firestore has no text search and only one array-contains per query, so each
+// barber document carries denormalised search fields, rewritten together with
+// its name or services (getBarberSearchFields):
+//   searchTerms        lowercase prefixes of each word in the name and active service names
+//   serviceCategories  categories of the active services
+//   minPrice           cheapest active service, the "from" price on the card
+// The home view narrows by these in the query and only refines the (small) page
+// of results on the client.
+
+const BARBER_SORTS = {
+    RATING: 'rating',
+    PRICE: 'price',
+    NEXT_SLOT: 'next-slot',
+    DISTANCE: 'distance', // Only once the customer has set their location
 };
 
+const BARBER_PAGE_SIZE = 20;
+const MIN_SEARCH_PREFIX = 2;
 
-// --- UI Components ---
+const DEFAULT_BARBER_FILTERS = {
+    text: '',
+    category: '',
+    minRating: 0,
+    priceFrom: '',
+    priceTo: '',
+    availableToday: false,
+    sort: BARBER_SORTS.RATING,
+    origin: null, // { lat, lng, label } the customer is searching near
+    radiusKm: 10,
+};
 
-// Star Rating Component
-const StarRating = ({ rating, size = 'text-lg' }) => {
-    const fullStars = Math.floor(rating);
-    const hasHalfStar = rating % 1 >= 0.5;
-    const emptyStars = 5 - fullStars - (hasHalfStar ? 1 : 0);
-    
-    return (
-        <div className={`flex ${size} text-amber-500`}>
-            {Array(fullStars).fill('★').map((s, i) => <span key={`f-${i}`}>{s}</span>)}
-            {hasHalfStar && <span key="h">½</span>}
-            {Array(emptyStars).fill('☆').map((s, i) => <span key={`e-${i}`} className="text-gray-300">{s}</span>)}
-        </div>
+const getSearchWords = (text) => (text || '')
+    .toLowerCase()
+    .replace(/['’]/g, '')
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+
+const getBarberSearchFields = ({ name, services }) => {
+    const active = (services || []).filter(service => !service.archived);
+    const searchTerms = new Set();
+    [name, ...active.map(s => s.name)].forEach(text => getSearchWords(text).forEach(word => {
+        if (word.length < MIN_SEARCH_PREFIX) return;
+        for (let length = MIN_SEARCH_PREFIX; length <= word.length; length++) searchTerms.add(word.slice(0, length));
+    }));
+    return {
+        searchTerms: [...searchTerms],
+        serviceCategories: [...new Set(active.map(s => s.category).filter(Boolean))],
+        minPrice: active.length > 0 ? Math.min(...active.map(s => s.price)) : null,
+    };
+};
+
+// Documents written before search fields existed get them on the owner's next dashboard visit
+const needsSearchFields = (barber) => !Array.isArray(barber.searchTerms);
+
+/**
+ * Splits the filters into Firestore queries and what's left for the client.
+ * The longest search word goes to the query (it's the most selective); the
+ * other words, and the category when a search word already used up the
+ * array-contains, are checked on the returned page.
+ */
+const getBarberQueryPlan = (filters, pageSize = BARBER_PAGE_SIZE) => {
+    const words = getSearchWords(filters.text).filter(word => word.length >= MIN_SEARCH_PREFIX);
+    const queryWord = [...words].sort((a, b) => b.length - a.length)[0];
+    const base = [];
+
+    if (queryWord) base.push(where('searchTerms', 'array-contains', queryWord));
+    else if (filters.category) base.push(where('serviceCategories', 'array-contains', filters.category));
+
+    const matchesText = (barber) => (
+        words.every(word => (barber.searchTerms || []).includes(word)) &&
+        (!filters.category || (barber.serviceCategories || []).includes(filters.category))
     );
+
+    // Near the customer: one prefix range per covering geohash cell, with the
+    // remaining filters and the sort applied to the merged results
+    if (hasCoordinates(filters.origin)) {
+        const queries = getGeohashCoverage(filters.origin, filters.radiusKm).map(prefix => [
+            ...base,
+            orderBy('location.geohash'),
+            startAt(prefix),
+            endAt(`${prefix}~`), // '~' sorts after every geohash character
+            limit(pageSize),
+        ]);
+        const matches = (barber) => (
+            matchesText(barber) &&
+            hasCoordinates(barber.location) &&
+            getDistanceKm(filters.origin, barber.location) <= filters.radiusKm &&
+            (barber.rating || 0) >= filters.minRating &&
+            (filters.priceFrom === '' || barber.minPrice >= Number(filters.priceFrom)) &&
+            (filters.priceTo === '' || (barber.minPrice != null && barber.minPrice <= Number(filters.priceTo)))
+        );
+        return { queries, matches };
+    }
+
+    const constraints = [...base];
+    if (filters.minRating > 0) constraints.push(where('rating', '>=', filters.minRating));
+    if (filters.priceFrom !== '') constraints.push(where('minPrice', '>=', Number(filters.priceFrom)));
+    if (filters.priceTo !== '') constraints.push(where('minPrice', '<=', Number(filters.priceTo)));
+
+    if (filters.sort === BARBER_SORTS.PRICE) constraints.push(orderBy('minPrice'));
+    else constraints.push(orderBy('rating', 'desc'));
+    constraints.push(limit(pageSize));
+
+    return { queries: [constraints], matches: matchesText };
 };
 
-// Barber Card for Home Screen
-const BarberCard = ({ barber, onBook }) => (
-    <div className="flex items-center p-4 bg-white rounded-xl shadow-md transition duration-300 hover:shadow-lg mb-4 border border-gray-100">
-        <img 
-            src={barber.imageUrl} 
-            alt={barber.name} 
-            className="w-16 h-16 rounded-full object-cover mr-4 border-2 border-amber-500"
-            onError={(e) => { e.target.onerror = null; e.target.src = "https://placehold.co/64x64/A07849/FFFFFF?text=B"; }}
-        />
-        <div className="flex-grow">
-            <h3 className="font-semibold text-gray-800 text-xl">{barber.name}</h3>
-            <StarRating rating={barber.rating} size="text-sm" />
-            <p className="text-xs text-gray-500 mt-1">{barber.reviewCount} Reviews</p>
-        </div>
-        <button 
-            onClick={() => onBook(barber)}
-            className="bg-amber-600 hover:bg-amber-700 text-white font-bold py-2 px-4 rounded-full shadow-lg transition duration-150 transform hover:scale-105"
-        >
-            Book Now
-        </button>
-    </div>
+// Earliest slot left today for the barber's quickest service, or null if they're full
+const getNextSlotToday = (barber, claims, now = new Date()) => {
+    const services = getActiveServices(barber);
+    if (services.length === 0) return null;
+    const [slot] = getAvailableSlots({
+        availability: barber.availability,
+        date: now,
+        duration: Math.min(...services.map(s => s.duration)),
+        appointments: claims,
+        now,
+    });
+    return slot ? slot.time : null;
+};
+
+/**
+ * Applies the "available today" filter and sorts the results. Queries already
+ * come back by rating or price, but the next-slot and distance orders depend
+ * on data Firestore can't sort by, and results merged from several nearby
+ * queries need sorting again. Barbers missing the sort value go last.
+ */
+const refineBarberResults = (barbers, nextSlots, filters) => {
+    const results = filters.availableToday ? barbers.filter(b => nextSlots[b.id]) : [...barbers];
+    const sortValue = {
+        [BARBER_SORTS.RATING]: (barber) => -(barber.rating || 0),
+        [BARBER_SORTS.PRICE]: (barber) => barber.minPrice ?? Infinity,
+        [BARBER_SORTS.NEXT_SLOT]: (barber) => nextSlots[barber.id] ? timeToMinutes(nextSlots[barber.id]) : Infinity,
+        [BARBER_SORTS.DISTANCE]: (barber) => hasCoordinates(filters.origin) && hasCoordinates(barber.location)
+            ? getDistanceKm(filters.origin, barber.location)
+            : Infinity,
+    }[filters.sort];
+    return sortValue ? results.sort((a, b) => sortValue(a) - sortValue(b)) : results;
+};
+
+// Whether the results are sorted or filtered only among the barbers loaded so far, so
+// another page could still hold better matches. Near the customer each geohash cell
+// returns its own page, so rating, price and every sort are applied after loading.
+const isRefinedAfterLoading = (filters) => (
+    hasCoordinates(filters.origin) || filters.availableToday || filters.sort === BARBER_SORTS.NEXT_SLOT
 );
+// --- End Barber Search ---
 
-// Appointment Booking Modal/Screen
-const BookingScreen = ({ barber, onClose, onConfirmBooking }) => {
-    const BOOKING_FEE = 11; // ₹11 per booking
-    const [selectedDate, setSelectedDate] = useState(new Date());
-    const [selectedSlot, setSelectedSlot] = useState(null);
-    const [selectedService, setSelectedService] = useState(barber.services[0]);
 
-    const availableSlots = useMemo(() => {
-        const today = new Date();
-        const tomorrow = new Date(today);
-        tomorrow.setDate(tomorrow.getDate() + 1);
+// --- Shops & Staff ---
+// A shop (public/data/shops/{shopId}) groups several stylists. Each stylist is
+// an ordinary barber document with its own services, hours and barber_schedules,
+// plus `shopId`, `shopName` and the `chair` they work at. Customers can book a
+// particular stylist or "any available", which assigns whichever stylist is
+// free for the chosen time, lowest chair first.
 
-        if (selectedDate.toDateString() === today.toDateString() || selectedDate.toDateString() === tomorrow.toDateString()) {
-            return generateMockSlots(selectedDate);
-        }
-        return []; 
-    }, [selectedDate]);
+const sortStaff = (staff) => [...staff].sort((a, b) => (a.chair ?? Infinity) - (b.chair ?? Infinity) || a.name.localeCompare(b.name));
 
-    const days = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
-    const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
-    
-    const getWeekDays = (date) => {
-        const startOfWeek = new Date(date);
-        startOfWeek.setDate(date.getDate() - date.getDay()); 
-        
-        return Array.from({ length: 7 }, (_, i) => {
-            const day = new Date(startOfWeek);
-            day.setDate(startOfWeek.getDate() + i);
-            return day;
+/**
+ * The combined menu across a shop's stylists, one entry per service id. The
+ * price shown is the cheapest any stylist charges; the booking is priced with
+ * the assigned stylist's own catalogue.
+ */
+const getShopMenu = (staff) => {
+    const menu = new Map();
+    sortStaff(staff).forEach(member => getActiveServices(member).forEach(service => {
+        const id = getServiceId(service);
+        const entry = menu.get(id);
+        if (!entry) menu.set(id, { ...service, id, offeredBy: [member.id] });
+        else menu.set(id, { ...entry, price: Math.min(entry.price, service.price), offeredBy: [...entry.offeredBy, member.id] });
+    }));
+    return [...menu.values()];
+};
+
+// The stylist's own versions of the chosen services, or null if they don't offer all of them
+const getStaffServices = (member, serviceIds) => {
+    const services = getActiveServices(member).filter(s => serviceIds.includes(getServiceId(s)));
+    return services.length === serviceIds.length ? services.map(toBookedService) : null;
+};
+
+/**
+ * Open start times across several stylists for the same set of services. Each
+ * stylist's slots use their own durations and schedule; a time offered by more
+ * than one goes to the lowest chair. Returns slots tagged with `barberId`.
+ */
+const getAnyStaffSlots = ({ candidates, serviceIds, date, claimsById, excludeAppointmentId, now = new Date() }) => {
+    const byTime = new Map();
+    sortStaff(candidates).forEach(member => {
+        const services = getStaffServices(member, serviceIds);
+        if (!services || services.length === 0) return;
+        getAvailableSlots({
+            availability: member.availability,
+            date,
+            duration: summarizeServices(services).duration,
+            appointments: (claimsById[member.id] || []).filter(appt => appt.id !== excludeAppointmentId),
+            now,
+        }).forEach(slot => {
+            if (!byTime.has(slot.time)) byTime.set(slot.time, { ...slot, barberId: member.id });
         });
-    };
-    
-    const weekDays = getWeekDays(selectedDate);
+    });
+    return [...byTime.values()].sort((a, b) => timeToMinutes(a.time) - timeToMinutes(b.time));
+};
 
-    const handleDateSelect = (day) => {
-        setSelectedDate(day);
-        setSelectedSlot(null); 
-    };
+/**
+ * Checks a stylist's name and chair against the rest of the shop.
+ * Returns a list of human-readable problems; empty means valid.
+ */
+const validateStaffMember = ({ id, name, chair }, staff) => {
+    const problems = [];
+    if (!name.trim()) problems.push("Enter the stylist's name.");
+    if (!Number.isInteger(chair) || chair < 1) problems.push('Chair must be a number from 1 up.');
+    else if (staff.some(member => member.id !== id && member.chair === chair)) problems.push(`Chair ${chair} is already taken.`);
+    return problems;
+};
+// --- End Shops & Staff ---
 
-    const handleConfirm = () => {
-        if (!selectedSlot) return;
 
-        const bookingDetails = {
-            barberName: barber.name,
-            barberId: barber.id,
-            date: selectedDate.toDateString(),
-            time: selectedSlot.time,
-            service: selectedService.name,
-            totalPrice: selectedService.price + BOOKING_FEE,
-            bookingFee: BOOKING_FEE,
-            barberPrice: selectedService.price,
+// --- Pricing ---
+// Platform economics live in one Firestore document (public/data/config/pricing)
+// so fees can change without a release. Every booking stores the breakdown it
+// was priced with, and the numbers always reconcile:
+//   total = barberPayout + platformRevenue + taxTotal
+// Taxes are collected from the customer and passed through, so they count
+// towards neither the barber's payout nor the platform's revenue.
+
+const COMMISSION_TYPES = ['flat', 'percent'];
+const TAX_BASES = { SERVICES: 'services', BOOKING_FEE: 'bookingFee', ALL: 'all' };
+
+const DEFAULT_PRICING_CONFIG = {
+    currency: 'INR',
+    bookingFee: 11, // Paid by the customer on top of the services, kept by the platform
+    commission: { type: 'flat', value: 9 }, // Taken out of the barber's service price
+    // e.g. { id: 'gst', label: 'GST', rate: 18, appliesTo: 'bookingFee' }
+    taxes: [],
+    // barberId -> { commission?, bookingFee? } replacing the defaults for that barber
+    barberOverrides: {},
+};
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+// Defaults for anything the stored config leaves out
+const resolvePricingConfig = (config) => ({
+    ...DEFAULT_PRICING_CONFIG,
+    ...(config || {}),
+    commission: { ...DEFAULT_PRICING_CONFIG.commission, ...(config?.commission || {}) },
+});
+
+// The booking fee and commission that apply to one barber
+const getBarberPricingTerms = (config, barberId) => {
+    const resolved = resolvePricingConfig(config);
+    const override = resolved.barberOverrides?.[barberId] || {};
+    return {
+        bookingFee: override.bookingFee ?? resolved.bookingFee,
+        commission: override.commission || resolved.commission,
+    };
+};
+
+const getCommissionAmount = (commission, base) => {
+    const amount = commission.type === 'percent' ? base * commission.value / 100 : commission.value;
+    return roundMoney(Math.min(Math.max(amount, 0), base));
+};
+
+/**
+ * Itemised price for a set of booked services.
+ * `discount` is optional: { code, label, type: 'percent' | 'flat', value, fundedBy: 'platform' | 'barber', serviceIds? }.
+ * With `serviceIds` the discount only applies to those services' prices.
+ * Platform-funded discounts come out of the platform's revenue; barber-funded
+ * ones reduce the price the commission is charged on.
+ */
+const computePriceBreakdown = ({ services, barberId, config, discount = null }) => {
+    const resolved = resolvePricingConfig(config);
+    const { bookingFee, commission } = getBarberPricingTerms(resolved, barberId);
+    const subtotal = roundMoney(services.reduce((sum, s) => sum + (s.price || 0), 0));
+
+    const discountBase = discount?.serviceIds?.length
+        ? services.filter(s => discount.serviceIds.includes(s.id)).reduce((sum, s) => sum + (s.price || 0), 0)
+        : subtotal;
+    const discountAmount = !discount ? 0 : roundMoney(Math.min(discountBase,
+        discount.type === 'percent' ? discountBase * discount.value / 100 : discount.value));
+    const barberFunded = discount?.fundedBy === 'barber' ? discountAmount : 0;
+    const platformFunded = discountAmount - barberFunded;
+
+    const commissionBase = roundMoney(subtotal - barberFunded);
+    const commissionAmount = getCommissionAmount(commission, commissionBase);
+
+    const taxBases = {
+        [TAX_BASES.SERVICES]: subtotal - discountAmount,
+        [TAX_BASES.BOOKING_FEE]: bookingFee,
+        [TAX_BASES.ALL]: subtotal - discountAmount + bookingFee,
+    };
+    const taxes = (resolved.taxes || []).map(tax => ({
+        id: tax.id,
+        label: tax.label,
+        rate: tax.rate,
+        appliesTo: tax.appliesTo,
+        amount: roundMoney((taxBases[tax.appliesTo] ?? 0) * tax.rate / 100),
+    }));
+    const taxTotal = roundMoney(taxes.reduce((sum, t) => sum + t.amount, 0));
+
+    return {
+        currency: resolved.currency,
+        services: services.map(({ id, name, price }) => ({ id, name, price })),
+        subtotal,
+        discount: discountAmount > 0 ? { ...discount, amount: discountAmount } : null,
+        bookingFee,
+        taxes,
+        taxTotal,
+        total: roundMoney(subtotal - discountAmount + bookingFee + taxTotal),
+        commission: { ...commission, amount: commissionAmount },
+        barberPayout: roundMoney(commissionBase - commissionAmount),
+        platformRevenue: roundMoney(bookingFee + commissionAmount - platformFunded),
+    };
+};
+
+// What the customer paid for the services themselves: the price after any discount plus the
+// taxes on it. Taxes on the booking fee (all of a 'bookingFee' tax, the fee's share of an 'all' one) are left out.
+const getServicesCharge = (pricing) => {
+    const services = pricing.subtotal - (pricing.discount?.amount || 0);
+    const taxes = pricing.taxes.reduce((sum, tax) => sum + (
+        tax.appliesTo === TAX_BASES.SERVICES ? tax.amount
+            : tax.appliesTo === TAX_BASES.ALL ? roundMoney(services * tax.rate / 100)
+            : 0
+    ), 0);
+    return roundMoney(services + taxes);
+};
+
+// What the barber earns from a booking or appointment, for records priced before breakdowns were stored
+const getBarberPayout = (record) => {
+    if (record.pricing) return record.pricing.barberPayout;
+    if (typeof record.priceEarned === 'number') return record.priceEarned;
+    return roundMoney(record.barberPrice - getCommissionAmount(DEFAULT_PRICING_CONFIG.commission, record.barberPrice || 0));
+};
+
+const validatePricingConfig = (config) => {
+    if (!(config.bookingFee >= 0)) return 'Booking fee must be zero or more.';
+    const commissions = [config.commission, ...Object.values(config.barberOverrides || {}).map(o => o.commission).filter(Boolean)];
+    for (const commission of commissions) {
+        if (!COMMISSION_TYPES.includes(commission.type) || !(commission.value >= 0)) return 'Commission must be a flat amount or a percentage of zero or more.';
+        if (commission.type === 'percent' && commission.value > 100) return 'A percentage commission can be at most 100%.';
+    }
+    for (const tax of config.taxes || []) {
+        if (!tax.label || !(tax.rate >= 0) || !Object.values(TAX_BASES).includes(tax.appliesTo)) return 'Each tax needs a label, a rate and what it applies to.';
+    }
+    return null;
+};
+
+const pricingConfigRef = (db) => doc(db, 'artifacts', appId, 'public', 'data', 'config', 'pricing');
+
+const savePricingConfig = (db, userId, config) => fetchWithBackoff(() => setDoc(pricingConfigRef(db), {
+    ...config,
+    updatedBy: userId,
+    updatedAt: serverTimestamp(),
+}));
+// --- End Pricing ---
+
+
+// --- Promo Codes ---
+// Codes live in public/data/promo_codes/{CODE}. Each redemption is recorded under
+// the code (redemptions/{bookingId}) and counted per customer (usage/{uid}), both
+// in the booking transaction so limits hold even when codes are used concurrently.
+// Counters only go up: an unpaid booking gives its redemption back by marking it
+// released and bumping `releasedCount` (and the customer's `released`) instead.
+
+const PROMO_INVALID = 'promo/invalid';
+const PROMO_TYPES = ['percent', 'flat'];
+
+const normalizePromoCode = (code) => code.trim().toUpperCase().replace(/\s+/g, '');
+
+const promoRef = (db, code) => doc(db, 'artifacts', appId, 'public', 'data', 'promo_codes', code);
+
+// Redemptions still held against a code, overall or in one customer's usage doc
+const getPromoRedemptions = (promo) => (promo.redemptionCount || 0) - (promo.releasedCount || 0);
+const getPromoUsage = (usageSnap) => usageSnap.exists() ? (usageSnap.data().count || 0) - (usageSnap.data().released || 0) : 0;
+
+/**
+ * Why a promo can't be used for this booking, or null if it can.
+ * `usedByUser` is how many times this customer has already redeemed it;
+ * `isFirstVisit` is whether they have no earlier bookings at all.
+ */
+const validatePromo = (promo, { barberId, services, usedByUser = 0, isFirstVisit = true, now = new Date() }) => {
+    if (!promo || !promo.active) return "That code isn't valid.";
+    if (promo.expiresOn && toDateKey(now) > promo.expiresOn) return 'That code has expired.';
+    if (promo.maxRedemptions && getPromoRedemptions(promo) >= promo.maxRedemptions) return 'That code has been fully redeemed.';
+    if (promo.perUserLimit && usedByUser >= promo.perUserLimit) return "You've already used that code.";
+    if (promo.firstVisitOnly && !isFirstVisit) return 'That code is only for your first booking.';
+    if (promo.barberIds?.length && !promo.barberIds.includes(barberId)) return "That code can't be used with this barber.";
+    if (promo.serviceIds?.length && !services.some(s => promo.serviceIds.includes(s.id))) {
+        return "That code doesn't cover any of the selected services.";
+    }
+    return null;
+};
+
+// The discount a promo feeds into computePriceBreakdown
+const promoToDiscount = (promo) => ({
+    code: promo.code,
+    label: promo.label || `Promo ${promo.code}`,
+    type: promo.type,
+    value: promo.value,
+    fundedBy: 'platform',
+    serviceIds: promo.serviceIds?.length ? promo.serviceIds : null,
+});
+
+// True if the customer has no earlier booking that went ahead or is still on
+const checkFirstVisit = async (db, userId) => {
+    const bookingsRef = collection(db, 'artifacts', appId, 'users', userId, 'bookings');
+    const snapshot = await getDocs(query(bookingsRef,
+        where('status', 'in', ['Pending Payment', 'Confirmed', 'Checked-in', 'Completed', 'No-show']),
+        limit(1)
+    ));
+    return snapshot.empty;
+};
+
+/**
+ * Looks up and validates a code for the booking being built, resolving to the
+ * discount to apply. Rejects with `code === PROMO_INVALID` and a customer-facing
+ * message. bookAppointment validates again inside its transaction.
+ */
+const applyPromoCode = async (db, userId, rawCode, { barberId, services }) => {
+    const code = normalizePromoCode(rawCode);
+    if (!code) throw bookingError(PROMO_INVALID, 'Enter a promo code.');
+
+    const [promoSnap, usageSnap, isFirstVisit] = await Promise.all([
+        getDoc(promoRef(db, code)),
+        getDoc(doc(promoRef(db, code), 'usage', userId)),
+        checkFirstVisit(db, userId),
+    ]);
+    const promo = promoSnap.exists() ? promoSnap.data() : null;
+    const problem = validatePromo(promo, {
+        barberId, services, usedByUser: getPromoUsage(usageSnap), isFirstVisit,
+    });
+    if (problem) throw bookingError(PROMO_INVALID, problem);
+    return promoToDiscount(promo);
+};
+
+const validatePromoFields = (fields) => {
+    const problems = [];
+    if (!/^[A-Z0-9]{3,20}$/.test(fields.code)) problems.push('Code must be 3-20 letters or digits.');
+    if (!PROMO_TYPES.includes(fields.type) || !(fields.value > 0)) problems.push('Discount must be more than zero.');
+    if (fields.type === 'percent' && fields.value > 100) problems.push('A percentage discount can be at most 100%.');
+    if (fields.maxRedemptions !== null && !(Number.isInteger(fields.maxRedemptions) && fields.maxRedemptions > 0)) problems.push('Usage limit must be a whole number.');
+    if (fields.perUserLimit !== null && !(Number.isInteger(fields.perUserLimit) && fields.perUserLimit > 0)) problems.push('Per-customer limit must be a whole number.');
+    return problems;
+};
+
+// Creates a code, refusing to overwrite one that already exists (and its redemption count)
+const createPromoCode = async (db, adminUserId, fields) => {
+    const ref = promoRef(db, fields.code);
+    await runTransaction(db, async (transaction) => {
+        if ((await transaction.get(ref)).exists()) {
+            throw bookingError(PROMO_INVALID, `The code ${fields.code} already exists.`);
+        }
+        transaction.set(ref, { ...fields, active: true, redemptionCount: 0, createdBy: adminUserId, createdAt: serverTimestamp() });
+    });
+};
+
+const setPromoActive = (db, code, active) => fetchWithBackoff(() => setDoc(promoRef(db, code), { active }, { merge: true }));
+// --- End Promo Codes ---
+
+
+// --- Earnings Reports ---
+// Barber earnings are derived from the appointments subcollection. Only Completed
+// appointments count as earned; the rest are work not yet (or never) delivered.
+
+const EARNINGS_PERIODS = { DAY: 'day', WEEK: 'week', MONTH: 'month' };
+
+// Gross, platform fee and payout for one appointment, for records with or without a stored breakdown
+const getEarningsLine = (appt) => {
+    const pricing = appt.pricing;
+    const gross = pricing ? pricing.subtotal : (appt.barberPrice || 0);
+    const barberDiscount = pricing?.discount?.fundedBy === 'barber' ? pricing.discount.amount : 0;
+    const payout = getBarberPayout(appt);
+    return {
+        id: appt.id,
+        dateKey: appt.dateKey || toDateKey(new Date(appt.date)),
+        time: appt.time,
+        customerName: appt.customerName || '',
+        services: getBookedServices(appt),
+        gross,
+        discount: barberDiscount,
+        platformFee: roundMoney(gross - barberDiscount - payout),
+        payout,
+    };
+};
+
+// Key of the day, week (starting Monday) or month a date key falls in
+const getPeriodKey = (dateKey, period) => {
+    if (period === EARNINGS_PERIODS.MONTH) return dateKey.slice(0, 7);
+    if (period === EARNINGS_PERIODS.DAY) return dateKey;
+    const [year, month, day] = dateKey.split('-').map(Number);
+    const date = new Date(year, month - 1, day);
+    date.setDate(date.getDate() - ((date.getDay() + 6) % 7));
+    return toDateKey(date);
+};
+
+const formatPeriodLabel = (key, period) => {
+    const [year, month, day] = key.split('-').map(Number);
+    if (period === EARNINGS_PERIODS.MONTH) {
+        return new Date(year, month - 1, 1).toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+    }
+    const label = new Date(year, month - 1, day).toLocaleDateString(undefined, { day: 'numeric', month: 'short' });
+    return period === EARNINGS_PERIODS.WEEK ? `Week of ${label}` : label;
+};
+
+const sumLines = (lines) => ({
+    count: lines.length,
+    gross: roundMoney(lines.reduce((sum, l) => sum + l.gross, 0)),
+    discount: roundMoney(lines.reduce((sum, l) => sum + l.discount, 0)),
+    platformFee: roundMoney(lines.reduce((sum, l) => sum + l.platformFee, 0)),
+    payout: roundMoney(lines.reduce((sum, l) => sum + l.payout, 0)),
+});
+
+/**
+ * Completed appointments between two date keys (inclusive), totalled per
+ * period and per service. A multi-service appointment counts once for each
+ * of its services, with that service's own price as the gross.
+ */
+const summarizeEarnings = (appointments, { from, to, period }) => {
+    const lines = appointments
+        .filter(appt => appt.status === 'Completed')
+        .map(getEarningsLine)
+        .filter(line => line.dateKey >= from && line.dateKey <= to)
+        .sort((a, b) => a.dateKey.localeCompare(b.dateKey) || (a.time || '').localeCompare(b.time || ''));
+
+    const byPeriod = new Map();
+    const byService = new Map();
+    for (const line of lines) {
+        const key = getPeriodKey(line.dateKey, period);
+        byPeriod.set(key, [...(byPeriod.get(key) || []), line]);
+        for (const service of line.services) {
+            const entry = byService.get(service.name) || { name: service.name, count: 0, gross: 0 };
+            byService.set(service.name, { ...entry, count: entry.count + 1, gross: roundMoney(entry.gross + (service.price || 0)) });
+        }
+    }
+
+    return {
+        lines,
+        periods: [...byPeriod.entries()].map(([key, periodLines]) => ({ key, label: formatPeriodLabel(key, period), ...sumLines(periodLines) })),
+        services: [...byService.values()].sort((a, b) => b.gross - a.gross),
+        totals: sumLines(lines),
+    };
+};
+
+// Text cells that a spreadsheet would read as a formula (customer names are free text) are quoted with a leading '
+const csvCell = (value) => {
+    const text = typeof value === 'string' && /^[=+\-@\t\r]/.test(value) ? `'${value}` : String(value ?? '');
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const earningsToCsv = (lines) => [
+    ['Date', 'Time', 'Customer', 'Services', 'Gross', 'Discount', 'Platform fee', 'Payout'],
+    ...lines.map(l => [l.dateKey, l.time, l.customerName, l.services.map(s => s.name).join(' + '), l.gross, l.discount, l.platformFee, l.payout]),
+].map(row => row.map(csvCell).join(',')).join('\n');
+
+const downloadFile = (filename, contents, type) => {
+    const url = URL.createObjectURL(new Blob([contents], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+};
+
+const escapeHtml = (text) => String(text ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+
+// Standalone HTML payout statement, opened in its own window for printing
+const buildPayoutStatementHtml = (barber, { from, to }, report) => {
+    const money = (amount) => `₹${amount.toFixed(2)}`;
+    const rows = report.lines.map(l => `
+        <tr><td>${l.dateKey} ${escapeHtml(l.time)}</td><td>${escapeHtml(l.customerName)}</td><td>${escapeHtml(l.services.map(s => s.name).join(' + '))}</td>
+        <td class="n">${money(l.gross)}</td><td class="n">${money(l.discount)}</td><td class="n">${money(l.platformFee)}</td><td class="n">${money(l.payout)}</td></tr>`).join('');
+    const t = report.totals;
+    return `<!doctype html><html><head><meta charset="utf-8"><title>Payout statement ${from} to ${to}</title>
+        <style>body{font-family:sans-serif;margin:2rem;color:#111}table{width:100%;border-collapse:collapse;font-size:12px}
+        th,td{border-bottom:1px solid #ddd;padding:4px;text-align:left}.n{text-align:right}tfoot td{font-weight:bold;border-top:2px solid #111}</style></head>
+        <body><h1>KutKart payout statement</h1>
+        <p><strong>${escapeHtml(barber.name)}</strong><br>Period: ${from} to ${to}<br>Generated: ${new Date().toLocaleString()}</p>
+        <table><thead><tr><th>Date</th><th>Customer</th><th>Services</th><th class="n">Gross</th><th class="n">Discount</th><th class="n">Platform fee</th><th class="n">Payout</th></tr></thead>
+        <tbody>${rows || '<tr><td colspan="7">No completed appointments in this period.</td></tr>'}</tbody>
+        <tfoot><tr><td colspan="3">${t.count} appointments</td><td class="n">${money(t.gross)}</td><td class="n">${money(t.discount)}</td><td class="n">${money(t.platformFee)}</td><td class="n">${money(t.payout)}</td></tr></tfoot></table>
+        </body></html>`;
+};
+// --- End Earnings Reports ---
+
+
+// --- Calendar Export ---
+// iCalendar (RFC 5545) files for bookings, built with shared/ics.mjs, which
+// server/ics-feed.mjs also uses for the barber's subscribable feed.
+
+// Where the customer should go for a booking, as shown in their calendar
+const getBarberLocation = (barber) => barber?.location?.address || barber?.name || '';
+
+// Downloads a single booking as an .ics file for the customer's calendar
+const downloadBookingIcs = (booking, barber) => {
+    const services = summarizeServices(getBookedServices(booking));
+    const start = getAppointmentStart(booking);
+    const event = buildIcsEvent(booking, {
+        start,
+        end: new Date(start.getTime() + (booking.duration || 30) * 60 * 1000),
+        cancelled: NON_BLOCKING_STATUSES.includes(booking.status),
+        summary: `${services.name} with ${booking.barberName}`,
+        location: getBarberLocation(barber) || booking.barberLocation?.address,
+        description: `KutKart booking · ${services.duration} mins · ₹${booking.totalPrice}`,
+    });
+    downloadFile(`kutkart-${booking.id}.ics`, buildIcsCalendar([event], 'KutKart'), 'text/calendar');
+};
+
+// A barber's feed lives at {CALENDAR_FEED_BASE_URL}/calendar/{barberId}/{token}.ics; the token is kept private
+const calendarFeedRef = (db, barberId) => doc(db, ...scheduleDocPath(barberId), 'private', 'calendar_feed');
+
+const resetCalendarFeedToken = (db, barberId) => fetchWithBackoff(() => setDoc(calendarFeedRef(db, barberId), {
+    token: crypto.randomUUID().replace(/-/g, ''),
+    createdAt: serverTimestamp(),
+}));
+
+const getCalendarFeedUrl = (barberId, token) => `${CALENDAR_FEED_BASE_URL}/calendar/${barberId}/${token}.ics`;
+// --- End Calendar Export ---
+
+
+// --- Walk-in Queue ---
+// Each barber has a live queue for the day at barber_schedules/{barberId}/queue.
+// Entries carry only a display name and the services, so customers can read the
+// queue to see their place; contact details stay on appointments.
+
+const ACTIVE_QUEUE_STATUSES = [QUEUE_STATUS.WAITING, QUEUE_STATUS.IN_SERVICE];
+
+// `joinedAt` is a server timestamp, so nobody can backdate their place in line. Older entries
+// hold epoch ms, and an entry still being written has no timestamp yet, so it sorts last.
+const getJoinedAtMs = (entry) => (typeof entry.joinedAt === 'number' ? entry.joinedAt : entry.joinedAt?.toMillis() ?? Infinity);
+
+// In the chair first, then waiting customers in the order they joined
+const sortQueue = (entries) => [...entries]
+    .filter(entry => ACTIVE_QUEUE_STATUSES.includes(entry.status))
+    .sort((a, b) => (b.status === QUEUE_STATUS.IN_SERVICE) - (a.status === QUEUE_STATUS.IN_SERVICE) || getJoinedAtMs(a) - getJoinedAtMs(b));
+
+const queueCollection = (db, barberId) => collection(db, ...scheduleDocPath(barberId), 'queue');
+
+/**
+ * What a barber card shows about walk-ins: the wait for the quickest service
+ * (null if they can't be seen today) and how many are queued. Null for a
+ * barber with no services.
+ */
+const getWalkInSummary = (barber, entries, appointments, now = new Date()) => {
+    const services = getActiveServices(barber);
+    if (services.length === 0) return null;
+    const wait = getWalkInWait({
+        availability: barber.availability,
+        entries,
+        appointments,
+        duration: Math.min(...services.map(s => s.duration)),
+        now,
+    });
+    return { wait, queueLength: entries.length };
+};
+
+/**
+ * Adds someone to today's queue. Remote joins use a per-customer, per-day id,
+ * so joining twice just keeps the existing place.
+ */
+const joinQueue = async (db, barberId, { name, services, customerUserId = null, source }) => {
+    const dateKey = toDateKey(new Date());
+    const entryRef = customerUserId
+        ? doc(queueCollection(db, barberId), `${dateKey}_${customerUserId}`)
+        : doc(queueCollection(db, barberId));
+
+    await runTransaction(db, async (transaction) => {
+        const existing = await transaction.get(entryRef);
+        if (existing.exists() && ACTIVE_QUEUE_STATUSES.includes(existing.data().status)) return;
+        transaction.set(entryRef, {
+            dateKey,
+            name,
+            services,
+            duration: summarizeServices(services).duration,
+            customerUserId,
+            source,
+            status: QUEUE_STATUS.WAITING,
+            joinedAt: serverTimestamp(),
+        });
+    });
+    return entryRef.id;
+};
+
+const updateQueueEntry = (db, barberId, entryId, status) => updateDoc(doc(queueCollection(db, barberId), entryId), {
+    status,
+    ...(status === QUEUE_STATUS.IN_SERVICE ? { startedAt: Date.now() } : {}),
+    ...(status === QUEUE_STATUS.DONE || status === QUEUE_STATUS.LEFT ? { finishedAt: Date.now() } : {}),
+});
+// --- End Walk-in Queue ---
+
+
+// --- Waitlist ---
+// Customers who find a day fully booked can wait for a time window at
+// barber_schedules/{barberId}/waitlist. Whenever a slot frees up (a cancellation,
+// a move, an abandoned checkout or a lapsed offer), waiting customers are offered
+// the earliest time that fits their window and services, in the order they
+// joined. An offer holds the slot in the day document for WAITLIST_HOLD_MINUTES;
+// after that it passes to the next person. Like the walk-in queue, entries carry
+// only a display name and the services, so any client that frees a slot can run
+// the hand-off.
+
+const WAITLIST_HOLD_MINUTES = 15; // firestore.rules caps offers at this
+const WAITLIST_STATUS = { WAITING: 'waiting', OFFERED: 'offered', BOOKED: 'booked', MISSED: 'missed', DECLINED: 'declined', LEFT: 'left' };
+const ACTIVE_WAITLIST_STATUSES = [WAITLIST_STATUS.WAITING, WAITLIST_STATUS.OFFERED];
+
+const fitsWaitlistWindow = (time, entry) => timeToMinutes(time) >= timeToMinutes(entry.windowStart)
+    && timeToMinutes(time) + entry.duration <= timeToMinutes(entry.windowEnd);
+
+/**
+ * Works out the hand-offs for one day. `entries` are the day's waitlist
+ * entries and `claimedSlots` the day document's `slots` map. Offers past their
+ * hold are lapsed (their held claims have already stopped counting), then each
+ * waiting customer, in the order they joined, is offered the earliest free time
+ * in their window. Returns { lapsed: [entryId], offers: [{ entryId, time, duration, expiresAt }] }.
+ */
+const planWaitlistOffers = ({ entries, claimedSlots, availability, date, nowMs = Date.now() }) => {
+    const dateKey = toDateKey(date);
+    const lapsed = entries
+        .filter(entry => entry.status === WAITLIST_STATUS.OFFERED && entry.offer.expiresAt <= nowMs)
+        .map(entry => entry.id);
+
+    let booked = claimsToAppointments(claimedSlots, dateKey, nowMs);
+    const offers = [];
+    [...entries]
+        .filter(entry => entry.status === WAITLIST_STATUS.WAITING)
+        .sort((a, b) => getJoinedAtMs(a) - getJoinedAtMs(b))
+        .forEach(entry => {
+            const slot = getAvailableSlots({ availability, date, duration: entry.duration, appointments: booked, now: new Date(nowMs) })
+                .find(candidate => fitsWaitlistWindow(candidate.time, entry));
+            if (!slot) return;
+            offers.push({ entryId: entry.id, time: slot.time, duration: entry.duration, expiresAt: nowMs + WAITLIST_HOLD_MINUTES * 60 * 1000 });
+            booked = [...booked, { id: null, dateKey, time: slot.time, duration: entry.duration, status: 'Confirmed' }];
+        });
+
+    return { lapsed, offers };
+};
+
+const waitlistCollection = (db, barberId) => collection(db, ...scheduleDocPath(barberId), 'waitlist');
+
+/**
+ * Puts a customer on a barber's waitlist for a day and time window. The entry
+ * id is per customer and day, so joining again while still waiting keeps the
+ * original place in line.
+ */
+const joinWaitlist = async (db, barber, { customerUserId, name, date, windowStart, windowEnd, services }) => {
+    const dateKey = toDateKey(date);
+    const entryRef = doc(waitlistCollection(db, barber.id), `${dateKey}_${customerUserId}`);
+
+    await runTransaction(db, async (transaction) => {
+        const existing = await transaction.get(entryRef);
+        if (existing.exists() && ACTIVE_WAITLIST_STATUSES.includes(existing.data().status)) return;
+        transaction.set(entryRef, {
+            dateKey,
+            date: date.toDateString(),
+            barberId: barber.id,
+            barberName: barber.name,
+            name,
+            customerUserId,
+            services,
+            serviceIds: services.map(s => s.id),
+            duration: summarizeServices(services).duration,
+            windowStart,
+            windowEnd,
+            status: WAITLIST_STATUS.WAITING,
+            offer: null,
+            joinedAt: serverTimestamp(),
+        });
+    });
+    return entryRef.id;
+};
+
+/**
+ * Hands freed time on a barber's day to the waitlist in one transaction:
+ * lapsed offers are closed and their holds released, and new offers are
+ * written to the entries with a matching hold on the day document. Each offer
+ * also goes to the notification outbox. Resolves to the offers made.
+ */
+const offerWaitlistSlots = async (db, barberId, dateKey) => {
+    const pending = await getDocs(query(waitlistCollection(db, barberId),
+        where('dateKey', '==', dateKey),
+        where('status', 'in', ACTIVE_WAITLIST_STATUSES)
+    ));
+    if (pending.empty) return [];
+
+    const barberSnap = await getDoc(doc(db, 'artifacts', appId, 'public', 'data', 'barbers', barberId));
+    const dayRef = doc(db, ...scheduleDocPath(barberId), 'days', dateKey);
+
+    return runTransaction(db, async (transaction) => {
+        const daySnap = await transaction.get(dayRef);
+        const entrySnaps = await Promise.all(pending.docs.map(d => transaction.get(d.ref)));
+        const entries = entrySnaps.filter(snap => snap.exists()).map(snap => ({ id: snap.id, ...snap.data() }));
+        const claimedSlots = daySnap.exists() ? daySnap.data().slots || {} : {};
+
+        const { lapsed, offers } = planWaitlistOffers({
+            entries,
+            claimedSlots,
+            availability: barberSnap.data()?.availability,
+            date: new Date(`${dateKey}T00:00`),
+        });
+        if (lapsed.length === 0 && offers.length === 0) return [];
+
+        // Lapsed holds are already ignored as claims, so leaving one for a later sweep is harmless.
+        // Offers beyond the per-write limit wait for the next sweep, keeping the queue order.
+        const slotChanges = {};
+        const hasRoom = (time) => time in slotChanges || Object.keys(slotChanges).length < MAX_SLOT_CHANGES_PER_WRITE;
+        lapsed.forEach(entryId => {
+            const { time } = entries.find(entry => entry.id === entryId).offer;
+            if (claimedSlots[time]?.waitlistEntryId === entryId && hasRoom(time)) slotChanges[time] = deleteField();
+            transaction.update(doc(waitlistCollection(db, barberId), entryId), { status: WAITLIST_STATUS.MISSED });
+        });
+        const made = [];
+        for (const offer of offers) {
+            if (!hasRoom(offer.time)) break;
+            made.push(offer);
+            const entry = entries.find(e => e.id === offer.entryId);
+            slotChanges[offer.time] = waitlistClaim(offer.entryId, entry.customerUserId, offer.duration, offer.expiresAt);
+            transaction.update(doc(waitlistCollection(db, barberId), offer.entryId), {
+                status: WAITLIST_STATUS.OFFERED,
+                offer: { time: offer.time, expiresAt: offer.expiresAt },
+            });
+            queueNotificationEvent(db, transaction, NOTIFICATION_TYPES.WAITLIST_OFFER, {
+                barberId, appointmentId: null, bookingId: null, customerUserId: entry.customerUserId,
+            }, { waitlistEntryId: offer.entryId });
+        }
+        if (Object.keys(slotChanges).length > 0) transaction.set(dayRef, daySlotsUpdate(slotChanges), { merge: true });
+        return made;
+    });
+};
+
+// Runs after a slot is freed; a failed hand-off is retried by the next sweep, so it never fails the caller
+const releaseToWaitlist = (db, barberId, dateKey) => offerWaitlistSlots(db, barberId, dateKey)
+    .catch(err => console.error("Failed to offer a freed slot to the waitlist:", err));
+
+/**
+ * Customer turns down an offer or leaves the waitlist. A held slot is released
+ * straight away and offered to the next person.
+ */
+const leaveWaitlist = async (db, entry, status = WAITLIST_STATUS.LEFT) => {
+    const entryRef = doc(waitlistCollection(db, entry.barberId), entry.id);
+    const dayRef = doc(db, ...scheduleDocPath(entry.barberId), 'days', entry.dateKey);
+
+    const released = await runTransaction(db, async (transaction) => {
+        const entrySnap = await transaction.get(entryRef);
+        const daySnap = await transaction.get(dayRef);
+        if (!entrySnap.exists() || !ACTIVE_WAITLIST_STATUSES.includes(entrySnap.data().status)) return false;
+
+        const time = entrySnap.data().offer?.time;
+        const held = time && daySnap.exists() && daySnap.data().slots?.[time]?.waitlistEntryId === entry.id;
+        if (held) transaction.set(dayRef, daySlotsUpdate({ [time]: deleteField() }), { merge: true });
+        transaction.update(entryRef, { status });
+        return held;
+    });
+
+    if (released) await releaseToWaitlist(db, entry.barberId, entry.dateKey);
+};
+// --- End Waitlist ---
+
+
+// --- Recurring Series ---
+// A recurring booking is a set of ordinary bookings, one per visit, that share
+// a `seriesId` and carry `series: { intervalWeeks, index, count }`. Each visit
+// is checked against availability before the series is confirmed; the whole
+// series is paid for at one checkout, and visits can be cancelled one at a
+// time or all together.
+
+const SERIES_INTERVAL_OPTIONS_WEEKS = [1, 2, 3, 4, 5, 6, 8];
+const MAX_SERIES_OCCURRENCES = 12;
+const SERIES_WINDOW_DAYS = 365; // Regulars book further ahead than the usual booking window
+
+/**
+ * Visit dates for a series starting on `start`, every `intervalWeeks`, ending
+ * after `count` visits or on `until` (a date key), whichever the caller sets.
+ * Never more than MAX_SERIES_OCCURRENCES.
+ */
+const getSeriesDates = ({ start, intervalWeeks, count = null, until = null }) => {
+    const dates = [];
+    for (let i = 0; i < MAX_SERIES_OCCURRENCES; i += 1) {
+        const date = new Date(start.getFullYear(), start.getMonth(), start.getDate() + i * intervalWeeks * 7);
+        if (count !== null && i >= count) break;
+        if (until !== null && toDateKey(date) > until) break;
+        dates.push(date);
+    }
+    return dates;
+};
+
+/**
+ * Checks every visit of a series against the barber's hours and the slots
+ * already claimed on each day (`claimsByDate`, appointment-shaped records keyed
+ * by date key). Returns one { date, dateKey, conflict } per visit, where
+ * `conflict` is null or a short reason the time doesn't work that day.
+ */
+const checkSeriesDates = ({ availability, dates, time, duration, claimsByDate, now = new Date() }) => dates.map(date => {
+    const dateKey = toDateKey(date);
+    const free = getAvailableSlots({ availability, date, duration, appointments: claimsByDate[dateKey] || [], now, windowDays: SERIES_WINDOW_DAYS })
+        .some(slot => slot.time === time);
+    if (free) return { date, dateKey, conflict: null };
+
+    const start = timeToMinutes(time);
+    const windows = getWorkingWindows(availability, date);
+    const lastBookable = new Date(now);
+    lastBookable.setDate(lastBookable.getDate() + SERIES_WINDOW_DAYS);
+    const conflict = dateKey > toDateKey(lastBookable) ? 'Too far ahead'
+        : windows.length === 0 ? 'Barber is off'
+        : !windows.some(w => start >= w.start && start + duration <= w.end) ? 'Outside working hours'
+        : 'Already booked';
+    return { date, dateKey, conflict };
+});
+// --- End Recurring Series ---
+
+
+// --- Mock Data Setup ---
+const MOCK_BARBERS = [
+    { 
+        id: "mike_cuts", name: "Mike's Cuts", rating: 5, imageUrl: "https://placehold.co/100x100/A07849/FFFFFF?text=Mike",
+        services: [
+            { id: "haircut", name: "Haircut", price: 2500, duration: 45, category: "Hair", description: "Classic cut and style, finished with a hot towel." },
+            { id: "beard_trim", name: "Beard Trim", price: 1000, duration: 20, category: "Beard", description: "Shape-up and line-up with clippers and razor." },
+        ],
+        reviewCount: 154,
+        location: { address: "12 Lane 5, Koregaon Park, Pune 411001", lat: 18.5362, lng: 73.8940 },
+        availability: {
+            slotInterval: 15,
+            weeklyHours: [
+                { open: false, start: '10:00', end: '18:00' },
+                { open: true, start: '10:00', end: '18:00' },
+                { open: true, start: '10:00', end: '18:00' },
+                { open: true, start: '10:00', end: '18:00' },
+                { open: true, start: '10:00', end: '18:00' },
+                { open: true, start: '10:00', end: '19:00' },
+                { open: true, start: '09:00', end: '15:00' },
+            ],
+            breaks: [{ start: '13:00', end: '14:00' }],
+            holidays: [],
+        },
+    },
+    { 
+        id: "trim_king", name: "The Trim King", rating: 4.9, imageUrl: "https://placehold.co/100x100/A07849/FFFFFF?text=King",
+        services: [
+            { id: "haircut", name: "Haircut", price: 2200, duration: 45, category: "Hair", description: "Scissor or clipper cut, washed and styled." },
+            { id: "hot_shave", name: "Hot Shave", price: 1500, duration: 30, category: "Shave", description: "Traditional straight-razor shave with hot towels." },
+        ],
+        reviewCount: 92,
+        location: { address: "FC Road, Shivajinagar, Pune 411004", lat: 18.5236, lng: 73.8410 },
+        availability: {
+            slotInterval: 30,
+            weeklyHours: [
+                { open: true, start: '11:00', end: '16:00' },
+                { open: false, start: '09:00', end: '17:00' },
+                { open: true, start: '09:00', end: '17:00' },
+                { open: true, start: '09:00', end: '17:00' },
+                { open: true, start: '09:00', end: '17:00' },
+                { open: true, start: '09:00', end: '17:00' },
+                { open: true, start: '09:00', end: '17:00' },
+            ],
+            breaks: [{ start: '13:00', end: '13:30' }],
+            holidays: [],
+        },
+    },
+    { 
+        id: "razor_edge", name: "Razor Edge", rating: 5, imageUrl: "https://placehold.co/100x100/A07849/FFFFFF?text=Razor",
+        services: [
+            { id: "head_massage", name: "Head Massage", price: 1800, duration: 30, category: "Spa", description: "Relaxing oil massage for scalp, neck and shoulders." },
+            { id: "hair_color", name: "Hair Color", price: 4000, duration: 60, category: "Color", description: "Full colour or grey blending with ammonia-free dye." },
+        ],
+        reviewCount: 201,
+        location: { address: "Baner Road, Baner, Pune 411045", lat: 18.5590, lng: 73.7868 },
+        availability: DEFAULT_AVAILABILITY,
+    },
+];
+
+// --- Firebase Component Hooks ---
+
+const useFirebase = () => {
+    const [db, setDb] = useState(null);
+    const [auth, setAuth] = useState(null);
+    const [userId, setUserId] = useState(null);
+    const [authUser, setAuthUser] = useState(null); // { uid, isAnonymous, email, phoneNumber }
+    const [isAuthReady, setIsAuthReady] = useState(false);
+
+    useEffect(() => {
+        if (Object.keys(firebaseConfig).length === 0) {
+            console.error("Firebase config is missing. Cannot initialize.");
+            return;
+        }
+
+        const app = initializeApp(firebaseConfig);
+        const firestore = getFirestore(app);
+        const authService = getAuth(app);
+
+        setDb(firestore);
+        setAuth(authService);
+        
+        // 1. Authentication Check
+        // onIdTokenChanged (rather than onAuthStateChanged) also fires when a guest account
+        // is upgraded in place by linking a credential, so isAnonymous stays current.
+        const unsubscribe = onIdTokenChanged(authService, async (user) => {
+            if (user) {
+                setUserId(user.uid);
+                setAuthUser({ uid: user.uid, isAnonymous: user.isAnonymous, email: user.email, phoneNumber: user.phoneNumber });
+            } else {
+                try {
+                    if (initialAuthToken) {
+                        const userCredential = await signInWithCustomToken(authService, initialAuthToken);
+                        setUserId(userCredential.user.uid);
+                    } else {
+                        const userCredential = await signInAnonymously(authService);
+                        setUserId(userCredential.user.uid);
+                    }
+                } catch (error) {
+                    console.error("Authentication failed:", error);
+                    setUserId(crypto.randomUUID());
+                }
+            }
+            setIsAuthReady(true);
+        });
+
+        return () => unsubscribe();
+    }, []);
+
+    // 2. Initial Data Seeding/Fetching (Mock Barbers)
+    useEffect(() => {
+        if (!db || !isAuthReady) return;
+
+        const seedBarbers = async () => {
+            const barbersRef = collection(db, 'artifacts', appId, 'public', 'data', 'barbers');
+            
+            const q = query(barbersRef, limit(1));
+            const snapshot = await getDocs(q);
+
+            if (snapshot.empty) {
+                console.log("Seeding initial mock barber data...");
+                MOCK_BARBERS.forEach(barber => {
+                    const docRef = doc(barbersRef, barber.id);
+                    setDoc(docRef, {
+                        ...barber,
+                        ...getBarberSearchFields(barber),
+                        location: toStoredLocation(barber.location),
+                    }).catch(e => console.error("Error seeding barber:", e));
+                });
+            }
         };
-        onConfirmBooking(bookingDetails);
+        
+        fetchWithBackoff(seedBarbers).catch(err => console.error("Failed to seed barbers after retries:", err));
+
+    }, [db, isAuthReady]);
+
+    return { db, auth, userId, authUser, isAuthReady };
+};
+
+// Live copy of the signed-in user's profile document (null until it exists)
+const useUserProfile = (db, userId) => {
+    const [profile, setProfile] = useState(null);
+
+    useEffect(() => {
+        if (!db || !userId) return;
+
+        const profileRef = doc(db, 'artifacts', appId, 'users', userId, 'profile', 'info');
+        const unsubscribe = onSnapshot(profileRef, (snapshot) => {
+            setProfile(snapshot.exists() ? snapshot.data() : null);
+        }, (err) => {
+            console.error("Firestore error fetching profile:", err);
+        });
+
+        return () => unsubscribe();
+    }, [db, userId]);
+
+    return profile;
+};
+
+// Today's claimed slots for a barber, as blocking appointments (no customer details)
+const useDayClaims = (db, barberId, dateKey) => {
+    const [claims, setClaims] = useState([]);
+
+    useEffect(() => {
+        if (!db || !barberId) return;
+
+        const dayRef = doc(db, ...scheduleDocPath(barberId), 'days', dateKey);
+        const unsubscribe = onSnapshot(dayRef, (snapshot) => {
+            setClaims(claimsToAppointments(snapshot.exists() ? snapshot.data().slots : {}, dateKey));
+        }, (err) => {
+            console.error("Firestore error fetching barber schedule:", err);
+            setClaims([]);
+        });
+
+        return () => unsubscribe();
+    }, [db, barberId, dateKey]);
+
+    return claims;
+};
+
+// Live walk-in queue for today, in service order
+const useWalkInQueue = (db, barberId) => {
+    const [entries, setEntries] = useState([]);
+    const dateKey = toDateKey(new Date());
+
+    useEffect(() => {
+        if (!db || !barberId) return;
+
+        const q = query(queueCollection(db, barberId), where('dateKey', '==', dateKey));
+        const unsubscribe = onSnapshot(q, (snapshot) => {
+            setEntries(sortQueue(snapshot.docs.map(d => ({ id: d.id, ...d.data() }))));
+        }, (err) => {
+            console.error("Firestore error fetching walk-in queue:", err);
+            setEntries([]);
+        });
+
+        return () => unsubscribe();
+    }, [db, barberId, dateKey]);
+
+    return entries;
+};
+
+// Queue entries with estimated start times, recomputed every minute as time passes
+const useQueueEstimates = (db, barber) => {
+    const entries = useWalkInQueue(db, barber?.id);
+    const appointments = useDayClaims(db, barber?.id, toDateKey(new Date()));
+    const [now, setNow] = useState(() => new Date());
+
+    useEffect(() => {
+        const timer = setInterval(() => setNow(new Date()), 60 * 1000);
+        return () => clearInterval(timer);
+    }, []);
+
+    const estimates = useMemo(() => barber
+        ? estimateQueueStarts({ availability: barber.availability, entries, appointments, now })
+        : [], [barber, entries, appointments, now]);
+
+    return { entries: estimates, appointments, now };
+};
+
+// The customer's waitlist entries across every barber, soonest day first
+const useMyWaitlist = (db, userId) => {
+    const [entries, setEntries] = useState([]);
+
+    useEffect(() => {
+        setEntries([]);
+        if (!db || !userId) return;
+
+        const q = query(collectionGroup(db, 'waitlist'), where('customerUserId', '==', userId));
+        const unsubscribe = onSnapshot(q, (snapshot) => {
+            setEntries(snapshot.docs
+                .filter(d => d.ref.path.startsWith(`artifacts/${appId}/`))
+                .map(d => ({ id: d.id, ...d.data() }))
+                .sort((a, b) => a.dateKey.localeCompare(b.dateKey) || a.windowStart.localeCompare(b.windowStart)));
+        }, (err) => {
+            console.error("Firestore error fetching waitlist:", err);
+        });
+
+        return () => unsubscribe();
+    }, [db, userId]);
+
+    return entries;
+};
+
+// A barber's waitlist from today on, by day and then in the order customers joined
+const useBarberWaitlist = (db, barberId) => {
+    const [entries, setEntries] = useState([]);
+    const todayKey = toDateKey(new Date());
+
+    useEffect(() => {
+        setEntries([]);
+        if (!db || !barberId) return;
+
+        const q = query(waitlistCollection(db, barberId), where('dateKey', '>=', todayKey));
+        const unsubscribe = onSnapshot(q, (snapshot) => {
+            setEntries(snapshot.docs
+                .map(d => ({ id: d.id, ...d.data() }))
+                .filter(entry => ACTIVE_WAITLIST_STATUSES.includes(entry.status))
+                .sort((a, b) => a.dateKey.localeCompare(b.dateKey) || getJoinedAtMs(a) - getJoinedAtMs(b)));
+        }, (err) => {
+            console.error("Firestore error fetching waitlist:", err);
+        });
+
+        return () => unsubscribe();
+    }, [db, barberId, todayKey]);
+
+    return entries;
+};
+
+/**
+ * Re-runs the waitlist hand-off every minute for each day that `entries` are
+ * waiting on, so an offer that runs out passes to the next person even when
+ * nothing else frees a slot.
+ */
+const useWaitlistSweep = (db, entries) => {
+    const targetsKey = [...new Set(entries
+        .filter(entry => ACTIVE_WAITLIST_STATUSES.includes(entry.status))
+        .map(entry => `${entry.barberId}/${entry.dateKey}`))].sort().join(',');
+
+    useEffect(() => {
+        if (!db || !targetsKey) return;
+
+        const sweep = () => targetsKey.split(',').forEach(target => {
+            const [barberId, dateKey] = target.split('/');
+            releaseToWaitlist(db, barberId, dateKey);
+        });
+        sweep();
+        const timer = setInterval(sweep, 60 * 1000);
+        return () => clearInterval(timer);
+    }, [db, targetsKey]);
+};
+
+/**
+ * Releases the checkout holds among `bookings` that have run out, giving back
+ * the slot and any promo code redemption. Checked every 15 seconds.
+ */
+const useExpiredHoldRelease = (db, userId, bookings) => {
+    // Kept in a ref so the timer always sees the latest bookings without restarting
+    const holds = useRef([]);
+    holds.current = bookings.filter(booking => booking.status === 'Pending Payment' && booking.holdExpiresAt);
+    const holdsKey = holds.current.map(booking => booking.id).sort().join(',');
+
+    useEffect(() => {
+        if (!db || !userId || !holdsKey) return;
+
+        const release = () => holds.current
+            .filter(booking => !isBlockingAppointment(booking))
+            .forEach(booking => abandonCheckout(db, userId, booking, { expiredOnly: true })
+                .catch(err => console.error("Error releasing expired hold:", err)));
+        release();
+        const timer = setInterval(release, 15 * 1000);
+        return () => clearInterval(timer);
+    }, [db, userId, holdsKey]);
+};
+
+/**
+ * Retries, every minute, the refunds among `records` that a cancellation left
+ * pending because the first attempt failed. `toRefs(record)` gives the ids
+ * refundCancelledBooking needs.
+ */
+const usePendingRefunds = (db, records, toRefs) => {
+    // Kept in a ref so the timer always sees the latest records without restarting
+    const pending = useRef([]);
+    pending.current = records
+        .filter(record => record.refundStatus === REFUND_STATUS.PENDING)
+        .map(record => ({ record, refs: toRefs(record) }));
+    const pendingKey = pending.current.map(({ record }) => record.id).sort().join(',');
+
+    useEffect(() => {
+        if (!db || !pendingKey) return;
+
+        const retry = () => pending.current.forEach(({ record, refs }) => {
+            refundCancelledBooking(db, refs, record)
+                .catch(err => console.error("Refund retry failed:", err));
+        });
+        retry();
+        const timer = setInterval(retry, 60 * 1000);
+        return () => clearInterval(timer);
+    }, [db, pendingKey]);
+};
+
+// The signed-in user's latest notifications, newest first
+const useNotifications = (db, userId) => {
+    const [notifications, setNotifications] = useState([]);
+
+    useEffect(() => {
+        if (!db || !userId) return;
+
+        const notificationsRef = collection(db, 'artifacts', appId, 'users', userId, 'notifications');
+        const q = query(notificationsRef, orderBy('createdAt', 'desc'), limit(30));
+        const unsubscribe = onSnapshot(q, (snapshot) => {
+            setNotifications(snapshot.docs.map(d => ({ id: d.id, ...d.data() })));
+        }, (err) => {
+            console.error("Firestore error fetching notifications:", err);
+        });
+
+        return () => unsubscribe();
+    }, [db, userId]);
+
+    return notifications;
+};
+
+// One-off read of a barber document; null if it no longer exists
+const fetchBarber = async (db, barberId) => {
+    const snapshot = await fetchWithBackoff(() => getDoc(doc(db, 'artifacts', appId, 'public', 'data', 'barbers', barberId)));
+    return snapshot.exists() ? { id: snapshot.id, ...snapshot.data() } : null;
+};
+
+// Live copy of one barber document (null until loaded or if it doesn't exist)
+const useBarber = (db, barberId) => {
+    const [barber, setBarber] = useState(null);
+
+    useEffect(() => {
+        setBarber(null);
+        if (!db || !barberId) return;
+
+        const barberRef = doc(db, 'artifacts', appId, 'public', 'data', 'barbers', barberId);
+        const unsubscribe = onSnapshot(barberRef, (snapshot) => {
+            setBarber(snapshot.exists() ? { id: snapshot.id, ...snapshot.data() } : null);
+        }, (err) => {
+            console.error("Firestore error fetching barber:", err);
+        });
+
+        return () => unsubscribe();
+    }, [db, barberId]);
+
+    return barber;
+};
+
+// Every barber, by name. Only the admin panel needs the whole list.
+const useAllBarbers = (db) => {
+    const [barbers, setBarbers] = useState([]);
+
+    useEffect(() => {
+        if (!db) return;
+
+        const barbersRef = collection(db, 'artifacts', appId, 'public', 'data', 'barbers');
+        const unsubscribe = onSnapshot(query(barbersRef, orderBy('name')), (snapshot) => {
+            setBarbers(snapshot.docs.map(d => ({ id: d.id, ...d.data() })));
+        }, (err) => {
+            console.error("Firestore error fetching barbers:", err);
+        });
+
+        return () => unsubscribe();
+    }, [db]);
+
+    return barbers;
+};
+
+/**
+ * One page of barbers matching the home-view filters, plus each one's next
+ * free slot and walk-in wait today. Today's slots and walk-in queue are
+ * fetched once per result rather than kept live, so a long list doesn't hold
+ * open listeners for every card.
+ */
+const useBarberSearch = (db, filters, pageSize) => {
+    const [state, setState] = useState({ barbers: [], nextSlots: {}, walkIns: {}, loading: true, error: null, hasMore: false });
+
+    useEffect(() => {
+        if (!db) return;
+
+        let cancelled = false;
+        let latestUpdate = 0;
+        const { queries, matches } = getBarberQueryPlan(filters, pageSize);
+        const barbersRef = collection(db, 'artifacts', appId, 'public', 'data', 'barbers');
+        const dateKey = toDateKey(new Date());
+        const pages = queries.map(() => null); // Latest snapshot of each query
+        const claimsByBarber = new Map(); // Today's claims, fetched once per barber
+        const queuesByBarber = new Map(); // Today's walk-in queue, likewise
+        setState(prev => ({ ...prev, loading: true, error: null }));
+
+        const getClaims = async (barberId) => {
+            if (!claimsByBarber.has(barberId)) {
+                claimsByBarber.set(barberId, getDoc(doc(db, ...scheduleDocPath(barberId), 'days', dateKey))
+                    .then(daySnap => claimsToAppointments(daySnap.exists() ? daySnap.data().slots : {}, dateKey))
+                    .catch(e => {
+                        console.error("Error fetching today's schedule:", e);
+                        return null;
+                    }));
+            }
+            return claimsByBarber.get(barberId);
+        };
+
+        const getQueue = async (barberId) => {
+            if (!queuesByBarber.has(barberId)) {
+                queuesByBarber.set(barberId, getDocs(query(queueCollection(db, barberId), where('dateKey', '==', dateKey)))
+                    .then(snapshot => sortQueue(snapshot.docs.map(d => ({ id: d.id, ...d.data() }))))
+                    .catch(e => {
+                        console.error("Error fetching today's walk-in queue:", e);
+                        return null;
+                    }));
+            }
+            return queuesByBarber.get(barberId);
+        };
+
+        const publish = async () => {
+            if (pages.some(page => page === null)) return; // Wait for every query's first result
+            const update = ++latestUpdate; // A slow day-document fetch mustn't overwrite a newer result
+            const byId = new Map();
+            pages.forEach(page => page.docs.forEach(d => byId.set(d.id, { id: d.id, ...d.data() })));
+            const barbers = [...byId.values()].filter(matches);
+            const nextSlots = {};
+            const walkIns = {};
+            await Promise.all(barbers.map(async (barber) => {
+                const [claims, queue] = await Promise.all([getClaims(barber.id), getQueue(barber.id)]);
+                nextSlots[barber.id] = claims ? getNextSlotToday(barber, claims) : null;
+                walkIns[barber.id] = claims && queue ? getWalkInSummary(barber, queue, claims) : null;
+            }));
+            if (cancelled || update !== latestUpdate) return;
+            setState({ barbers, nextSlots, walkIns, loading: false, error: null, hasMore: pages.some(page => page.size === pageSize) });
+        };
+
+        const unsubscribes = queries.map((constraints, i) => onSnapshot(query(barbersRef, ...constraints), (snapshot) => {
+            pages[i] = snapshot;
+            publish();
+        }, (err) => {
+            console.error("Firestore error searching barbers:", err);
+            if (!cancelled) setState({ barbers: [], nextSlots: {}, walkIns: {}, loading: false, error: "Couldn't load barbers. Please try again.", hasMore: false });
+        }));
+
+        return () => {
+            cancelled = true;
+            unsubscribes.forEach(unsubscribe => unsubscribe());
+        };
+    }, [db, filters, pageSize]);
+
+    return state;
+};
+
+// Live shop document (null until loaded, or for a barber that isn't part of a shop)
+const useShop = (db, shopId) => {
+    const [shop, setShop] = useState(null);
+
+    useEffect(() => {
+        setShop(null);
+        if (!db || !shopId) return;
+
+        const unsubscribe = onSnapshot(shopRef(db, shopId), (snapshot) => {
+            setShop(snapshot.exists() ? { id: snapshot.id, ...snapshot.data() } : null);
+        }, (err) => {
+            console.error("Firestore error fetching shop:", err);
+        });
+
+        return () => unsubscribe();
+    }, [db, shopId]);
+
+    return shop;
+};
+
+// A shop's stylists, in chair order
+const useShopStaff = (db, shopId) => {
+    const [staff, setStaff] = useState([]);
+
+    useEffect(() => {
+        setStaff([]);
+        if (!db || !shopId) return;
+
+        const barbersRef = collection(db, 'artifacts', appId, 'public', 'data', 'barbers');
+        const unsubscribe = onSnapshot(query(barbersRef, where('shopId', '==', shopId)), (snapshot) => {
+            setStaff(sortStaff(snapshot.docs.map(d => ({ id: d.id, ...d.data() }))));
+        }, (err) => {
+            console.error("Firestore error fetching shop staff:", err);
+        });
+
+        return () => unsubscribe();
+    }, [db, shopId]);
+
+    return staff;
+};
+
+// Claimed slots for several barbers on one day, keyed by barber id
+const useStaffDayClaims = (db, barberIds, dateKey) => {
+    const [claimsById, setClaimsById] = useState({});
+    const idsKey = barberIds.join(',');
+
+    useEffect(() => {
+        setClaimsById({});
+        if (!db || !idsKey) return;
+
+        const unsubscribes = idsKey.split(',').map(barberId => onSnapshot(
+            doc(db, ...scheduleDocPath(barberId), 'days', dateKey),
+            (snapshot) => {
+                const claims = claimsToAppointments(snapshot.exists() ? snapshot.data().slots : {}, dateKey);
+                setClaimsById(prev => ({ ...prev, [barberId]: claims }));
+            },
+            (err) => {
+                console.error("Firestore error fetching barber schedule:", err);
+                setClaimsById(prev => ({ ...prev, [barberId]: [] }));
+            }
+        ));
+
+        return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+    }, [db, idsKey, dateKey]);
+
+    return claimsById;
+};
+
+// One barber's claimed slots on several days, keyed by date key; `loaded` once every day has been read
+const useSeriesClaims = (db, barberId, dateKeys) => {
+    const [claimsByDate, setClaimsByDate] = useState({});
+    const datesKey = dateKeys.join(',');
+
+    useEffect(() => {
+        setClaimsByDate({});
+        if (!db || !barberId || !datesKey) return;
+
+        const unsubscribes = datesKey.split(',').map(dateKey => onSnapshot(
+            doc(db, ...scheduleDocPath(barberId), 'days', dateKey),
+            (snapshot) => setClaimsByDate(prev => ({ ...prev, [dateKey]: claimsToAppointments(snapshot.exists() ? snapshot.data().slots : {}, dateKey) })),
+            (err) => console.error("Firestore error fetching barber schedule:", err)
+        ));
+
+        return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+    }, [db, barberId, datesKey]);
+
+    return { claimsByDate, loaded: dateKeys.every(dateKey => claimsByDate[dateKey]) };
+};
+
+// Several barbers' appointments on one day, keyed by barber id (shop owners see all their stylists)
+const useShopDayAppointments = (db, barberIds, day) => {
+    const [byBarber, setByBarber] = useState({});
+    const idsKey = barberIds.join(',');
+    const dayStartMs = new Date(day.getFullYear(), day.getMonth(), day.getDate()).getTime();
+
+    useEffect(() => {
+        setByBarber({});
+        if (!db || !idsKey) return;
+
+        const dayEnd = new Date(dayStartMs);
+        dayEnd.setDate(dayEnd.getDate() + 1);
+        const unsubscribes = idsKey.split(',').map(barberId => onSnapshot(
+            query(collection(db, ...scheduleDocPath(barberId), 'appointments'),
+                where('startAt', '>=', Timestamp.fromMillis(dayStartMs)),
+                where('startAt', '<', Timestamp.fromDate(dayEnd)),
+                orderBy('startAt')
+            ),
+            (snapshot) => setByBarber(prev => ({ ...prev, [barberId]: snapshot.docs.map(d => ({ id: d.id, ...d.data() })) })),
+            (err) => console.error("Firestore error fetching shop schedule:", err)
+        ));
+
+        return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+    }, [db, idsKey, dayStartMs]);
+
+    return byBarber;
+};
+
+// Live pricing config with defaults filled in, so callers never wait on it
+const usePricingConfig = (db) => {
+    const [config, setConfig] = useState(DEFAULT_PRICING_CONFIG);
+
+    useEffect(() => {
+        if (!db) return;
+
+        const unsubscribe = onSnapshot(pricingConfigRef(db), (snapshot) => {
+            setConfig(resolvePricingConfig(snapshot.exists() ? snapshot.data() : null));
+        }, (err) => {
+            console.error("Firestore error fetching pricing config:", err);
+        });
+
+        return () => unsubscribe();
+    }, [db]);
+
+    return config;
+};
+
+
+// --- Payments ---
+// Checkout goes through a pluggable payment provider. A provider is any object with:
+//   name                                               - stored on the booking for support/audit
+//   createPayment({ amount, currency, reference })     -> { paymentId, status: 'pending' }
+//   confirmPayment(paymentId, { cardNumber, expiry, cvc })
+//                                                      -> { paymentId, status: 'paid' | 'failed', failureReason?, cardLast4? }
+//   refundPayment(paymentId, amount, idempotencyKey)   -> { refundId, status: 'refunded', amount }
+//                                                      (repeating a key returns the first refund instead of paying twice)
+// Once a payment goes through, server/payments.mjs checks it with the provider and confirms
+// the booking; the security rules don't let the app do that itself. Swap `paymentProvider`
+// below for a real gateway adapter, and give the server a matching gateway.
+
+const PAYMENT_STATUS = { PENDING: 'pending', PAID: 'paid', FAILED: 'failed', REFUNDED: 'refunded' };
+// `refundStatus` on a cancelled booking: recorded as pending with the cancellation, done once the provider pays it out
+const REFUND_STATUS = { PENDING: 'pending', REFUNDED: 'refunded' };
+const PAYMENT_HOLD_MINUTES = 10; // How long a slot is held while the customer pays; firestore.rules caps new holds at this
+const CURRENCY = 'INR';
+
+const REFUND_POLICY = {
+    fullRefundHours: 24, // Customer cancels at least this far ahead: service price back (booking fee kept)
+    partialRefundRate: 0.5, // Later than that (but before the change cutoff): this share of the service price
+};
+
+/**
+ * Offline provider for demos and tests. Card numbers follow the usual test
+ * conventions: 4242 4242 4242 4242 succeeds, 4000 0000 0000 0002 is declined,
+ * 4000 0000 0000 9995 fails for insufficient funds. Any other 16 digits succeed.
+ */
+const createMockPaymentProvider = ({ latencyMs = 800 } = {}) => {
+    const payments = new Map();
+    const refunds = new Map();
+    const settle = () => new Promise(resolve => setTimeout(resolve, latencyMs));
+    const declines = {
+        '4000000000000002': 'Your card was declined.',
+        '4000000000009995': 'Your card has insufficient funds.',
+    };
+
+    return {
+        name: 'mock',
+
+        async createPayment({ amount, currency, reference }) {
+            await settle();
+            const paymentId = `mock_pay_${crypto.randomUUID()}`;
+            payments.set(paymentId, { amount, currency, reference, status: PAYMENT_STATUS.PENDING });
+            return { paymentId, status: PAYMENT_STATUS.PENDING };
+        },
+
+        async confirmPayment(paymentId, { cardNumber }) {
+            await settle();
+            const digits = cardNumber.replace(/\D/g, '');
+            const payment = payments.get(paymentId);
+            const failureReason = !payment ? 'Unknown payment.'
+                : digits.length !== 16 ? 'Card number must have 16 digits.'
+                : declines[digits];
+
+            if (failureReason) {
+                if (payment) payment.status = PAYMENT_STATUS.FAILED;
+                return { paymentId, status: PAYMENT_STATUS.FAILED, failureReason };
+            }
+            payment.status = PAYMENT_STATUS.PAID;
+            return { paymentId, status: PAYMENT_STATUS.PAID, cardLast4: digits.slice(-4) };
+        },
+
+        async refundPayment(paymentId, amount, idempotencyKey) {
+            await settle();
+            if (idempotencyKey && refunds.has(idempotencyKey)) return refunds.get(idempotencyKey);
+            // Payments from an earlier session aren't in memory; the mock refunds them anyway
+            const payment = payments.get(paymentId);
+            if (payment) payment.status = PAYMENT_STATUS.REFUNDED;
+            const refund = { refundId: `mock_ref_${crypto.randomUUID()}`, status: PAYMENT_STATUS.REFUNDED, amount };
+            if (idempotencyKey) refunds.set(idempotencyKey, refund);
+            return refund;
+        },
+    };
+};
+
+const paymentProvider = createMockPaymentProvider();
+
+/**
+ * How much of a paid booking (or appointment) goes back to the customer on
+ * cancellation. Barber cancellations refund everything; customer cancellations
+ * keep the booking fee and its tax, and refund the services and their tax in
+ * full or in part depending on notice.
+ */
+const getRefundAmount = (record, cancelledBy, now = new Date()) => {
+    const { payment } = record;
+    if (payment?.status !== PAYMENT_STATUS.PAID) return 0;
+    if (cancelledBy === 'barber') return payment.amount;
+
+    const hoursNotice = (getAppointmentStart(record).getTime() - now.getTime()) / (60 * 60 * 1000);
+    // Bookings from before pricing breakdowns were stored only know the fee
+    const servicePrice = record.pricing ? getServicesCharge(record.pricing) : payment.amount - (payment.bookingFee || 0);
+    if (hoursNotice >= REFUND_POLICY.fullRefundHours) return servicePrice;
+    if (hoursNotice >= CHANGE_CUTOFF_HOURS) return Math.round(servicePrice * REFUND_POLICY.partialRefundRate);
+    return 0;
+};
+
+// Fields a cancellation writes when money is due back. The refund itself runs after the commit.
+const getRefundDueFields = (record, cancelledBy) => {
+    const amount = getRefundAmount(record, cancelledBy);
+    return amount > 0 ? { refundStatus: REFUND_STATUS.PENDING, refundAmount: amount } : {};
+};
+// --- End Payments ---
+
+
+// --- Booking Transactions ---
+
+const SLOT_TAKEN = 'booking/slot-taken';
+const HOLD_EXPIRED = 'booking/hold-expired';
+const CHANGE_NOT_ALLOWED = 'booking/change-not-allowed';
+
+const bookingError = (code, message) => {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+};
+
+const scheduleDocPath = (barberId) => ['artifacts', appId, 'public', 'data', 'barber_schedules', barberId];
+
+// Entry for a day document's `slots` map. Confirmed claims explicitly drop any stale
+// hold expiry (or waitlist hold), because merged writes would otherwise keep it from an earlier claim.
+const slotClaim = (appointmentId, customerUserId, duration, holdExpiresAt = null) => ({
+    appointmentId,
+    customerUserId,
+    duration,
+    holdExpiresAt: holdExpiresAt || deleteField(),
+    waitlistEntryId: deleteField(),
+});
+
+// A slot held for a waitlisted customer while they decide; it lapses like a checkout hold
+const waitlistClaim = (waitlistEntryId, customerUserId, duration, holdExpiresAt) => ({
+    appointmentId: null,
+    customerUserId,
+    waitlistEntryId,
+    duration,
+    holdExpiresAt,
+});
+
+// Most slot changes a customer's write may make to one day document (the security rules check each one)
+const MAX_SLOT_CHANGES_PER_WRITE = 4;
+
+// A merge write of slot changes to a day document. `changedTimes` names the
+// slots touched so the security rules can check each against its owner.
+const daySlotsUpdate = (changes) => ({ slots: changes, changedTimes: Object.keys(changes) });
+
+// Booking changes are written to an outbox (notification_events) in the same
+// transaction as the change itself; server/notification-scheduler.mjs turns them
+// into in-app notifications and email/SMS messages, and adds reminders.
+// The security rules check each event against the appointment (or waitlist
+// entry) it names, and the scheduler takes recipients from that document.
+const NOTIFICATION_TYPES = {
+    CONFIRMED: 'booking-confirmed',
+    REMINDER: 'booking-reminder',
+    CANCELLED: 'booking-cancelled',
+    RESCHEDULED: 'booking-rescheduled',
+    WAITLIST_OFFER: 'waitlist-offer',
+};
+
+const queueNotificationEvent = (db, transaction, type, { barberId, appointmentId, bookingId, customerUserId }, extra = {}) => {
+    // Bookings from before appointments were linked have nothing to check an event against
+    if (!appointmentId && !extra.waitlistEntryId) return;
+    transaction.set(doc(collection(db, 'artifacts', appId, 'notification_events')), {
+        type,
+        barberId,
+        appointmentId,
+        bookingId,
+        customerUserId,
+        ...extra,
+        createdAt: serverTimestamp(),
+        processedAt: null,
+    });
+};
+
+/**
+ * The customer's copy and the barber's copy of a new booking. Both share the
+ * booking id and start as 'Pending Payment', held until `holdExpiresAt`.
+ */
+const newBookingRecords = (userId, details, bookingId, holdExpiresAt) => {
+    const times = getAppointmentTimestamps(details);
+    const payment = {
+        status: PAYMENT_STATUS.PENDING,
+        provider: paymentProvider.name,
+        amount: details.totalPrice,
+        bookingFee: details.bookingFee,
+        currency: CURRENCY,
+    };
+    const promoCode = details.pricing.discount?.code || null;
+
+    return {
+        booking: {
+            ...details,
+            ...times,
+            appointmentId: bookingId,
+            timestamp: serverTimestamp(),
+            userId: userId,
+            status: 'Pending Payment',
+            holdExpiresAt,
+            payment,
+            promoCode,
+        },
+        appointment: {
+            date: details.date,
+            dateKey: details.dateKey,
+            time: details.time,
+            ...times,
+            service: details.service,
+            services: details.services,
+            duration: details.duration,
+            bookingId,
+            shopId: details.shopId || null,
+            chair: details.chair ?? null,
+            ...(details.seriesId && { seriesId: details.seriesId, series: details.series }),
+            customerUserId: userId,
+            customerName: details.customer.name,
+            customerPhone: details.customer.phone,
+            customerEmail: details.customer.email,
+            pricing: details.pricing,
+            priceEarned: details.pricing.barberPayout,
+            timestamp: serverTimestamp(),
+            status: 'Pending Payment',
+            holdExpiresAt,
+            payment,
+            promoCode,
+        },
+    };
+};
+
+// Real start/end timestamps alongside the display `date` string, so appointments can be range-queried and sorted
+const getAppointmentTimestamps = (record) => {
+    const start = getAppointmentStart(record);
+    return {
+        startAt: Timestamp.fromDate(start),
+        endAt: Timestamp.fromDate(new Date(start.getTime() + (record.duration || 0) * 60 * 1000)),
+    };
+};
+
+/**
+ * Books a slot for a customer in a single Firestore transaction.
+ * The barber's day document (barber_schedules/{barberId}/days/{dateKey}) acts as
+ * the lock: every booking claims its start time in that document's `slots` map,
+ * so two customers racing for overlapping times can't both succeed. The user's
+ * booking and the barber's appointment share one id and are written together,
+ * so they can never drift apart. Rejects with `code === SLOT_TAKEN` on a clash.
+ *
+ * The booking starts as 'Pending Payment' with the slot held for
+ * PAYMENT_HOLD_MINUTES; confirmBookingPayment makes it Confirmed. With
+ * `details.waitlistEntryId`, the slot held for that waitlist offer counts as
+ * free and the entry is marked booked.
+ */
+const bookAppointment = async (db, userId, details) => {
+    const dayRef = doc(db, ...scheduleDocPath(details.barberId), 'days', details.dateKey);
+    const appointmentRef = doc(collection(db, ...scheduleDocPath(details.barberId), 'appointments'));
+    const bookingRef = doc(db, 'artifacts', appId, 'users', userId, 'bookings', appointmentRef.id);
+    const discount = details.pricing.discount;
+    // Queries can't run inside a transaction, so first-visit eligibility is checked up front
+    const isFirstVisit = discount ? await checkFirstVisit(db, userId) : true;
+
+    await runTransaction(db, async (transaction) => {
+        const daySnap = await transaction.get(dayRef);
+        const claimedSlots = daySnap.exists() ? daySnap.data().slots : {};
+        const promoDocRef = discount && promoRef(db, discount.code);
+        const promoSnap = discount && await transaction.get(promoDocRef);
+        const usageSnap = discount && await transaction.get(doc(promoDocRef, 'usage', userId));
+        const waitlistRef = details.waitlistEntryId && doc(waitlistCollection(db, details.barberId), details.waitlistEntryId);
+        const waitlistSnap = waitlistRef && await transaction.get(waitlistRef);
+
+        const otherClaims = { ...claimedSlots };
+        if (waitlistRef && otherClaims[details.time]?.waitlistEntryId === details.waitlistEntryId) delete otherClaims[details.time];
+        if (findSlotConflict(otherClaims, details.time, details.duration)) {
+            throw bookingError(SLOT_TAKEN, `Slot ${details.time} on ${details.date} is no longer available.`);
+        }
+
+        if (discount) {
+            const promo = promoSnap.exists() ? promoSnap.data() : null;
+            const problem = validatePromo(promo, {
+                barberId: details.barberId,
+                services: details.services,
+                usedByUser: getPromoUsage(usageSnap),
+                isFirstVisit,
+            }) || ((promo.type !== discount.type || promo.value !== discount.value) && 'That code has changed. Please apply it again.');
+            if (problem) throw bookingError(PROMO_INVALID, problem);
+
+            transaction.update(promoDocRef, { redemptionCount: increment(1), lastRedemptionId: appointmentRef.id });
+            transaction.set(doc(promoDocRef, 'usage', userId), { count: increment(1) }, { merge: true });
+            transaction.set(doc(promoDocRef, 'redemptions', appointmentRef.id), {
+                userId,
+                barberId: details.barberId,
+                amount: discount.amount,
+                redeemedAt: serverTimestamp(),
+            });
+        }
+
+        const holdExpiresAt = Date.now() + PAYMENT_HOLD_MINUTES * 60 * 1000;
+
+        transaction.set(dayRef, daySlotsUpdate({
+            [details.time]: slotClaim(appointmentRef.id, userId, details.duration, holdExpiresAt),
+        }), { merge: true });
+
+        if (waitlistSnap?.exists() && ACTIVE_WAITLIST_STATUSES.includes(waitlistSnap.data().status)) {
+            transaction.update(waitlistRef, { status: WAITLIST_STATUS.BOOKED, bookingId: bookingRef.id });
+        }
+
+        const records = newBookingRecords(userId, details, bookingRef.id, holdExpiresAt);
+        transaction.set(bookingRef, records.booking);
+        transaction.set(appointmentRef, records.appointment);
+    });
+
+    return bookingRef.id;
+};
+
+/**
+ * Books every visit of a recurring series in one transaction, the same way
+ * bookAppointment books one: each visit claims its time on its own day
+ * document and gets its own booking and appointment, all held until the
+ * series is paid for. `dateKeys` are the visits that passed the conflict check;
+ * if any has been taken since, nothing is written and SLOT_TAKEN names the day.
+ * Promo codes don't apply to a series (rejects with PROMO_INVALID), and a
+ * waitlist offer is for one day only, so it isn't carried over to the visits.
+ * Resolves to the visits' booking records, first visit first.
+ */
+const bookSeries = async (db, userId, { waitlistEntryId, ...details }, { intervalWeeks, dateKeys }) => {
+    if (details.pricing.discount) throw bookingError(PROMO_INVALID, "Promo codes can't be used on a repeating booking.");
+
+    const seriesId = crypto.randomUUID();
+    const visits = dateKeys.map((dateKey, index) => {
+        const visit = {
+            ...details,
+            date: new Date(`${dateKey}T00:00`).toDateString(),
+            dateKey,
+            seriesId,
+            series: { intervalWeeks, index, count: dateKeys.length },
+        };
+        const appointmentRef = doc(collection(db, ...scheduleDocPath(details.barberId), 'appointments'));
+        return {
+            visit,
+            appointmentRef,
+            bookingRef: doc(db, 'artifacts', appId, 'users', userId, 'bookings', appointmentRef.id),
+            dayRef: doc(db, ...scheduleDocPath(details.barberId), 'days', dateKey),
+        };
+    });
+
+    const holdExpiresAt = Date.now() + PAYMENT_HOLD_MINUTES * 60 * 1000;
+    await runTransaction(db, async (transaction) => {
+        const daySnaps = await Promise.all(visits.map(({ dayRef }) => transaction.get(dayRef)));
+        visits.forEach(({ visit }, i) => {
+            if (findSlotConflict(daySnaps[i].exists() ? daySnaps[i].data().slots : {}, visit.time, visit.duration)) {
+                throw bookingError(SLOT_TAKEN, `Slot ${visit.time} on ${visit.date} is no longer available.`);
+            }
+        });
+
+        visits.forEach(({ visit, appointmentRef, bookingRef, dayRef }) => {
+            transaction.set(dayRef, daySlotsUpdate({
+                [visit.time]: slotClaim(appointmentRef.id, userId, visit.duration, holdExpiresAt),
+            }), { merge: true });
+            const records = newBookingRecords(userId, visit, bookingRef.id, holdExpiresAt);
+            transaction.set(bookingRef, records.booking);
+            transaction.set(appointmentRef, records.appointment);
+        });
+    });
+
+    return visits.map(({ visit, bookingRef }) => ({
+        ...visit, id: bookingRef.id, appointmentId: bookingRef.id, status: 'Pending Payment', holdExpiresAt,
+    }));
+};
+
+/**
+ * Has server/payments.mjs mark a pending booking as paid and Confirmed, turning
+ * its slot hold into a permanent claim. A recurring series is paid for in one
+ * go, so with `booking.seriesBookings` every visit is confirmed together. If a
+ * hold lapsed and someone else took the time meanwhile, rejects with
+ * SLOT_TAKEN; if the lapsed booking was already released, with HOLD_EXPIRED.
+ * Either way the caller refunds. Confirming is idempotent, so server errors
+ * and dropped connections are retried.
+ */
+const confirmBookingPayment = async (auth, booking, paymentResult) => {
+    const bookingIds = (booking.seriesBookings || [booking]).map(visit => visit.id);
+    const idToken = await auth.currentUser.getIdToken();
+
+    await fetchWithBackoff(async () => {
+        const response = await fetch(`${PAYMENTS_URL}/payments/confirm`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${idToken}` },
+            body: JSON.stringify({ paymentId: paymentResult.paymentId, bookingIds, cardLast4: paymentResult.cardLast4 || null }),
+        });
+        if (!response.ok) {
+            const { error, code } = await response.json().catch(() => ({}));
+            throw Object.assign(bookingError(code || null, error || `Payment confirmation failed: ${response.status}`), { status: response.status });
+        }
+    });
+};
+
+// Records a declined attempt; the booking stays pending so the customer can retry while the hold lasts
+const recordPaymentFailure = (db, userId, booking, paymentResult) => {
+    const update = {
+        'payment.status': PAYMENT_STATUS.FAILED,
+        'payment.paymentId': paymentResult.paymentId,
+        'payment.failureReason': paymentResult.failureReason,
+    };
+    return Promise.all([
+        updateDoc(doc(db, 'artifacts', appId, 'users', userId, 'bookings', booking.id), update),
+        updateDoc(doc(db, ...scheduleDocPath(booking.barberId), 'appointments', booking.appointmentId), update),
+    ]);
+};
+
+/**
+ * Customer left checkout without paying: drop the booking and release its hold
+ * and promo code. With `expiredOnly`, only does so once the hold has run out.
+ */
+const abandonCheckout = async (db, userId, booking, { expiredOnly = false } = {}) => {
+    const bookingRef = doc(db, 'artifacts', appId, 'users', userId, 'bookings', booking.id);
+    const appointmentRef = doc(db, ...scheduleDocPath(booking.barberId), 'appointments', booking.appointmentId);
+    const dayRef = doc(db, ...scheduleDocPath(booking.barberId), 'days', booking.dateKey);
+
+    await runTransaction(db, async (transaction) => {
+        const bookingSnap = await transaction.get(bookingRef);
+        const daySnap = await transaction.get(dayRef);
+        if (!bookingSnap.exists() || bookingSnap.data().status !== 'Pending Payment') return;
+        if (expiredOnly && isBlockingAppointment(bookingSnap.data())) return;
+
+        if (daySnap.exists() && daySnap.data().slots?.[booking.time]?.appointmentId === booking.appointmentId) {
+            transaction.set(dayRef, daySlotsUpdate({ [booking.time]: deleteField() }), { merge: true });
+        }
+        const update = {
+            status: 'Cancelled',
+            cancelledBy: expiredOnly ? 'hold-expired' : 'checkout',
+            cancelledAt: serverTimestamp(),
+            holdExpiresAt: deleteField(),
+        };
+        transaction.update(bookingRef, update);
+        transaction.update(appointmentRef, update);
+
+        // An unpaid booking shouldn't use up the customer's promo code
+        const code = bookingSnap.data().promoCode;
+        if (code) {
+            transaction.update(promoRef(db, code), { releasedCount: increment(1), lastRedemptionId: booking.appointmentId });
+            transaction.set(doc(promoRef(db, code), 'usage', userId), { released: increment(1) }, { merge: true });
+            transaction.update(doc(promoRef(db, code), 'redemptions', booking.appointmentId), { releasedAt: serverTimestamp() });
+        }
+    });
+
+    releaseToWaitlist(db, booking.barberId, booking.dateKey);
+};
+
+// Bookings whose refund is being paid out by this session, so a retry doesn't race the first attempt
+const refundsInFlight = new Set();
+
+/**
+ * Pays out the refund a cancellation recorded as pending and marks it done on
+ * both copies. Returns the amount refunded (0 if none was pending). The refund
+ * is keyed on the booking, so retrying one that did go through doesn't pay twice.
+ * `record` is either the user booking or the barber appointment.
+ */
+const refundCancelledBooking = async (db, { userId, bookingId, barberId, appointmentId }, record) => {
+    if (record.refundStatus !== REFUND_STATUS.PENDING || refundsInFlight.has(bookingId)) return 0;
+
+    refundsInFlight.add(bookingId);
+    try {
+        const refund = await paymentProvider.refundPayment(record.payment.paymentId, record.refundAmount, `refund_${bookingId}`);
+        const update = {
+            refundStatus: REFUND_STATUS.REFUNDED,
+            'payment.status': PAYMENT_STATUS.REFUNDED,
+            'payment.refundId': refund.refundId,
+            'payment.refundedAmount': record.refundAmount,
+            'payment.refundedAt': serverTimestamp(),
+        };
+        await Promise.all([
+            updateDoc(doc(db, 'artifacts', appId, 'users', userId, 'bookings', bookingId), update),
+            appointmentId && updateDoc(doc(db, ...scheduleDocPath(barberId), 'appointments', appointmentId), update),
+        ]);
+        return record.refundAmount;
+    } finally {
+        refundsInFlight.delete(bookingId);
+    }
+};
+
+/**
+ * Tries a cancellation's refund straight after the commit. A failed refund
+ * doesn't undo the cancellation: it stays pending on the booking and
+ * usePendingRefunds retries it. Resolves to { refunded, refundPending }.
+ */
+const refundAfterCancel = async (db, refs, record) => {
+    try {
+        return { refunded: await refundCancelledBooking(db, refs, record), refundPending: false };
+    } catch (e) {
+        console.error("Refund failed; it stays pending and will be retried:", e);
+        return { refunded: 0, refundPending: true };
+    }
+};
+
+/**
+ * Finds the barber appointment that mirrors a user booking. Bookings made
+ * before the two shared an id are matched on customer, date and time instead.
+ */
+const getAppointmentRef = async (db, booking) => {
+    const appointmentsRef = collection(db, ...scheduleDocPath(booking.barberId), 'appointments');
+    if (booking.appointmentId) return doc(appointmentsRef, booking.appointmentId);
+
+    const snapshot = await getDocs(query(appointmentsRef,
+        where('customerUserId', '==', booking.userId),
+        where('date', '==', booking.date),
+        where('time', '==', booking.time),
+        limit(1)
+    ));
+    return snapshot.empty ? null : snapshot.docs[0].ref;
+};
+
+// Day documents and date keys for records written before dateKey existed
+const getDateKey = (record) => record.dateKey || toDateKey(new Date(record.date));
+
+// Finds the user booking that mirrors a barber appointment (the inverse of getAppointmentRef)
+const getBookingRef = async (db, barberId, appt) => {
+    const bookingsRef = collection(db, 'artifacts', appId, 'users', appt.customerUserId, 'bookings');
+    if (appt.bookingId) return doc(bookingsRef, appt.bookingId);
+
+    const snapshot = await getDocs(query(bookingsRef,
+        where('barberId', '==', barberId),
+        where('date', '==', appt.date),
+        where('time', '==', appt.time),
+        limit(1)
+    ));
+    return snapshot.empty ? null : snapshot.docs[0].ref;
+};
+
+/**
+ * Adds startAt/endAt to appointments (and their bookings) written before those
+ * fields existed, so they show up in range queries. Safe to call repeatedly.
+ */
+const backfillAppointmentTimestamps = (db, barberId, appointments) => Promise.all(appointments
+    .filter(appt => !appt.startAt && appt.time && (appt.dateKey || appt.date))
+    .map(async (appt) => {
+        const times = getAppointmentTimestamps({ ...appt, dateKey: getDateKey(appt) });
+        const bookingRef = appt.customerUserId ? await getBookingRef(db, barberId, appt) : null;
+        await Promise.all([
+            updateDoc(doc(db, ...scheduleDocPath(barberId), 'appointments', appt.id), times),
+            bookingRef && updateDoc(bookingRef, times),
+        ]);
+    }));
+
+/**
+ * Cancels a booking on the customer's behalf: marks both copies as Cancelled
+ * (with any refund due per REFUND_POLICY recorded as pending) and frees the
+ * slot on the barber's day document, all in one transaction. The refund is
+ * then paid out; resolves to { refunded, refundPending }.
+ */
+const cancelBooking = async (db, userId, booking) => {
+    const bookingRef = doc(db, 'artifacts', appId, 'users', userId, 'bookings', booking.id);
+    const appointmentRef = await getAppointmentRef(db, booking);
+    const dayRef = doc(db, ...scheduleDocPath(booking.barberId), 'days', getDateKey(booking));
+
+    const cancelled = await runTransaction(db, async (transaction) => {
+        const bookingSnap = await transaction.get(bookingRef);
+        const daySnap = await transaction.get(dayRef);
+
+        if (!bookingSnap.exists() || !isWithinChangeWindow(bookingSnap.data())) {
+            throw bookingError(CHANGE_NOT_ALLOWED, `Bookings can't be changed within ${CHANGE_CUTOFF_HOURS} hours of the slot.`);
+        }
+
+        const claim = daySnap.exists() ? daySnap.data().slots?.[booking.time] : null;
+        if (claim && appointmentRef && claim.appointmentId === appointmentRef.id) {
+            transaction.set(dayRef, daySlotsUpdate({ [booking.time]: deleteField() }), { merge: true });
+        }
+
+        const refundDue = getRefundDueFields(bookingSnap.data(), 'customer');
+        const cancellation = { status: 'Cancelled', cancelledAt: serverTimestamp(), cancelledBy: 'customer', ...refundDue };
+        transaction.update(bookingRef, cancellation);
+        if (appointmentRef) transaction.update(appointmentRef, cancellation);
+        queueNotificationEvent(db, transaction, NOTIFICATION_TYPES.CANCELLED, {
+            barberId: booking.barberId, appointmentId: appointmentRef?.id || null, bookingId: booking.id, customerUserId: userId,
+        }, { cancelledBy: 'customer' });
+        return { ...bookingSnap.data(), ...refundDue };
+    });
+
+    releaseToWaitlist(db, booking.barberId, getDateKey(booking));
+
+    // The refund calls out to the provider, so it runs once the cancellation has committed
+    return refundAfterCancel(db, {
+        userId, bookingId: booking.id, barberId: booking.barberId, appointmentId: appointmentRef?.id,
+    }, cancelled);
+};
+
+/**
+ * Cancels every remaining visit of a recurring series in one transaction.
+ * Visits already inside the change cutoff (or no longer Confirmed) are left as
+ * they are. Each cancelled visit is refunded per REFUND_POLICY and its time
+ * offered to the waitlist. Resolves to { cancelled, refunded, refundsPending }.
+ */
+const cancelSeries = async (db, userId, seriesId) => {
+    const bookingsRef = collection(db, 'artifacts', appId, 'users', userId, 'bookings');
+    const snapshot = await getDocs(query(bookingsRef, where('seriesId', '==', seriesId)));
+    const visits = snapshot.docs.map(d => ({ id: d.id, ...d.data() }));
+
+    const cancelled = await runTransaction(db, async (transaction) => {
+        const bookingSnaps = await Promise.all(visits.map(visit => transaction.get(doc(bookingsRef, visit.id))));
+        const changeable = visits
+            .map((visit, i) => bookingSnaps[i].exists() && { ...visit, ...bookingSnaps[i].data() })
+            .filter(visit => visit && isWithinChangeWindow(visit));
+        const daySnaps = await Promise.all(changeable.map(visit => transaction.get(doc(db, ...scheduleDocPath(visit.barberId), 'days', visit.dateKey))));
+
+        changeable.forEach((visit, i) => {
+            const appointmentRef = doc(db, ...scheduleDocPath(visit.barberId), 'appointments', visit.appointmentId);
+            if (daySnaps[i].exists() && daySnaps[i].data().slots?.[visit.time]?.appointmentId === visit.appointmentId) {
+                transaction.set(daySnaps[i].ref, daySlotsUpdate({ [visit.time]: deleteField() }), { merge: true });
+            }
+
+            const refundDue = getRefundDueFields(visit, 'customer');
+            const cancellation = { status: 'Cancelled', cancelledAt: serverTimestamp(), cancelledBy: 'customer', ...refundDue };
+            transaction.update(doc(bookingsRef, visit.id), cancellation);
+            transaction.update(appointmentRef, cancellation);
+            queueNotificationEvent(db, transaction, NOTIFICATION_TYPES.CANCELLED, {
+                barberId: visit.barberId, appointmentId: visit.appointmentId, bookingId: visit.id, customerUserId: userId,
+            }, { cancelledBy: 'customer' });
+            Object.assign(visit, refundDue);
+        });
+        return changeable;
+    });
+
+    let refunded = 0;
+    let refundsPending = 0;
+    for (const visit of cancelled) {
+        releaseToWaitlist(db, visit.barberId, visit.dateKey);
+        const result = await refundAfterCancel(db, {
+            userId, bookingId: visit.id, barberId: visit.barberId, appointmentId: visit.appointmentId,
+        }, visit);
+        refunded += result.refunded;
+        if (result.refundPending) refundsPending++;
+    }
+    return { cancelled: cancelled.length, refunded, refundsPending };
+};
+
+// What a paid booking was charged for; rescheduling it moves the slot but keeps these
+const CHARGED_BOOKING_FIELDS = ['service', 'services', 'duration', 'totalPrice', 'bookingFee', 'barberPrice', 'pricing'];
+
+/**
+ * Moves a booking to a new slot (and possibly a different service) in one
+ * transaction: the new time is claimed, the old claim is released and both
+ * copies of the booking are updated in place, keeping their ids. A paid
+ * booking keeps the services and pricing it was charged with, so a later
+ * refund is worked out from what was actually paid.
+ */
+const rescheduleBooking = async (db, userId, booking, details) => {
+    const bookingRef = doc(db, 'artifacts', appId, 'users', userId, 'bookings', booking.id);
+    const appointmentRef = await getAppointmentRef(db, booking);
+    const oldDayRef = doc(db, ...scheduleDocPath(booking.barberId), 'days', getDateKey(booking));
+    const newDayRef = doc(db, ...scheduleDocPath(details.barberId), 'days', details.dateKey);
+    const sameDay = oldDayRef.path === newDayRef.path;
+
+    await runTransaction(db, async (transaction) => {
+        const bookingSnap = await transaction.get(bookingRef);
+        const oldDaySnap = await transaction.get(oldDayRef);
+        const newDaySnap = sameDay ? oldDaySnap : await transaction.get(newDayRef);
+
+        if (!bookingSnap.exists() || !isWithinChangeWindow(bookingSnap.data())) {
+            throw bookingError(CHANGE_NOT_ALLOWED, `Bookings can't be changed within ${CHANGE_CUTOFF_HOURS} hours of the slot.`);
+        }
+
+        const stored = bookingSnap.data();
+        const paid = stored.payment?.status === PAYMENT_STATUS.PAID;
+        const change = paid ? {
+            ...Object.fromEntries(Object.entries(details).filter(([key]) => !CHARGED_BOOKING_FIELDS.includes(key))),
+            ...Object.fromEntries(CHARGED_BOOKING_FIELDS.filter(key => stored[key] !== undefined).map(key => [key, stored[key]])),
+        } : details;
+
+        const oldClaims = oldDaySnap.exists() ? oldDaySnap.data().slots || {} : {};
+        const ownsOldClaim = appointmentRef && oldClaims[booking.time]?.appointmentId === appointmentRef.id;
+
+        // The booking's own current slot must not count as a clash when moving within the same day
+        const newClaims = { ...(newDaySnap.exists() ? newDaySnap.data().slots : {}) };
+        if (sameDay && ownsOldClaim) delete newClaims[booking.time];
+
+        if (findSlotConflict(newClaims, change.time, change.duration)) {
+            throw bookingError(SLOT_TAKEN, `Slot ${change.time} on ${change.date} is no longer available.`);
+        }
+
+        const newClaim = slotClaim(appointmentRef ? appointmentRef.id : booking.id, userId, change.duration);
+        if (sameDay) {
+            transaction.set(newDayRef, daySlotsUpdate({
+                ...(ownsOldClaim && booking.time !== change.time ? { [booking.time]: deleteField() } : {}),
+                [change.time]: newClaim,
+            }), { merge: true });
+        } else {
+            if (ownsOldClaim) transaction.set(oldDayRef, daySlotsUpdate({ [booking.time]: deleteField() }), { merge: true });
+            transaction.set(newDayRef, daySlotsUpdate({ [change.time]: newClaim }), { merge: true });
+        }
+
+        const move = { ...getAppointmentTimestamps(change), rescheduledAt: serverTimestamp(), rescheduleCount: increment(1) };
+        transaction.update(bookingRef, { ...change, ...move });
+        queueNotificationEvent(db, transaction, NOTIFICATION_TYPES.RESCHEDULED, {
+            barberId: booking.barberId, appointmentId: appointmentRef?.id || null, bookingId: booking.id, customerUserId: userId,
+        }, { previousDate: booking.date, previousTime: booking.time });
+        if (appointmentRef) {
+            transaction.update(appointmentRef, {
+                date: change.date,
+                dateKey: change.dateKey,
+                time: change.time,
+                service: change.service,
+                ...(change.services && { services: change.services }),
+                duration: change.duration,
+                ...(!paid && { pricing: change.pricing, priceEarned: change.pricing.barberPayout }),
+                ...move,
+                // The reminder was for the old time; the scheduler sends a new one
+                reminderSentAt: deleteField(),
+            });
+        }
+    });
+
+    if (getDateKey(booking) !== details.dateKey || booking.time !== details.time) {
+        releaseToWaitlist(db, booking.barberId, getDateKey(booking));
+    }
+};
+
+// Status changes a barber can make from the dashboard, keyed by the current status
+const APPOINTMENT_TRANSITIONS = {
+    'Confirmed': ['Checked-in', 'Completed', 'No-show', 'Cancelled-by-barber'],
+    'Checked-in': ['Completed', 'No-show'],
+};
+
+// Outcomes that can only be recorded once the appointment's start time has come
+const OUTCOME_STATUSES = ['Completed', 'No-show'];
+
+// The status changes open to an appointment right now
+const getAppointmentActions = (appt, now = new Date()) => (APPOINTMENT_TRANSITIONS[appt.status] || [])
+    .filter(status => !OUTCOME_STATUSES.includes(status) || getAppointmentStart(appt) <= now);
+
+const APPOINTMENT_ACTION_LABELS = {
+    'Checked-in': 'Check in',
+    'Completed': 'Complete',
+    'No-show': 'No-show',
+    'Cancelled-by-barber': 'Cancel',
+};
+
+/**
+ * Applies a barber-side status change (check-in, complete, no-show, cancel) to
+ * the appointment and the customer's booking together. Cancelling also frees
+ * the slot so it can be booked again and refunds a paid booking in full.
+ * Completed and No-show are refused until the appointment has started.
+ * Resolves to { refunded, refundPending }.
+ */
+const updateAppointmentStatus = async (db, barberId, appt, status) => {
+    const appointmentRef = doc(db, ...scheduleDocPath(barberId), 'appointments', appt.id);
+    const bookingRef = await getBookingRef(db, barberId, appt);
+    const dayRef = doc(db, ...scheduleDocPath(barberId), 'days', getDateKey(appt));
+
+    const updated = await runTransaction(db, async (transaction) => {
+        const appointmentSnap = await transaction.get(appointmentRef);
+        const daySnap = await transaction.get(dayRef);
+
+        const currentStatus = appointmentSnap.exists() ? appointmentSnap.data().status : null;
+        if (!(APPOINTMENT_TRANSITIONS[currentStatus] || []).includes(status)) {
+            throw bookingError(CHANGE_NOT_ALLOWED, `Can't mark a ${currentStatus || 'missing'} appointment as ${status}.`);
+        }
+        if (!getAppointmentActions(appointmentSnap.data()).includes(status)) {
+            throw bookingError(CHANGE_NOT_ALLOWED, `This appointment hasn't started yet, so it can't be marked as ${status}.`);
+        }
+
+        if (!isBlockingAppointment({ status })) {
+            const claim = daySnap.exists() ? daySnap.data().slots?.[appt.time] : null;
+            if (claim?.appointmentId === appt.id) {
+                transaction.set(dayRef, daySlotsUpdate({ [appt.time]: deleteField() }), { merge: true });
+            }
+        }
+
+        const refundDue = status === 'Cancelled-by-barber' && bookingRef ? getRefundDueFields(appointmentSnap.data(), 'barber') : {};
+        const update = { status, statusUpdatedAt: serverTimestamp(), ...refundDue };
+        // Older appointments don't carry their booking id; the dashboard needs it to retry a failed refund
+        transaction.update(appointmentRef, refundDue.refundStatus ? { ...update, bookingId: bookingRef.id } : update);
+        if (bookingRef) transaction.update(bookingRef, update);
+        if (status === 'Cancelled-by-barber') {
+            queueNotificationEvent(db, transaction, NOTIFICATION_TYPES.CANCELLED, {
+                barberId, appointmentId: appt.id, bookingId: bookingRef?.id || null, customerUserId: appt.customerUserId,
+            }, { cancelledBy: 'barber' });
+        }
+        return { ...appointmentSnap.data(), ...refundDue };
+    });
+
+    if (status !== 'Cancelled-by-barber') return { refunded: 0, refundPending: false };
+
+    releaseToWaitlist(db, barberId, getDateKey(appt));
+    if (!bookingRef) return { refunded: 0, refundPending: false };
+    return refundAfterCancel(db, {
+        userId: appt.customerUserId, bookingId: bookingRef.id, barberId, appointmentId: appt.id,
+    }, updated);
+};
+
+const REVIEW_NOT_ALLOWED = 'review/not-allowed';
+
+/**
+ * Records a customer's review of a completed booking and folds it into the
+ * barber's rating in one transaction. The review document id is the booking id,
+ * so each booking can be reviewed at most once. The barber document keeps a
+ * running `ratingTotal` so the average is always recomputed from exact sums.
+ */
+const submitReview = async (db, userId, booking, { rating, text }, authorName) => {
+    const barberRef = doc(db, 'artifacts', appId, 'public', 'data', 'barbers', booking.barberId);
+    const reviewRef = doc(barberRef, 'reviews', booking.id);
+    const bookingRef = doc(db, 'artifacts', appId, 'users', userId, 'bookings', booking.id);
+
+    await runTransaction(db, async (transaction) => {
+        const barberSnap = await transaction.get(barberRef);
+        const reviewSnap = await transaction.get(reviewRef);
+        const bookingSnap = await transaction.get(bookingRef);
+
+        if (!bookingSnap.exists() || bookingSnap.data().status !== 'Completed') {
+            throw bookingError(REVIEW_NOT_ALLOWED, 'Only completed appointments can be reviewed.');
+        }
+        if (reviewSnap.exists()) {
+            throw bookingError(REVIEW_NOT_ALLOWED, 'You have already reviewed this appointment.');
+        }
+
+        const barber = barberSnap.data();
+        const reviewCount = (barber.reviewCount || 0) + 1;
+        // Seeded barbers only have an average; derive the running total from it once
+        const ratingTotal = (barber.ratingTotal ?? (barber.rating || 0) * (barber.reviewCount || 0)) + rating;
+
+        transaction.set(reviewRef, {
+            bookingId: booking.id,
+            userId,
+            authorName,
+            rating,
+            text: text.trim(),
+            services: getBookedServices(booking).map(s => s.name),
+            createdAt: serverTimestamp(),
+        });
+        // `lastReviewId` lets the security rules check the totals against the review written here
+        transaction.update(barberRef, {
+            reviewCount,
+            ratingTotal,
+            rating: Math.round((ratingTotal / reviewCount) * 10) / 10,
+            lastReviewId: booking.id,
+        });
+        transaction.update(bookingRef, { review: { rating, text: text.trim() }, reviewedAt: serverTimestamp() });
+    });
+};
+// --- End Booking Transactions ---
+
+
+// --- Accounts & Profiles ---
+// Guests start on an anonymous account. Signing up links an email/password or
+// phone credential to that same account, so the uid (and every booking stored
+// under it) is kept. Signing in to a different existing account switches uid.
+
+const HAIR_TYPES = ['straight', 'wavy', 'curly', 'coily'];
+const HAIR_CONCERNS = ['dandruff', 'dry scalp', 'oily scalp', 'frizz', 'thinning', 'sensitive skin', 'ingrown hairs'];
+
+const saveUserProfile = (db, userId, fields) => {
+    const profileRef = doc(db, 'artifacts', appId, 'users', userId, 'profile', 'info');
+    return fetchWithBackoff(() => setDoc(profileRef, { ...fields, updatedAt: serverTimestamp() }, { merge: true }));
+};
+
+// What a barber sees about the customer on an appointment
+const getCustomerContact = (profile, user) => ({
+    name: profile?.name || '',
+    phone: profile?.phone || user?.phoneNumber || null,
+    email: profile?.email || user?.email || null,
+});
+
+/**
+ * Creates an email/password account. A guest session is upgraded in place
+ * rather than replaced, so its bookings carry over.
+ */
+const signUpWithEmail = async (auth, email, password) => {
+    if (auth.currentUser?.isAnonymous) {
+        const credential = EmailAuthProvider.credential(email, password);
+        return (await linkWithCredential(auth.currentUser, credential)).user;
+    }
+    return (await createUserWithEmailAndPassword(auth, email, password)).user;
+};
+
+const signInWithEmail = async (auth, email, password) => (
+    (await signInWithEmailAndPassword(auth, email, password)).user
+);
+
+/**
+ * Sends an SMS code to `phoneNumber` (E.164, e.g. +919876543210). When signing up
+ * as a guest the number is linked to the current account; otherwise it signs in
+ * to whichever account owns the number. Resolves to a ConfirmationResult whose
+ * confirm(code) finishes the flow.
+ */
+const startPhoneSignIn = (auth, phoneNumber, verifier, isSignUp) => (
+    isSignUp && auth.currentUser?.isAnonymous
+        ? linkWithPhoneNumber(auth.currentUser, phoneNumber, verifier)
+        : signInWithPhoneNumber(auth, phoneNumber, verifier)
+);
+
+const AUTH_ERROR_MESSAGES = {
+    'auth/email-already-in-use': 'That email already has an account. Sign in instead.',
+    'auth/credential-already-in-use': 'That phone number or email already has an account. Sign in instead.',
+    'auth/provider-already-linked': 'This account already has that sign-in method.',
+    'auth/invalid-email': 'Please enter a valid email address.',
+    'auth/weak-password': 'Passwords need at least 6 characters.',
+    'auth/invalid-credential': 'Wrong email or password.',
+    'auth/wrong-password': 'Wrong email or password.',
+    'auth/user-not-found': 'No account found for that email.',
+    'auth/invalid-phone-number': 'Enter your phone number with country code, e.g. +919876543210.',
+    'auth/invalid-verification-code': 'That code is incorrect. Please check the SMS and try again.',
+    'auth/too-many-requests': 'Too many attempts. Please wait a moment and try again.',
+};
+
+const describeAuthError = (error) => AUTH_ERROR_MESSAGES[error.code] || 'Something went wrong. Please try again.';
+// --- End Accounts & Profiles ---
+
+
+// --- Aftercare Tips ---
+// Tips are generated from the customer's profile (hair type and concerns) and
+// their last few visits, then stored on the booking as `aftercareTips` so they
+// can be read again from My Appointments.
+
+const RECENT_SERVICES_LIMIT = 5;
+const VISITED_STATUSES = ['Confirmed', 'Checked-in', 'Completed'];
+
+// Short descriptions of a customer's latest visits before `before`, newest first, e.g. "Haircut + Beard Trim (Mon Sep 07 2026)"
+const getRecentServices = (bookings, { excludeId = null, before = new Date() } = {}) => bookings
+    .filter(booking => booking.id !== excludeId && VISITED_STATUSES.includes(booking.status))
+    .map(booking => ({ booking, start: getAppointmentStart(booking) }))
+    .filter(({ start }) => start < before)
+    .sort((a, b) => b.start - a.start)
+    .slice(0, RECENT_SERVICES_LIMIT)
+    .map(({ booking }) => `${booking.service} (${booking.date})`);
+
+// Adds startAt/endAt to a customer's bookings written before those fields existed, then records it on the profile
+const backfillBookingTimestamps = async (db, userId, bookings) => {
+    const bookingsRef = collection(db, 'artifacts', appId, 'users', userId, 'bookings');
+    await Promise.all(bookings
+        .filter(booking => !booking.startAt && booking.time && (booking.dateKey || booking.date))
+        .map(booking => updateDoc(doc(bookingsRef, booking.id), getAppointmentTimestamps({ ...booking, dateKey: getDateKey(booking) }))));
+    await saveUserProfile(db, userId, { bookingTimesBackfilled: true });
+};
+
+/**
+ * Latest bookings are read by start time; cancelled ones are dropped afterwards
+ * so no composite index is needed. Bookings written before `startAt` existed
+ * would be missed by that query, so until the profile records that they've been
+ * backfilled, every booking is read once. The missing times are then added in
+ * the background, without holding up the tips.
+ */
+const fetchRecentServices = async (db, userId, profile, excludeId) => {
+    const bookingsRef = collection(db, 'artifacts', appId, 'users', userId, 'bookings');
+    if (!profile?.bookingTimesBackfilled) {
+        const snapshot = await getDocs(bookingsRef);
+        const bookings = snapshot.docs.map(d => ({ id: d.id, ...d.data() }));
+        backfillBookingTimestamps(db, userId, bookings)
+            .catch(err => console.error("Failed to backfill booking times:", err));
+        return getRecentServices(bookings, { excludeId });
+    }
+
+    const snapshot = await getDocs(query(bookingsRef, orderBy('startAt', 'desc'), limit(RECENT_SERVICES_LIMIT * 3)));
+    return getRecentServices(snapshot.docs.map(d => ({ id: d.id, ...d.data() })), { excludeId });
+};
+
+const saveAftercareTips = (db, userId, bookingId, { text, hairType, hairConcerns }) => updateDoc(
+    doc(db, 'artifacts', appId, 'users', userId, 'bookings', bookingId),
+    { aftercareTips: { text, hairType, hairConcerns, generatedAt: serverTimestamp() } }
+);
+// --- End Aftercare Tips ---
+
+
+// --- Roles & Barber Onboarding ---
+// Every profile has a role: 'customer' (default), 'barber' (owns the barber
+// document named by profile.barberId) or 'admin'. Firestore rules in
+// firestore.rules enforce the same model; 'admin' can only be granted from the
+// Firebase console or the Admin SDK.
+
+const ROLES = { CUSTOMER: 'customer', BARBER: 'barber', ADMIN: 'admin' };
+const ONBOARDING_FAILED = 'onboarding/failed';
+
+const getRole = (profile) => profile?.role || ROLES.CUSTOMER;
+
+/**
+ * Creates a new barber document owned by the signed-in account and marks the
+ * account as a barber. Both writes happen together so a half-onboarded account
+ * can't exist.
+ */
+const createBarberProfile = async (db, userId, { name, imageUrl }) => {
+    const barberRef = doc(collection(db, 'artifacts', appId, 'public', 'data', 'barbers'));
+    const profileRef = doc(db, 'artifacts', appId, 'users', userId, 'profile', 'info');
+
+    await runTransaction(db, async (transaction) => {
+        transaction.set(barberRef, {
+            name,
+            imageUrl: imageUrl || `https://placehold.co/100x100/A07849/FFFFFF?text=${encodeURIComponent(name.charAt(0))}`,
+            rating: 0,
+            reviewCount: 0,
+            services: [],
+            ...getBarberSearchFields({ name, services: [] }),
+            availability: DEFAULT_AVAILABILITY,
+            ownerUid: userId,
+            createdAt: serverTimestamp(),
+        });
+        transaction.set(profileRef, { role: ROLES.BARBER, barberId: barberRef.id, updatedAt: serverTimestamp() }, { merge: true });
+    });
+    return barberRef.id;
+};
+
+/**
+ * Links the signed-in account to an existing, unclaimed barber document using
+ * a one-time invite code issued by a shop admin.
+ */
+const claimBarberWithInvite = async (db, userId, code) => {
+    const inviteRef = doc(db, 'artifacts', appId, 'public', 'data', 'barber_invites', code);
+    const profileRef = doc(db, 'artifacts', appId, 'users', userId, 'profile', 'info');
+
+    await runTransaction(db, async (transaction) => {
+        const inviteSnap = await transaction.get(inviteRef);
+        if (!inviteSnap.exists() || inviteSnap.data().usedBy) {
+            throw bookingError(ONBOARDING_FAILED, 'That invite code is invalid or has already been used.');
+        }
+
+        const { barberId } = inviteSnap.data();
+        const barberRef = doc(db, 'artifacts', appId, 'public', 'data', 'barbers', barberId);
+        const barberSnap = await transaction.get(barberRef);
+        if (!barberSnap.exists() || barberSnap.data().ownerUid) {
+            throw bookingError(ONBOARDING_FAILED, 'That barber profile is already linked to another account.');
+        }
+
+        transaction.update(inviteRef, { usedBy: userId, usedAt: serverTimestamp() });
+        transaction.update(barberRef, { ownerUid: userId, claimedWithInvite: code });
+        transaction.set(profileRef, { role: ROLES.BARBER, barberId, updatedAt: serverTimestamp() }, { merge: true });
+    });
+};
+
+// Admin only: issues a one-time code that lets a barber claim an unowned barber document
+const createBarberInvite = async (db, adminUserId, barberId) => {
+    const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // No 0/O or 1/I to misread
+    const code = Array.from(crypto.getRandomValues(new Uint32Array(8)), n => alphabet[n % alphabet.length]).join('');
+    const inviteRef = doc(db, 'artifacts', appId, 'public', 'data', 'barber_invites', code);
+    await fetchWithBackoff(() => setDoc(inviteRef, { barberId, createdBy: adminUserId, createdAt: serverTimestamp(), usedBy: null }));
+    return code;
+};
+// --- End Roles & Barber Onboarding ---
+
+
+// --- Shops ---
+// Firestore side of shops (see "Shops & Staff" for the booking logic). The
+// owner's profile carries `shopId`; rules let the shop owner manage every
+// stylist whose barber document points at the shop.
+
+const shopRef = (db, shopId) => doc(db, 'artifacts', appId, 'public', 'data', 'shops', shopId);
+
+/**
+ * Turns a barber's own profile into a shop with them as its first stylist, at
+ * chair 1. The shop starts with the barber's location.
+ */
+const createShop = async (db, userId, barber, name) => {
+    const newShopRef = doc(collection(db, 'artifacts', appId, 'public', 'data', 'shops'));
+    const barberRef = doc(db, 'artifacts', appId, 'public', 'data', 'barbers', barber.id);
+    const profileRef = doc(db, 'artifacts', appId, 'users', userId, 'profile', 'info');
+
+    await runTransaction(db, async (transaction) => {
+        transaction.set(newShopRef, { name, ownerUid: userId, location: barber.location || null, createdAt: serverTimestamp() });
+        transaction.update(barberRef, { shopId: newShopRef.id, shopName: name, chair: 1 });
+        transaction.set(profileRef, { shopId: newShopRef.id, updatedAt: serverTimestamp() }, { merge: true });
+    });
+    return newShopRef.id;
+};
+
+/**
+ * Adds a stylist to the shop as a new, unowned barber document. Their menu and
+ * hours start as a copy of `template` (usually the owner's) and can be edited
+ * from the dashboard; an invite code lets the stylist sign in and claim it later.
+ */
+const addStaffMember = async (db, shop, template, { name, chair }) => {
+    const barberRef = doc(collection(db, 'artifacts', appId, 'public', 'data', 'barbers'));
+    const services = template?.services || [];
+    await fetchWithBackoff(() => setDoc(barberRef, {
+        name,
+        imageUrl: `https://placehold.co/100x100/A07849/FFFFFF?text=${encodeURIComponent(name.charAt(0))}`,
+        rating: 0,
+        reviewCount: 0,
+        services,
+        ...getBarberSearchFields({ name, services }),
+        availability: template?.availability || DEFAULT_AVAILABILITY,
+        location: shop.location || null,
+        shopId: shop.id,
+        shopName: shop.name,
+        chair,
+        ownerUid: null,
+        createdAt: serverTimestamp(),
+    }));
+    return barberRef.id;
+};
+
+const setStaffChair = (db, barberId, chair) => fetchWithBackoff(() => updateDoc(
+    doc(db, 'artifacts', appId, 'public', 'data', 'barbers', barberId), { chair }
+));
+
+// The shop's location is copied onto every stylist so distance search finds each of them
+const saveShopLocation = async (db, shop, staff, location) => {
+    const batch = writeBatch(db);
+    batch.update(shopRef(db, shop.id), { location });
+    staff.forEach(member => batch.update(doc(db, 'artifacts', appId, 'public', 'data', 'barbers', member.id), { location }));
+    await fetchWithBackoff(() => batch.commit());
+};
+// --- End Shops ---
+
+
+// --- UI Components ---
+
+// Badge colours for booking/appointment statuses
+const STATUS_BADGE_CLASSES = {
+    'Pending Payment': 'bg-yellow-100 text-yellow-800',
+    'Confirmed': 'bg-green-100 text-green-700',
+    'Checked-in': 'bg-blue-100 text-blue-700',
+    'Completed': 'bg-amber-100 text-amber-800',
+    'No-show': 'bg-gray-200 text-gray-700',
+    'Cancelled': 'bg-red-100 text-red-700',
+    'Cancelled-by-barber': 'bg-red-100 text-red-700',
+};
+
+const StatusBadge = ({ status }) => (
+    <span className={`px-2 py-0.5 text-xs font-semibold rounded-full ${STATUS_BADGE_CLASSES[status] || 'bg-gray-100 text-gray-700'}`}>
+        {status === 'Cancelled-by-barber' ? 'Cancelled by barber' : status}
+    </span>
+);
+
+// One-line payment state for booking cards, e.g. "Paid ₹361 · card ending 4242"
+const describePayment = (payment) => {
+    if (!payment) return null;
+    switch (payment.status) {
+        case PAYMENT_STATUS.PAID:
+            return `Paid ₹${payment.amount}${payment.cardLast4 ? ` · card ending ${payment.cardLast4}` : ''}`;
+        case PAYMENT_STATUS.REFUNDED:
+            return `Refunded ₹${payment.refundedAmount} of ₹${payment.amount}`;
+        case PAYMENT_STATUS.FAILED:
+            return `Payment failed: ${payment.failureReason}`;
+        default:
+            return `Awaiting payment of ₹${payment.amount}`;
+    }
+};
+
+// Itemised customer-facing price: services, discount, booking fee, taxes and total
+const PriceBreakdown = ({ pricing }) => (
+    <div className="text-sm">
+        {pricing.services.map(service => (
+            <div key={service.id} className="flex justify-between font-medium text-gray-800">
+                <span>{service.name}:</span>
+                <span>₹{service.price}</span>
+            </div>
+        ))}
+        {pricing.discount && (
+            <div className="flex justify-between text-green-700 mt-1">
+                <span>{pricing.discount.label || `Promo ${pricing.discount.code}`}:</span>
+                <span>−₹{pricing.discount.amount}</span>
+            </div>
+        )}
+        <div className="flex justify-between text-gray-600 mt-1">
+            <span>Booking Fee:</span>
+            <span className='font-bold text-amber-600'>₹{pricing.bookingFee}</span>
+        </div>
+        {pricing.taxes.map(tax => (
+            <div key={tax.id} className="flex justify-between text-gray-600">
+                <span>{tax.label} ({tax.rate}%):</span>
+                <span>₹{tax.amount}</span>
+            </div>
+        ))}
+        <div className="flex justify-between font-bold text-xl mt-2 text-gray-900">
+            <span>TOTAL</span>
+            <span>₹{pricing.total}</span>
+        </div>
+    </div>
+);
+
+// Star Rating Component
+const StarRating = ({ rating, size = 'text-lg' }) => {
+    const fullStars = Math.floor(rating);
+    const hasHalfStar = rating % 1 >= 0.5;
+    const emptyStars = 5 - fullStars - (hasHalfStar ? 1 : 0);
+    
+    return (
+        <div className={`flex ${size} text-amber-500`}>
+            {Array(fullStars).fill('★').map((s, i) => <span key={`f-${i}`}>{s}</span>)}
+            {hasHalfStar && <span key="h">½</span>}
+            {Array(emptyStars).fill('☆').map((s, i) => <span key={`e-${i}`} className="text-gray-300">{s}</span>)}
+        </div>
+    );
+};
+
+// Clickable 1-5 star picker for reviews
+const StarInput = ({ value, onChange }) => (
+    <div className="flex text-2xl text-amber-500">
+        {[1, 2, 3, 4, 5].map(star => (
+            <button key={star} type="button" onClick={() => onChange(star)} aria-label={`${star} star${star > 1 ? 's' : ''}`}>
+                {star <= value ? '★' : <span className="text-gray-300">☆</span>}
+            </button>
+        ))}
+    </div>
+);
+
+// Shop address with a directions link; `availability` adds whether it's open right now
+const ShopAddress = ({ location, availability }) => {
+    if (!location?.address) return null;
+    const status = availability && getOpenStatus(availability);
+    return (
+        <div className="flex items-start space-x-2 text-sm text-gray-700">
+            <MapPinIcon className="w-4 h-4 text-amber-600 mt-0.5 flex-shrink-0" />
+            <div>
+                <p>{location.address}</p>
+                {status && (
+                    <p className={`text-xs ${status.open ? 'text-green-700' : 'text-gray-500'}`}>
+                        {status.open ? `Open now · until ${status.until}` : `Closed${status.next ? ` · opens ${status.next}` : ' for today'}`}
+                    </p>
+                )}
+                <a
+                    href={getDirectionsUrl(location)}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    onClick={(e) => e.stopPropagation()}
+                    className="text-xs font-semibold text-amber-700 hover:underline"
+                >
+                    Get directions
+                </a>
+            </div>
+        </div>
+    );
+};
+
+// The week's opening hours, today highlighted. Breaks and days off show on the booking screen's slots instead.
+const OpeningHours = ({ availability }) => {
+    const { weeklyHours } = resolveAvailability(availability);
+    const dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+    const today = new Date().getDay();
+    // Monday first
+    const order = [1, 2, 3, 4, 5, 6, 0];
+    return (
+        <div className="text-xs text-gray-600 space-y-0.5">
+            {order.map(day => (
+                <div key={day} className={`flex justify-between ${day === today ? 'font-semibold text-gray-800' : ''}`}>
+                    <span>{dayNames[day]}</span>
+                    <span>{weeklyHours[day]?.open ? `${weeklyHours[day].start} – ${weeklyHours[day].end}` : 'Closed'}</span>
+                </div>
+            ))}
+        </div>
+    );
+};
+
+// Walk-in wait for the barber's quickest service, from getWalkInSummary
+const WalkInWait = ({ walkIn }) => {
+    if (!walkIn) return null;
+    if (walkIn.wait === null) return <p className="text-xs text-gray-400 mt-1">No walk-ins today</p>;
+    return (
+        <p className="text-xs text-green-700 mt-1">
+            {walkIn.wait <= 5 ? 'Walk in now — no wait' : `Walk-in wait ~${walkIn.wait} min`}
+            {walkIn.queueLength > 0 && ` · ${walkIn.queueLength} in queue`}
+        </p>
+    );
+};
+
+// Barber Card for Home Screen
+// nextSlot is the earliest free time today (null: fully booked, undefined: not looked up);
+// walkIn is the barber's getWalkInSummary, read with the rest of the list;
+// distanceKm is set once the customer has given their location
+const BarberCard = ({ barber, nextSlot, walkIn, distanceKm, onBook, onViewDetails }) => (
+    <div
+        onClick={() => onViewDetails(barber)}
+        className="flex items-center p-4 bg-white rounded-xl shadow-md transition duration-300 hover:shadow-lg mb-4 border border-gray-100 cursor-pointer"
+    >
+        <img 
+            src={barber.imageUrl} 
+            alt={barber.name} 
+            className="w-16 h-16 rounded-full object-cover mr-4 border-2 border-amber-500"
+            onError={(e) => { e.target.onerror = null; e.target.src = "https://placehold.co/64x64/A07849/FFFFFF?text=B"; }}
+        />
+        <div className="flex-grow min-w-0">
+            <h3 className="font-semibold text-gray-800 text-xl">{barber.name}</h3>
+            {barber.shopName && <p className="text-xs text-gray-500 -mt-0.5">at {barber.shopName}</p>}
+            <StarRating rating={barber.rating} size="text-sm" />
+            <p className="text-xs text-gray-500 mt-1">
+                {barber.reviewCount} Reviews{barber.minPrice != null && <> · From ₹{barber.minPrice}</>}
+            </p>
+            {barber.location?.address && (
+                <p className="text-xs text-gray-500 mt-1 flex items-center">
+                    <MapPinIcon className="w-3 h-3 mr-1 text-amber-600 flex-shrink-0" />
+                    <span className="truncate">{distanceKm !== undefined && `${formatDistance(distanceKm)} · `}{barber.location.address}</span>
+                </p>
+            )}
+            {nextSlot !== undefined && (
+                <p className={`text-xs mt-1 ${nextSlot ? 'text-green-700' : 'text-gray-400'}`}>
+                    {nextSlot ? `Next free today: ${nextSlot}` : 'Fully booked today'}
+                </p>
+            )}
+            <WalkInWait walkIn={walkIn} />
+        </div>
+        <button 
+            onClick={(e) => { e.stopPropagation(); onBook(barber); }}
+            className="bg-amber-600 hover:bg-amber-700 text-white font-bold py-2 px-4 rounded-full shadow-lg transition duration-150 transform hover:scale-105"
+        >
+            Book Now
+        </button>
+    </div>
+);
+
+const RATING_FILTER_OPTIONS = [0, 4, 4.5];
+
+/**
+ * Search box, filters and sort for the home view. Results come a page at a
+ * time from useBarberSearch; "Show more" widens the query rather than loading
+ * every barber up front.
+ */
+const BarberSearch = ({ db, filters, onFiltersChange, onBook, onViewDetails }) => {
+    const [text, setText] = useState(filters.text);
+    const [showFilters, setShowFilters] = useState(false);
+    const [pageSize, setPageSize] = useState(BARBER_PAGE_SIZE);
+    const [place, setPlace] = useState('');
+    const [locating, setLocating] = useState(false);
+    const [locationError, setLocationError] = useState(null);
+    const { barbers, nextSlots, walkIns, loading, error, hasMore } = useBarberSearch(db, filters, pageSize);
+
+    const update = (changes) => {
+        setPageSize(BARBER_PAGE_SIZE);
+        onFiltersChange({ ...filters, ...changes });
+    };
+
+    // Only query once typing pauses
+    useEffect(() => {
+        if (text === filters.text) return;
+        const timer = setTimeout(() => {
+            setPageSize(BARBER_PAGE_SIZE);
+            onFiltersChange({ ...filters, text });
+        }, 300);
+        return () => clearTimeout(timer);
+    }, [text, filters, onFiltersChange]);
+
+    const setOrigin = async (lookup) => {
+        setLocating(true);
+        setLocationError(null);
+        try {
+            const origin = await lookup();
+            if (origin) update({ origin, sort: BARBER_SORTS.DISTANCE });
+        } finally {
+            setLocating(false);
+        }
+    };
+
+    const handleDetectLocation = () => setOrigin(async () => {
+        try {
+            return { ...await detectCurrentLocation(), label: 'your location' };
+        } catch (e) {
+            console.error("Error detecting location:", e);
+            setLocationError("Couldn't get your location. Check the browser's location permission or type your area.");
+            return null;
+        }
+    });
+
+    const handleFindPlace = () => setOrigin(async () => {
+        try {
+            const match = await geocodeAddress(place);
+            if (!match) setLocationError(`We couldn't find "${place}".`);
+            return match && { lat: match.lat, lng: match.lng, label: place.trim() };
+        } catch (e) {
+            console.error("Error looking up place:", e);
+            setLocationError("Place search isn't available right now. Try using your location instead.");
+            return null;
+        }
+    });
+
+    const clearOrigin = () => update({
+        origin: null,
+        sort: filters.sort === BARBER_SORTS.DISTANCE ? BARBER_SORTS.RATING : filters.sort,
+    });
+
+    const results = useMemo(() => refineBarberResults(barbers, nextSlots, filters), [barbers, nextSlots, filters]);
+    const activeFilterCount = [filters.category, filters.minRating > 0, filters.priceFrom !== '', filters.priceTo !== '', filters.availableToday]
+        .filter(Boolean).length;
+    const inputClass = "p-2 border border-gray-300 rounded-lg bg-gray-50 text-sm focus:ring-amber-500 focus:border-amber-500";
+
+    return (
+        <div>
+            <div className="flex space-x-2 mb-2">
+                <input
+                    type="search"
+                    value={text}
+                    onChange={(e) => setText(e.target.value)}
+                    placeholder="Search barbers or services"
+                    className={`${inputClass} flex-grow`}
+                />
+                <button
+                    onClick={() => setShowFilters(open => !open)}
+                    className={`px-3 rounded-lg text-sm font-semibold border ${activeFilterCount > 0 ? 'bg-amber-600 text-white border-amber-600' : 'bg-white text-gray-700 border-gray-300'}`}
+                >
+                    Filters{activeFilterCount > 0 ? ` (${activeFilterCount})` : ''}
+                </button>
+            </div>
+
+            {/* Location */}
+            <div className="mb-2 text-xs text-gray-600">
+                {filters.origin ? (
+                    <div className="flex items-center space-x-1">
+                        <MapPinIcon className="w-3 h-3 text-amber-600" />
+                        <span>Near {filters.origin.label}, within</span>
+                        <select value={filters.radiusKm} onChange={(e) => update({ radiusKm: Number(e.target.value) })} className="p-0.5 border border-gray-300 rounded bg-white text-xs">
+                            {DISCOVERY_RADIUS_OPTIONS_KM.map(km => <option key={km} value={km}>{km} km</option>)}
+                        </select>
+                        <button onClick={clearOrigin} className="font-semibold text-amber-700 hover:text-amber-800 pl-1">Clear</button>
+                    </div>
+                ) : (
+                    <div className="flex items-center space-x-2">
+                        <input
+                            value={place}
+                            onChange={(e) => setPlace(e.target.value)}
+                            onKeyDown={(e) => { if (e.key === 'Enter' && place.trim()) handleFindPlace(); }}
+                            placeholder="Your area, e.g. Koregaon Park, Pune"
+                            className="flex-grow p-1 border border-gray-300 rounded-lg bg-gray-50 text-xs"
+                        />
+                        <button onClick={handleFindPlace} disabled={locating || !place.trim()} className="font-semibold text-amber-700 hover:text-amber-800 disabled:text-gray-400">
+                            Go
+                        </button>
+                        <button onClick={handleDetectLocation} disabled={locating} className="font-semibold text-amber-700 hover:text-amber-800 disabled:text-gray-400 whitespace-nowrap">
+                            {locating ? 'Locating...' : 'Near me'}
+                        </button>
+                    </div>
+                )}
+                {locationError && <p className="text-red-600 mt-1">{locationError}</p>}
+            </div>
+
+            {showFilters && (
+                <div className="p-3 mb-3 bg-white rounded-xl border border-gray-100 shadow-sm space-y-2 text-sm">
+                    <div className="flex space-x-2">
+                        <select value={filters.category} onChange={(e) => update({ category: e.target.value })} className={`${inputClass} flex-1`}>
+                            <option value="">Any service</option>
+                            {SERVICE_CATEGORIES.map(category => <option key={category} value={category}>{category}</option>)}
+                        </select>
+                        <select value={filters.minRating} onChange={(e) => update({ minRating: Number(e.target.value) })} className={`${inputClass} flex-1`}>
+                            {RATING_FILTER_OPTIONS.map(rating => (
+                                <option key={rating} value={rating}>{rating === 0 ? 'Any rating' : `${rating}★ & up`}</option>
+                            ))}
+                        </select>
+                    </div>
+                    <div className="flex items-center space-x-2">
+                        <span className="text-gray-600 whitespace-nowrap">From ₹</span>
+                        <input type="number" min="0" value={filters.priceFrom} onChange={(e) => update({ priceFrom: e.target.value })} placeholder="Min" className={`${inputClass} w-full`} />
+                        <span className="text-gray-600">to</span>
+                        <input type="number" min="0" value={filters.priceTo} onChange={(e) => update({ priceTo: e.target.value })} placeholder="Max" className={`${inputClass} w-full`} />
+                    </div>
+                    <label className="flex items-center space-x-2 text-gray-700">
+                        <input type="checkbox" checked={filters.availableToday} onChange={(e) => update({ availableToday: e.target.checked })} className="accent-amber-600" />
+                        <span>Available today</span>
+                    </label>
+                    {activeFilterCount > 0 && (
+                        <button
+                            onClick={() => update({ ...DEFAULT_BARBER_FILTERS, text: filters.text, sort: filters.sort, origin: filters.origin, radiusKm: filters.radiusKm })}
+                            className="text-xs font-semibold text-amber-700 hover:text-amber-800"
+                        >
+                            Clear filters
+                        </button>
+                    )}
+                </div>
+            )}
+
+            <div className="flex justify-end items-center mb-3 text-xs text-gray-600 space-x-1">
+                <span>Sort by</span>
+                <select value={filters.sort} onChange={(e) => update({ sort: e.target.value })} className="p-1 border border-gray-300 rounded-lg bg-white text-xs">
+                    <option value={BARBER_SORTS.RATING}>Rating</option>
+                    <option value={BARBER_SORTS.PRICE}>Price</option>
+                    <option value={BARBER_SORTS.NEXT_SLOT}>Next available</option>
+                    {filters.origin && <option value={BARBER_SORTS.DISTANCE}>Distance</option>}
+                </select>
+            </div>
+            {hasMore && isRefinedAfterLoading(filters) && (
+                <p className="-mt-2 mb-3 text-right text-xs text-gray-400">Sorted and filtered among the barbers loaded so far. Show more to include others.</p>
+            )}
+
+            {error && <p className="mb-3 p-2 text-sm text-red-700 bg-red-50 border border-red-200 rounded-lg">{error}</p>}
+
+            {results.map(barber => (
+                <BarberCard
+                    key={barber.id}
+                    barber={barber}
+                    nextSlot={nextSlots[barber.id]}
+                    walkIn={walkIns[barber.id]}
+                    distanceKm={filters.origin && hasCoordinates(barber.location) ? getDistanceKm(filters.origin, barber.location) : undefined}
+                    onBook={onBook}
+                    onViewDetails={onViewDetails}
+                />
+            ))}
+
+            {loading && results.length === 0 && <p className="text-center text-gray-500">Finding barbers...</p>}
+            {!loading && !error && results.length === 0 && (
+                <p className="text-center text-gray-500">
+                    {filters.origin ? `No barbers found within ${filters.radiusKm} km.` : 'No barbers found.'}
+                </p>
+            )}
+            {hasMore && (
+                <button
+                    onClick={() => setPageSize(size => size + BARBER_PAGE_SIZE)}
+                    disabled={loading}
+                    className="w-full py-2 text-sm font-semibold text-amber-700 hover:text-amber-800 disabled:text-gray-400"
+                >
+                    {loading ? 'Loading...' : 'Show more'}
+                </button>
+            )}
+        </div>
+    );
+};
+
+/**
+ * Lets a customer join the barber's walk-in queue from anywhere, and shows
+ * their place and estimated start once they have.
+ */
+const RemoteQueueJoin = ({ db, userId, barber, customerName }) => {
+    const { entries } = useQueueEstimates(db, barber);
+    const services = getActiveServices(barber);
+    const [serviceId, setServiceId] = useState(() => services[0] ? getServiceId(services[0]) : '');
+    const [name, setName] = useState(customerName);
+    const [busy, setBusy] = useState(false);
+    const [error, setError] = useState(null);
+
+    const myIndex = entries.findIndex(entry => entry.customerUserId === userId);
+    const myEntry = entries[myIndex];
+    const service = services.find(s => getServiceId(s) === serviceId);
+
+    const run = async (action) => {
+        setBusy(true);
+        setError(null);
+        try {
+            await action();
+        } catch (e) {
+            console.error("Walk-in queue update failed:", e);
+            setError("Couldn't update the queue. Please try again.");
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    if (services.length === 0) return null;
+
+    return (
+        <div className="mb-4 p-3 rounded-lg border border-green-200 bg-green-50 text-sm">
+            <h3 className="font-semibold text-gray-700 mb-1">Walk-in Queue</h3>
+            {myEntry ? (
+                <>
+                    <p className="text-gray-700">
+                        {myEntry.status === QUEUE_STATUS.IN_SERVICE
+                            ? "You're in the chair."
+                            : `You're #${myIndex + 1} in the queue${myEntry.estimatedStart !== null ? `, expected around ${minutesToTime(myEntry.estimatedStart)}` : ''}.`}
+                    </p>
+                    {myEntry.status === QUEUE_STATUS.WAITING && (
+                        <button
+                            onClick={() => run(() => updateQueueEntry(db, barber.id, myEntry.id, QUEUE_STATUS.LEFT))}
+                            disabled={busy}
+                            className="mt-2 text-xs font-semibold text-red-600 hover:text-red-700"
+                        >
+                            Leave queue
+                        </button>
+                    )}
+                </>
+            ) : (
+                <>
+                    <p className="text-xs text-gray-600 mb-2">No appointment? Join the queue and head over when it's nearly your turn.</p>
+                    <div className="flex space-x-2">
+                        <input
+                            type="text"
+                            placeholder="Your name"
+                            value={name}
+                            onChange={(e) => setName(e.target.value)}
+                            className="w-1/2 p-2 border border-gray-300 rounded-lg bg-white text-sm"
+                        />
+                        <select value={serviceId} onChange={(e) => setServiceId(e.target.value)} className="w-1/2 p-2 border border-gray-300 rounded-lg bg-white text-sm">
+                            {services.map(s => <option key={getServiceId(s)} value={getServiceId(s)}>{s.name} ({s.duration} mins)</option>)}
+                        </select>
+                    </div>
+                    <button
+                        onClick={() => run(() => joinQueue(db, barber.id, {
+                            name: name.trim(), services: [toBookedService(service)], customerUserId: userId, source: 'remote',
+                        }))}
+                        disabled={busy || !name.trim() || !service}
+                        className="w-full mt-2 py-1 rounded-full font-semibold bg-green-600 text-white hover:bg-green-700 transition disabled:bg-gray-300"
+                    >
+                        {busy ? 'Joining...' : 'Join Queue'}
+                    </button>
+                </>
+            )}
+            {error && <p className="text-xs text-red-600 mt-1">{error}</p>}
+        </div>
+    );
+};
+
+// The other stylists at a barber's shop, and booking whichever of them is free first
+const ShopStaffSection = ({ db, barber, onBookAnyStylist, onViewBarber }) => {
+    const shop = useShop(db, barber.shopId);
+    const staff = useShopStaff(db, barber.shopId);
+    if (!shop || staff.length < 2) return null;
+
+    return (
+        <div className="mb-6 p-3 bg-gray-50 rounded-xl border border-gray-100">
+            <div className="flex justify-between items-center mb-2">
+                <h3 className="font-semibold text-gray-700">Stylists at {shop.name}</h3>
+                <button
+                    onClick={() => onBookAnyStylist(shop)}
+                    className="text-xs font-semibold bg-amber-600 hover:bg-amber-700 text-white py-1 px-3 rounded-full transition"
+                >
+                    Any available
+                </button>
+            </div>
+            <div className="space-y-1">
+                {staff.map(member => (
+                    <button
+                        key={member.id}
+                        onClick={() => onViewBarber(member)}
+                        disabled={member.id === barber.id}
+                        className="w-full flex justify-between items-center text-sm p-1 rounded-lg hover:bg-white disabled:hover:bg-transparent"
+                    >
+                        <span className={member.id === barber.id ? 'font-semibold text-amber-700' : 'text-gray-800'}>
+                            {member.name}{member.id === barber.id && ' (viewing)'}
+                        </span>
+                        <span className="text-xs text-gray-500">
+                            {member.chair ? `Chair ${member.chair} · ` : ''}{member.rating || '—'}★
+                        </span>
+                    </button>
+                ))}
+            </div>
+        </div>
+    );
+};
+
+// Barber Detail Screen: services and customer reviews
+const BarberDetailScreen = ({ db, userId, barber, customerName, onBook, onBookAnyStylist, onViewBarber, onBack }) => {
+    const [reviews, setReviews] = useState([]);
+    const [loadingReviews, setLoadingReviews] = useState(true);
+
+    useEffect(() => {
+        if (!db) return;
+
+        const reviewsRef = collection(db, 'artifacts', appId, 'public', 'data', 'barbers', barber.id, 'reviews');
+        const q = query(reviewsRef, orderBy('createdAt', 'desc'), limit(20));
+
+        const unsubscribe = onSnapshot(q, (snapshot) => {
+            setReviews(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+            setLoadingReviews(false);
+        }, (err) => {
+            console.error("Firestore error fetching reviews:", err);
+            setLoadingReviews(false);
+        });
+
+        return () => unsubscribe();
+    }, [db, barber.id]);
+
+    return (
+        <div className="p-4 bg-white rounded-xl shadow-2xl">
+            <div className="flex items-center mb-4 border-b pb-4">
+                <img 
+                    src={barber.imageUrl} 
+                    alt={barber.name} 
+                    className="w-20 h-20 rounded-full object-cover mr-4 border-2 border-amber-500"
+                    onError={(e) => { e.target.onerror = null; e.target.src = "https://placehold.co/80x80/A07849/FFFFFF?text=B"; }}
+                />
+                <div>
+                    <h2 className="text-2xl font-bold text-gray-900">{barber.name}</h2>
+                    <div className="flex items-center space-x-2">
+                        <StarRating rating={barber.rating} size="text-base" />
+                        <span className="text-sm text-gray-600">{barber.rating} · {barber.reviewCount} Reviews</span>
+                    </div>
+                </div>
+            </div>
+
+            {barber.shopId && (
+                <ShopStaffSection db={db} barber={barber} onBookAnyStylist={onBookAnyStylist} onViewBarber={onViewBarber} />
+            )}
+
+            {/* Location & Hours */}
+            <div className="mb-6 space-y-3">
+                <ShopAddress location={barber.location} availability={barber.availability} />
+                <div>
+                    <h3 className="font-semibold mb-1 text-gray-700">Opening Hours</h3>
+                    <OpeningHours availability={barber.availability} />
+                </div>
+            </div>
+
+            {/* Services */}
+            <h3 className="font-semibold mb-2 text-gray-700">Services</h3>
+            <div className="space-y-2 mb-6">
+                {getActiveServices(barber).map(service => (
+                    <div key={getServiceId(service)} className="flex justify-between text-sm">
+                        <div>
+                            <p className="font-medium text-gray-800">{service.name}</p>
+                            {service.description && <p className="text-xs text-gray-500">{service.description}</p>}
+                        </div>
+                        <span className="text-gray-700 whitespace-nowrap ml-2">₹{service.price} · {service.duration} mins</span>
+                    </div>
+                ))}
+            </div>
+
+            <RemoteQueueJoin db={db} userId={userId} barber={barber} customerName={customerName} />
+
+            {/* Reviews */}
+            <h3 className="font-semibold mb-2 text-gray-700">Reviews</h3>
+            {loadingReviews ? (
+                <div className="text-center p-4 text-sm">Loading reviews...</div>
+            ) : reviews.length === 0 ? (
+                <p className="text-sm text-gray-500 mb-4">No reviews yet. Be the first after your visit!</p>
+            ) : (
+                <div className="space-y-3 mb-4">
+                    {reviews.map(review => (
+                        <div key={review.id} className="p-3 bg-amber-50 rounded-lg">
+                            <div className="flex justify-between items-center">
+                                <StarRating rating={review.rating} size="text-sm" />
+                                <span className="text-xs text-gray-500">
+                                    {review.authorName}{review.createdAt ? ` · ${review.createdAt.toDate().toLocaleDateString()}` : ''}
+                                </span>
+                            </div>
+                            {review.text && <p className="text-sm text-gray-700 mt-1">{review.text}</p>}
+                            {review.services?.length > 0 && <p className="text-xs text-gray-400 mt-1">{review.services.join(' + ')}</p>}
+                        </div>
+                    ))}
+                </div>
+            )}
+
+            <div className="flex mt-6 space-x-3">
+                <button 
+                    onClick={onBack}
+                    className="flex-1 bg-gray-200 text-gray-700 font-bold py-2 rounded-xl text-sm hover:bg-gray-300 transition duration-150"
+                >
+                    Back
+                </button>
+                <button 
+                    onClick={() => onBook(barber)}
+                    className="flex-1 bg-amber-600 hover:bg-amber-700 text-white font-bold py-2 rounded-xl shadow-xl text-sm transition duration-150"
+                >
+                    Book Now
+                </button>
+            </div>
+        </div>
+    );
+};
+
+/**
+ * Shown on the booking screen when the chosen day has no time left for the
+ * selected services. The window defaults to the barber's hours that day.
+ */
+const WaitlistJoinForm = ({ db, userId, barber, date, services, name }) => {
+    const windows = getWorkingWindows(barber.availability, date);
+    const [windowStart, setWindowStart] = useState(() => windows.length > 0 ? minutesToTime(windows[0].start) : '09:00');
+    const [windowEnd, setWindowEnd] = useState(() => windows.length > 0 ? minutesToTime(windows[windows.length - 1].end) : '17:00');
+    const [joining, setJoining] = useState(false);
+    const [joined, setJoined] = useState(false);
+    const [error, setError] = useState(null);
+
+    const duration = summarizeServices(services).duration;
+    const windowFits = timeToMinutes(windowEnd) - timeToMinutes(windowStart) >= duration;
+
+    if (windows.length === 0 || services.length === 0 || toDateKey(date) < toDateKey(new Date())) return null;
+
+    const handleJoin = async () => {
+        if (!windowFits || joining) return;
+        setJoining(true);
+        setError(null);
+        try {
+            await joinWaitlist(db, barber, { customerUserId: userId, name, date, windowStart, windowEnd, services });
+            setJoined(true);
+        } catch (e) {
+            console.error("Error joining waitlist:", e);
+            setError("Couldn't add you to the waitlist. Please try again.");
+        } finally {
+            setJoining(false);
+        }
+    };
+
+    if (joined) {
+        return (
+            <p className="mt-2 p-2 text-xs text-green-800 bg-green-50 border border-green-200 rounded-lg">
+                You're on the waitlist for {windowStart}–{windowEnd}. If a time opens up we'll hold it for you for {WAITLIST_HOLD_MINUTES} minutes
+                and let you know; you'll find it under My Appointments.
+            </p>
+        );
+    }
+
+    return (
+        <div className="mt-2 p-2 rounded-lg border border-amber-200 bg-amber-50 text-xs space-y-2">
+            <p className="text-gray-700 font-semibold">Fully booked. Join the waitlist?</p>
+            <div className="flex items-center space-x-2">
+                <span className="text-gray-600">Any time between</span>
+                <input type="time" value={windowStart} onChange={(e) => setWindowStart(e.target.value)} className="p-1 border border-gray-300 rounded bg-white" />
+                <span className="text-gray-600">and</span>
+                <input type="time" value={windowEnd} onChange={(e) => setWindowEnd(e.target.value)} className="p-1 border border-gray-300 rounded bg-white" />
+            </div>
+            {!windowFits && <p className="text-red-600">The window needs room for {duration} mins.</p>}
+            {error && <p className="text-red-600">{error}</p>}
+            <button
+                onClick={handleJoin}
+                disabled={!windowFits || joining}
+                className="w-full bg-amber-600 hover:bg-amber-700 text-white font-bold py-1.5 rounded-lg transition disabled:bg-gray-400"
+            >
+                {joining ? 'Joining...' : 'Join Waitlist'}
+            </button>
+        </div>
+    );
+};
+
+// Appointment Booking Modal/Screen
+// When `rescheduling` holds an existing booking, the screen starts from that booking's
+// date and service and the booking's own slot is treated as free.
+// Without a `barber`, the customer books any available stylist from `shop`/`staff`,
+// and the stylist is assigned along with the time slot.
+// With a `waitlistOffer` (an offered waitlist entry), the offered day, services
+// and time are preselected and the slot held for the customer counts as free.
+const BookingScreen = ({ db, userId, barber, shop, staff, customer, pricingConfig, rescheduling, waitlistOffer, onClose, onConfirmBooking }) => {
+    const [selectedDate, setSelectedDate] = useState(() => rescheduling ? getAppointmentStart(rescheduling)
+        : waitlistOffer ? new Date(`${waitlistOffer.dateKey}T00:00`)
+        : new Date());
+    const [selectedSlot, setSelectedSlot] = useState(() => waitlistOffer ? { time: waitlistOffer.offer.time, barberId: barber.id } : null);
+    const candidates = useMemo(() => barber ? [barber] : staff, [barber, staff]);
+    const activeServices = useMemo(() => barber ? getActiveServices(barber) : getShopMenu(staff), [barber, staff]);
+    const [selectedServiceIds, setSelectedServiceIds] = useState(() => {
+        const bookedIds = rescheduling ? getBookedServices(rescheduling).map(s => s.id) : waitlistOffer ? waitlistOffer.serviceIds : [];
+        const current = activeServices.filter(s => bookedIds.includes(getServiceId(s)) || bookedIds.includes(s.name));
+        return (current.length > 0 ? current : activeServices.slice(0, 1)).map(getServiceId);
+    });
+    // A paid booking can move to another slot but keeps the services (and price) it was paid for
+    const servicesLocked = rescheduling?.payment?.status === PAYMENT_STATUS.PAID;
+    // The catalogue updates live, so anything archived meanwhile simply drops out of the cart
+    const chosenServiceIds = activeServices.map(getServiceId).filter(id => selectedServiceIds.includes(id));
+    // The stylist the booking goes to: the one picked, or whoever holds the chosen "any stylist" slot
+    const assignedBarber = barber || candidates.find(c => c.id === selectedSlot?.barberId) || null;
+    // Until a stylist is assigned, "any stylist" bookings are quoted at the shop's lowest prices
+    const selectedServices = servicesLocked
+        ? getBookedServices(rescheduling)
+        : assignedBarber
+            ? getStaffServices(assignedBarber, chosenServiceIds) || []
+            : activeServices.filter(s => chosenServiceIds.includes(getServiceId(s))).map(toBookedService);
+    const cart = summarizeServices(selectedServices);
+    const [promoInput, setPromoInput] = useState('');
+    const [discount, setDiscount] = useState(null);
+    const [promoError, setPromoError] = useState(null);
+    const [applyingPromo, setApplyingPromo] = useState(false);
+    // Paid bookings keep the breakdown they were charged with; anything else is priced with today's config
+    const pricing = servicesLocked && rescheduling.pricing
+        ? rescheduling.pricing
+        : computePriceBreakdown({ services: selectedServices, barberId: assignedBarber?.id, config: pricingConfig, discount });
+
+    const handleApplyPromo = async () => {
+        if (applyingPromo) return;
+        setApplyingPromo(true);
+        setPromoError(null);
+        try {
+            setDiscount(await applyPromoCode(db, userId, promoInput, { barberId: assignedBarber.id, services: selectedServices }));
+        } catch (e) {
+            if (e.code !== PROMO_INVALID) console.error("Error applying promo code:", e);
+            setPromoError(e.code === PROMO_INVALID ? e.message : "Couldn't check that code. Please try again.");
+            setDiscount(null);
+        } finally {
+            setApplyingPromo(false);
+        }
+    };
+
+    const removePromo = () => {
+        setDiscount(null);
+        setPromoInput('');
+        setPromoError(null);
+    };
+
+    const toggleService = (service) => {
+        const id = getServiceId(service);
+        setSelectedServiceIds(prev => prev.includes(id) ? prev.filter(x => x !== id) : [...prev, id]);
+    };
+    const [isSubmitting, setIsSubmitting] = useState(false);
+    const [bookingError, setBookingError] = useState(null);
+    // Barbers see these on the appointment; prefilled from the profile and saved back to it
+    const [contactName, setContactName] = useState(customer.name);
+    const [contactPhone, setContactPhone] = useState(customer.phone || '');
+
+    const hasValidContact = contactName.trim().length > 0 && /^\+?[0-9][0-9\s-]{8,14}$/.test(contactPhone.trim());
+
+    // Live view of each stylist's claimed slots for the selected day, so slots disappear as they're taken.
+    // Customers read the day documents rather than the appointments, which hold other customers' details.
+    const selectedDateKey = toDateKey(selectedDate);
+    const liveClaimsById = useStaffDayClaims(db, candidates.map(c => c.id), selectedDateKey);
+    const waitlistEntryId = waitlistOffer?.id;
+    const claimsById = useMemo(() => waitlistEntryId
+        ? Object.fromEntries(Object.entries(liveClaimsById).map(([id, claims]) => [id, claims.filter(claim => claim.waitlistEntryId !== waitlistEntryId)]))
+        : liveClaimsById, [liveClaimsById, waitlistEntryId]);
+
+    const reschedulingAppointmentId = rescheduling?.appointmentId;
+    const chosenServiceKey = chosenServiceIds.join(',');
+    const lockedDuration = servicesLocked ? cart.duration : 0;
+    const availableSlots = useMemo(() => {
+        // Paid services may since have changed in the catalogue, so their booked length is used as-is
+        if (lockedDuration > 0) {
+            return getAvailableSlots({
+                availability: barber.availability,
+                date: selectedDate,
+                duration: lockedDuration,
+                appointments: (claimsById[barber.id] || []).filter(appt => appt.id !== reschedulingAppointmentId),
+            }).map(slot => ({ ...slot, barberId: barber.id }));
+        }
+        if (!chosenServiceKey) return [];
+        return getAnyStaffSlots({
+            candidates,
+            serviceIds: chosenServiceKey.split(','),
+            date: selectedDate,
+            claimsById,
+            excludeAppointmentId: reschedulingAppointmentId,
+        });
+    }, [barber, candidates, selectedDate, lockedDuration, chosenServiceKey, claimsById, reschedulingAppointmentId]);
+
+    // Recurring series: the chosen time repeated on later dates, each checked before confirming
+    const [repeat, setRepeat] = useState(null); // { intervalWeeks, endMode: 'count' | 'until', count, until }
+    const canRepeat = !rescheduling && !waitlistOffer;
+    const seriesDates = useMemo(() => repeat && selectedSlot ? getSeriesDates({
+        start: selectedDate,
+        intervalWeeks: repeat.intervalWeeks,
+        count: repeat.endMode === 'count' ? repeat.count : null,
+        until: repeat.endMode === 'until' ? repeat.until : null,
+    }) : [], [repeat, selectedSlot, selectedDate]);
+    const { claimsByDate: seriesClaims, loaded: seriesLoaded } = useSeriesClaims(db, assignedBarber?.id, seriesDates.map(toDateKey));
+    const seriesCheck = useMemo(() => seriesDates.length > 0 && assignedBarber ? checkSeriesDates({
+        availability: assignedBarber.availability,
+        dates: seriesDates,
+        time: selectedSlot.time,
+        duration: cart.duration,
+        claimsByDate: seriesClaims,
+    }) : [], [seriesDates, assignedBarber, selectedSlot, cart.duration, seriesClaims]);
+    const bookableDateKeys = seriesCheck.filter(visit => !visit.conflict).map(visit => visit.dateKey);
+
+    const toggleRepeat = () => {
+        if (repeat) {
+            setRepeat(null);
+            return;
+        }
+        const until = new Date(selectedDate);
+        until.setMonth(until.getMonth() + 3);
+        // Promo codes apply to single bookings only
+        removePromo();
+        setRepeat({ intervalWeeks: 3, endMode: 'count', count: 4, until: toDateKey(until) });
+    };
+
+    // Drop the chosen slot if it stops fitting (longer service picked, or someone else booked it)
+    useEffect(() => {
+        if (selectedSlot && !availableSlots.some(slot => slot.time === selectedSlot.time && slot.barberId === selectedSlot.barberId)) {
+            setSelectedSlot(null);
+        }
+    }, [availableSlots, selectedSlot]);
+
+    const days = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+    const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+    
+    const getWeekDays = (date) => {
+        const startOfWeek = new Date(date);
+        startOfWeek.setDate(date.getDate() - date.getDay()); 
+        
+        return Array.from({ length: 7 }, (_, i) => {
+            const day = new Date(startOfWeek);
+            day.setDate(startOfWeek.getDate() + i);
+            return day;
+        });
+    };
+    
+    const weekDays = getWeekDays(selectedDate);
+
+    const handleDateSelect = (day) => {
+        setSelectedDate(day);
+        setSelectedSlot(null); 
+    };
+
+    const handleConfirm = async () => {
+        if (!selectedSlot || isSubmitting || (!rescheduling && !hasValidContact)) return;
+
+        const bookingDetails = {
+            barberName: assignedBarber.name,
+            barberId: assignedBarber.id,
+            barberLocation: assignedBarber.location || null, // Snapshot for directions from My Appointments
+            ...(assignedBarber.shopId && { shopId: assignedBarber.shopId, shopName: assignedBarber.shopName, chair: assignedBarber.chair ?? null }),
+            date: selectedDate.toDateString(),
+            dateKey: toDateKey(selectedDate),
+            time: selectedSlot.time,
+            service: cart.name,
+            services: selectedServices,
+            duration: cart.duration,
+            totalPrice: pricing.total,
+            bookingFee: pricing.bookingFee,
+            barberPrice: cart.price,
+            pricing,
+            customer: { ...customer, name: contactName.trim(), phone: contactPhone.trim() },
+            ...(waitlistEntryId && { waitlistEntryId }),
+        };
+
+        setIsSubmitting(true);
+        setBookingError(null);
+        try {
+            await onConfirmBooking(bookingDetails, repeat ? { intervalWeeks: repeat.intervalWeeks, dateKeys: bookableDateKeys } : null);
+        } catch (e) {
+            // Other failures are reported by the App; only a lost slot race or a rejected promo come back here
+            if (e.code === SLOT_TAKEN && repeat) {
+                setBookingError(`Sorry, one of the dates just got taken (${e.message}) Please check the dates again.`);
+            } else if (e.code === SLOT_TAKEN) {
+                setBookingError(`Sorry, the ${selectedSlot.time} slot just got taken. Please pick another time.`);
+                setSelectedSlot(null);
+            } else if (e.code === PROMO_INVALID) {
+                setPromoError(e.message);
+                setDiscount(null);
+            }
+        } finally {
+            setIsSubmitting(false);
+        }
+    };
+
+    const canConfirm = selectedSlot && !isSubmitting && (rescheduling || hasValidContact)
+        && (!repeat || (seriesLoaded && bookableDateKeys.length > 0));
+
+    return (
+        <div className="p-4 bg-white rounded-xl shadow-2xl">
+            <h2 className="text-2xl font-bold text-gray-900 mb-4 border-b pb-2">
+                {rescheduling ? 'Reschedule' : 'Book'} with {barber ? barber.name : `any stylist at ${shop?.name || 'this shop'}`}
+            </h2>
+            {rescheduling && (
+                <p className="text-sm text-gray-600 -mt-2 mb-4">
+                    Currently booked for <span className="font-semibold">{rescheduling.time} on {rescheduling.date}</span>.
+                </p>
+            )}
+            
+            {/* Calendar View */}
+            <div className="mb-4">
+                <h3 className="font-semibold mb-2 text-gray-700">Select Date</h3>
+                <div className="flex justify-between items-center text-gray-500 mb-2">
+                    <span className="text-sm font-medium">{months[selectedDate.getMonth()]} {selectedDate.getFullYear()}</span>
+                    <div className='flex space-x-2'>
+                        <button onClick={() => setSelectedDate(prev => { const d = new Date(prev); d.setDate(prev.getDate() - 7); return d; })} className='text-sm p-1 rounded-full hover:bg-gray-100'>&lt;</button>
+                        <button onClick={() => setSelectedDate(prev => { const d = new Date(prev); d.setDate(prev.getDate() + 7); return d; })} className='text-sm p-1 rounded-full hover:bg-gray-100'>&gt;</button>
+                    </div>
+                </div>
+                <div className="grid grid-cols-7 gap-1 text-center text-xs">
+                    {weekDays.map((day, index) => (
+                        <div key={index} 
+                             onClick={() => handleDateSelect(day)}
+                             className={`cursor-pointer p-2 rounded-lg transition duration-150 ${day.toDateString() === selectedDate.toDateString() ? 'bg-amber-600 text-white shadow-md' : 'text-gray-700 hover:bg-amber-100'} ${day.toDateString() === new Date().toDateString() ? 'border border-amber-600 font-bold' : ''}`}
+                        >
+                            <div className="font-medium">{days[day.getDay()]}</div>
+                            <div className="text-lg font-bold">{day.getDate()}</div>
+                        </div>
+                    ))}
+                </div>
+            </div>
+
+            {/* Service Selection */}
+            <div className="mb-4">
+                <h3 className="font-semibold mb-2 text-gray-700">Select Services</h3>
+                {servicesLocked ? (
+                    <div className="p-2 rounded-lg border border-gray-200 bg-gray-50 text-sm">
+                        <p className="font-medium text-gray-800">{cart.name}</p>
+                        <p className="text-xs text-gray-500">Already paid for, so the services can't be changed. Cancel and rebook to pick different ones.</p>
+                    </div>
+                ) : activeServices.length > 0 ? (
+                    <div className="space-y-2">
+                        {activeServices.map(service => {
+                            const isSelected = selectedServiceIds.includes(getServiceId(service));
+                            return (
+                                <label
+                                    key={getServiceId(service)}
+                                    className={`flex items-start p-2 rounded-lg border cursor-pointer transition duration-150 ${
+                                        isSelected ? 'border-amber-500 bg-amber-50' : 'border-gray-200 bg-gray-50 hover:border-amber-300'
+                                    }`}
+                                >
+                                    <input type="checkbox" checked={isSelected} onChange={() => toggleService(service)} className="mt-1 mr-2 accent-amber-600" />
+                                    <div className="flex-grow text-sm">
+                                        <div className="flex justify-between">
+                                            <span className="font-medium text-gray-800">{service.name}</span>
+                                            <span className="text-gray-700">{barber ? '' : 'from '}₹{service.price}</span>
+                                        </div>
+                                        <p className="text-xs text-gray-500">{service.duration} mins{service.description ? ` · ${service.description}` : ''}</p>
+                                    </div>
+                                </label>
+                            );
+                        })}
+                        {selectedServices.length === 0 && (
+                            <p className="text-xs text-gray-500">Pick at least one service to see open slots.</p>
+                        )}
+                    </div>
+                ) : (
+                    <p className="text-gray-500 text-sm">This barber isn't offering any services right now.</p>
+                )}
+            </div>
+
+            {/* Time Slot Selection */}
+            <div className="mb-4">
+                <h3 className="font-semibold mb-2 text-gray-700">
+                    Available Slots {cart.duration > 0 && <span className="text-xs font-normal text-gray-500">({cart.duration} mins)</span>}
+                </h3>
+                <div className="flex flex-wrap gap-2 max-h-32 overflow-y-auto p-1">
+                    {availableSlots.length > 0 ? (
+                        availableSlots.map((slot, index) => (
+                            <button
+                                key={index}
+                                onClick={() => setSelectedSlot(slot)}
+                                className={`px-3 py-1 rounded-full text-xs font-medium transition duration-150 ${
+                                    selectedSlot?.time === slot.time 
+                                        ? 'bg-amber-600 text-white shadow-lg' 
+                                        : 'bg-amber-100 text-amber-700 hover:bg-amber-200'
+                                }`}
+                            >
+                                {slot.time}
+                            </button>
+                        ))
+                    ) : (
+                        <p className="text-gray-500 text-sm">No available slots for this date.</p>
+                    )}
+                </div>
+                {availableSlots.length === 0 && barber && !rescheduling && !servicesLocked && (
+                    <WaitlistJoinForm
+                        key={`${barber.id}_${selectedDateKey}`}
+                        db={db}
+                        userId={userId}
+                        barber={barber}
+                        date={selectedDate}
+                        services={selectedServices}
+                        name={contactName.trim() || customer.name}
+                    />
+                )}
+                {!barber && assignedBarber && (
+                    <p className="text-xs text-gray-600 mt-1">
+                        With <span className="font-semibold">{assignedBarber.name}</span>{assignedBarber.chair ? ` at chair ${assignedBarber.chair}` : ''}.
+                    </p>
+                )}
+            </div>
+
+            {/* Recurring series (new bookings only) */}
+            {canRepeat && selectedSlot && (
+                <div className="mb-4 text-sm">
+                    <label className="flex items-center space-x-2 font-semibold text-gray-700 cursor-pointer">
+                        <input type="checkbox" checked={!!repeat} onChange={toggleRepeat} className="accent-amber-600" />
+                        <span>Repeat this booking</span>
+                    </label>
+                    {repeat && (
+                        <div className="mt-2 p-2 rounded-lg border border-gray-200 bg-gray-50 space-y-2 text-xs">
+                            <div className="flex items-center space-x-2">
+                                <span className="text-gray-600">Every</span>
+                                <select
+                                    value={repeat.intervalWeeks}
+                                    onChange={(e) => setRepeat({ ...repeat, intervalWeeks: Number(e.target.value) })}
+                                    className="p-1 border border-gray-300 rounded bg-white"
+                                >
+                                    {SERIES_INTERVAL_OPTIONS_WEEKS.map(weeks => (
+                                        <option key={weeks} value={weeks}>{weeks} week{weeks === 1 ? '' : 's'}</option>
+                                    ))}
+                                </select>
+                                <span className="text-gray-600">at {selectedSlot.time},</span>
+                                <select
+                                    value={repeat.endMode}
+                                    onChange={(e) => setRepeat({ ...repeat, endMode: e.target.value })}
+                                    className="p-1 border border-gray-300 rounded bg-white"
+                                >
+                                    <option value="count">for</option>
+                                    <option value="until">until</option>
+                                </select>
+                                {repeat.endMode === 'count' ? (
+                                    <>
+                                        <input
+                                            type="number"
+                                            min="2"
+                                            max={MAX_SERIES_OCCURRENCES}
+                                            value={repeat.count}
+                                            onChange={(e) => setRepeat({ ...repeat, count: Math.min(MAX_SERIES_OCCURRENCES, Math.max(1, Number(e.target.value) || 1)) })}
+                                            className="w-12 p-1 border border-gray-300 rounded bg-white"
+                                        />
+                                        <span className="text-gray-600">visits</span>
+                                    </>
+                                ) : (
+                                    <input
+                                        type="date"
+                                        value={repeat.until}
+                                        min={selectedDateKey}
+                                        onChange={(e) => setRepeat({ ...repeat, until: e.target.value })}
+                                        className="p-1 border border-gray-300 rounded bg-white"
+                                    />
+                                )}
+                            </div>
+                            <ul className="space-y-0.5">
+                                {seriesCheck.map(visit => (
+                                    <li key={visit.dateKey} className={`flex justify-between ${seriesLoaded && visit.conflict ? 'text-red-600' : 'text-gray-700'}`}>
+                                        <span>{visit.date.toDateString()}</span>
+                                        <span>{!seriesLoaded ? 'Checking...' : visit.conflict || 'Available'}</span>
+                                    </li>
+                                ))}
+                            </ul>
+                            {seriesLoaded && bookableDateKeys.length < seriesCheck.length && (
+                                <p className="text-gray-600">
+                                    Only the {bookableDateKeys.length} available date{bookableDateKeys.length === 1 ? '' : 's'} will be booked.
+                                    Change the time or the interval to fit the others.
+                                </p>
+                            )}
+                            {seriesDates.length === MAX_SERIES_OCCURRENCES && (
+                                <p className="text-gray-500">A series can have up to {MAX_SERIES_OCCURRENCES} visits.</p>
+                            )}
+                        </div>
+                    )}
+                </div>
+            )}
+
+            {/* Customer Details (new bookings only; a reschedule keeps the original contact) */}
+            {!rescheduling && (
+                <div className="mb-4">
+                    <h3 className="font-semibold mb-2 text-gray-700">Your Details</h3>
+                    <div className="flex space-x-2">
+                        <input
+                            type="text"
+                            placeholder="Your name"
+                            value={contactName}
+                            onChange={(e) => setContactName(e.target.value)}
+                            className="w-1/2 p-2 border border-gray-300 rounded-lg bg-gray-50 text-sm focus:ring-amber-500 focus:border-amber-500"
+                        />
+                        <input
+                            type="tel"
+                            placeholder="Phone, e.g. +91 98765 43210"
+                            value={contactPhone}
+                            onChange={(e) => setContactPhone(e.target.value)}
+                            className="w-1/2 p-2 border border-gray-300 rounded-lg bg-gray-50 text-sm focus:ring-amber-500 focus:border-amber-500"
+                        />
+                    </div>
+                    {!hasValidContact && (
+                        <p className="text-xs text-gray-500 mt-1">Your barber needs a name and phone number to reach you.</p>
+                    )}
+                </div>
+            )}
+
+            {/* Promo Code (single new bookings only) */}
+            {!rescheduling && !repeat && (
+                <div className="mb-4">
+                    {discount ? (
+                        <div className="flex justify-between items-center text-sm p-2 rounded-lg bg-green-50 border border-green-200">
+                            <span className="text-green-800">
+                                <span className="font-mono font-bold">{discount.code}</span> applied
+                                {!pricing.discount && ' — it doesn\'t cover the selected services'}
+                            </span>
+                            <button onClick={removePromo} className="text-xs font-semibold text-gray-500 hover:text-red-600">Remove</button>
+                        </div>
+                    ) : (
+                        <div className="flex space-x-2">
+                            <input
+                                type="text"
+                                placeholder="Promo code"
+                                value={promoInput}
+                                onChange={(e) => setPromoInput(e.target.value)}
+                                className="flex-grow p-2 border border-gray-300 rounded-lg bg-gray-50 text-sm uppercase focus:ring-amber-500 focus:border-amber-500"
+                            />
+                            <button
+                                onClick={handleApplyPromo}
+                                disabled={!promoInput.trim() || applyingPromo || selectedServices.length === 0 || !assignedBarber}
+                                className="px-4 rounded-lg text-sm font-semibold bg-gray-800 text-white hover:bg-gray-900 transition disabled:bg-gray-300"
+                            >
+                                {applyingPromo ? 'Checking...' : 'Apply'}
+                            </button>
+                        </div>
+                    )}
+                    {promoError && <p className="text-xs text-red-600 mt-1">{promoError}</p>}
+                </div>
+            )}
+
+            {/* Pricing Summary */}
+            <div className="border-t pt-3 mt-3">
+                {!assignedBarber && (
+                    <p className="text-xs text-gray-500 mb-2">Starting prices. Pick a time to see the assigned stylist's price and apply a promo code.</p>
+                )}
+                <PriceBreakdown pricing={pricing} />
+                {repeat && bookableDateKeys.length > 1 && (
+                    <div className="flex justify-between font-bold text-gray-900 text-sm mt-1">
+                        <span>{bookableDateKeys.length} visits, paid now</span>
+                        <span>₹{roundMoney(pricing.total * bookableDateKeys.length)}</span>
+                    </div>
+                )}
+            </div>
+
+            {bookingError && (
+                <p className="mt-4 p-2 text-sm text-red-700 bg-red-50 border border-red-200 rounded-lg">{bookingError}</p>
+            )}
+
+            {/* Action Buttons */}
+            <div className="flex mt-6 space-x-3">
+                <button 
+                    onClick={onClose}
+                    className="flex-1 bg-gray-200 text-gray-700 font-bold py-2 rounded-xl text-sm hover:bg-gray-300 transition duration-150"
+                >
+                    Back
+                </button>
+                <button 
+                    onClick={handleConfirm}
+                    disabled={!canConfirm}
+                    className={`flex-1 font-bold py-2 rounded-xl shadow-xl text-sm transition duration-150 ${
+                        canConfirm ? 'bg-amber-600 hover:bg-amber-700 text-white transform hover:scale-[1.02]' : 'bg-gray-300 text-gray-500 cursor-not-allowed'
+                    }`}
+                >
+                    {isSubmitting ? 'Booking...'
+                        : rescheduling ? 'Confirm Reschedule'
+                        : repeat ? `Continue to Payment (${bookableDateKeys.length} visits)`
+                        : 'Continue to Payment'}
+                </button>
+            </div>
+        </div>
+    );
+};
+
+/**
+ * Takes payment for a 'Pending Payment' booking. The booking document is
+ * watched live so the hold countdown and any earlier failed attempt show up;
+ * leaving the screen without paying releases the held slot. A recurring series
+ * (`seriesBookings`) is charged for all its visits at once.
+ */
+const CheckoutScreen = ({ db, auth, userId, booking: initialBooking, onPaid, onCancel }) => {
+    const [booking, setBooking] = useState(initialBooking);
+    const [card, setCard] = useState({ cardNumber: '', expiry: '', cvc: '' });
+    const [isPaying, setIsPaying] = useState(false);
+    const [paymentError, setPaymentError] = useState(null);
+    const [now, setNow] = useState(Date.now());
+    const visits = initialBooking.seriesBookings || null;
+    const amount = visits ? roundMoney(visits.reduce((sum, visit) => sum + visit.totalPrice, 0)) : booking.totalPrice;
+
+    useEffect(() => {
+        if (!db) return;
+        const bookingRef = doc(db, 'artifacts', appId, 'users', userId, 'bookings', initialBooking.id);
+        const unsubscribe = onSnapshot(bookingRef, (snapshot) => {
+            if (snapshot.exists()) setBooking({ id: snapshot.id, ...snapshot.data() });
+        }, (err) => console.error("Firestore error fetching booking:", err));
+        return () => unsubscribe();
+    }, [db, userId, initialBooking.id]);
+
+    // A series shares one hold, so every visit follows the live status of the first
+    useExpiredHoldRelease(db, userId, visits ? visits.map(visit => ({ ...visit, status: booking.status })) : [booking]);
+
+    useEffect(() => {
+        const timer = setInterval(() => setNow(Date.now()), 1000);
+        return () => clearInterval(timer);
+    }, []);
+
+    const secondsLeft = Math.max(0, Math.floor(((booking.holdExpiresAt || 0) - now) / 1000));
+    const canPay = !isPaying && booking.status === 'Pending Payment' && card.cardNumber.replace(/\D/g, '').length === 16
+        && /^\d{2}\/\d{2}$/.test(card.expiry) && /^\d{3,4}$/.test(card.cvc);
+
+    const handlePay = async () => {
+        if (!canPay) return;
+        setIsPaying(true);
+        setPaymentError(null);
+        try {
+            const { paymentId } = await paymentProvider.createPayment({
+                amount,
+                currency: CURRENCY,
+                reference: booking.id,
+            });
+            const result = await paymentProvider.confirmPayment(paymentId, card);
+            if (result.status !== PAYMENT_STATUS.PAID) {
+                await Promise.all((visits || [booking]).map(visit => recordPaymentFailure(db, userId, visit, result)));
+                setPaymentError(result.failureReason);
+                return;
+            }
+
+            try {
+                await confirmBookingPayment(auth, visits ? { ...booking, seriesBookings: visits } : booking, result);
+            } catch (e) {
+                // Charged but the booking couldn't be confirmed: give the money straight back
+                console.error("Confirming the paid booking failed:", e);
+                let refunded = true;
+                try {
+                    await paymentProvider.refundPayment(paymentId, amount, `refund_${paymentId}`);
+                } catch (refundError) {
+                    console.error("Refunding the unconfirmed payment failed:", refundError);
+                    refunded = false;
+                }
+                // The slot went while the hold was lapsed, so the booking can't stay pending payment
+                // (a HOLD_EXPIRED booking has already been released)
+                if (e.code === SLOT_TAKEN) {
+                    await Promise.all((visits || [booking]).map(visit => abandonCheckout(db, userId, visit)))
+                        .catch(err => console.error("Error releasing the unconfirmed booking:", err));
+                }
+                setPaymentError(!refunded
+                    ? `We couldn't confirm your booking and the refund didn't go through. Please contact support with payment reference ${paymentId} so we can refund you.`
+                    : e.code === SLOT_TAKEN
+                        ? "Your hold ran out and the slot was booked by someone else. Your payment has been refunded — please pick another time."
+                        : e.code === HOLD_EXPIRED
+                            ? "Your hold ran out before the payment went through, so the slot was released. Your payment has been refunded — please book again."
+                            : "We couldn't confirm your booking, so your payment has been refunded. Please try again.");
+                return;
+            }
+            onPaid({
+                ...booking,
+                status: 'Confirmed',
+                payment: { ...booking.payment, status: PAYMENT_STATUS.PAID, cardLast4: result.cardLast4 },
+                ...(visits && { seriesBookings: visits }),
+            });
+        } catch (e) {
+            console.error("Payment failed:", e);
+            setPaymentError("We couldn't process the payment. Please try again.");
+        } finally {
+            setIsPaying(false);
+        }
+    };
+
+    const handleBack = async () => {
+        try {
+            await Promise.all((visits || [booking]).map(visit => abandonCheckout(db, userId, visit)));
+        } catch (e) {
+            console.error("Error releasing held slot:", e);
+        }
+        onCancel();
+    };
+
+    const inputClass = "p-2 border border-gray-300 rounded-lg bg-gray-50 text-sm focus:ring-amber-500 focus:border-amber-500";
+
+    return (
+        <div className="p-4 bg-white rounded-xl shadow-2xl">
+            <h2 className="text-2xl font-bold text-gray-900 mb-4 border-b pb-2">Checkout</h2>
+
+            <div className="p-3 bg-amber-50 rounded-lg border border-amber-200 text-sm mb-4">
+                <p className="font-semibold text-gray-800">{booking.service} with {booking.barberName}</p>
+                {visits ? (
+                    <div className="text-gray-600 mb-2">
+                        <p>{visits.length} visits at {booking.time}, every {booking.series.intervalWeeks} week{booking.series.intervalWeeks === 1 ? '' : 's'}:</p>
+                        <p className="text-xs">{visits.map(visit => visit.date).join(' · ')}</p>
+                    </div>
+                ) : (
+                    <p className="text-gray-600 mb-2">{booking.time} on {booking.date}</p>
+                )}
+                <PriceBreakdown pricing={booking.pricing} />
+                {visits && (
+                    <div className="flex justify-between font-bold text-gray-900 mt-1">
+                        <span>{visits.length} visits</span>
+                        <span>₹{amount}</span>
+                    </div>
+                )}
+            </div>
+
+            <p className={`text-xs mb-3 ${secondsLeft > 0 ? 'text-gray-500' : 'text-red-600'}`}>
+                {secondsLeft > 0
+                    ? `Slot held for ${Math.floor(secondsLeft / 60)}:${pad2(secondsLeft % 60)} while you pay.`
+                    : "Your hold has expired and the slot has been released. Please book again."}
+            </p>
+
+            <div className="space-y-2 mb-2">
+                <input
+                    type="text"
+                    inputMode="numeric"
+                    placeholder="Card number"
+                    value={card.cardNumber}
+                    onChange={(e) => setCard({ ...card, cardNumber: e.target.value })}
+                    className={`w-full ${inputClass}`}
+                />
+                <div className="flex space-x-2">
+                    <input
+                        type="text"
+                        placeholder="MM/YY"
+                        value={card.expiry}
+                        onChange={(e) => setCard({ ...card, expiry: e.target.value })}
+                        className={`w-1/2 ${inputClass}`}
+                    />
+                    <input
+                        type="text"
+                        inputMode="numeric"
+                        placeholder="CVC"
+                        value={card.cvc}
+                        onChange={(e) => setCard({ ...card, cvc: e.target.value })}
+                        className={`w-1/2 ${inputClass}`}
+                    />
+                </div>
+            </div>
+            <p className="text-xs text-gray-400">
+                Cancel at least {REFUND_POLICY.fullRefundHours} hours ahead for a refund of the service price; the booking fee isn't refundable.
+            </p>
+
+            {(paymentError || booking.payment?.status === PAYMENT_STATUS.FAILED) && (
+                <p className="mt-4 p-2 text-sm text-red-700 bg-red-50 border border-red-200 rounded-lg">
+                    {paymentError || booking.payment.failureReason}
+                </p>
+            )}
+
+            <div className="flex mt-6 space-x-3">
+                <button
+                    onClick={handleBack}
+                    disabled={isPaying}
+                    className="flex-1 bg-gray-200 text-gray-700 font-bold py-2 rounded-xl text-sm hover:bg-gray-300 transition duration-150"
+                >
+                    Back
+                </button>
+                <button
+                    onClick={handlePay}
+                    disabled={!canPay}
+                    className={`flex-1 font-bold py-2 rounded-xl shadow-xl text-sm transition duration-150 ${
+                        canPay ? 'bg-amber-600 hover:bg-amber-700 text-white transform hover:scale-[1.02]' : 'bg-gray-300 text-gray-500 cursor-not-allowed'
+                    }`}
+                >
+                    {isPaying ? 'Processing...' : `Pay ₹${amount}`}
+                </button>
+            </div>
+        </div>
+    );
+};
+
+// Booking Confirmation Screen (Updated with LLM feature)
+const ConfirmationScreen = ({ db, userId, profile, bookingDetails, barber, onDone }) => {
+    const [tips, setTips] = useState(bookingDetails.aftercareTips?.text || null);
+    const [loadingTips, setLoadingTips] = useState(false);
+    // Asked for only until it's on the profile, which may load after this screen opens
+    const [pickedHairType, setPickedHairType] = useState('straight');
+    const hasHairProfile = !!profile?.hairType;
+    const hairType = profile?.hairType || pickedHairType;
+    const hairConcerns = profile?.hairConcerns || [];
+    const seriesVisits = bookingDetails.seriesBookings || null;
+    const totalPaid = seriesVisits
+        ? roundMoney(seriesVisits.reduce((sum, visit) => sum + visit.totalPrice, 0))
+        : bookingDetails.totalPrice;
+
+    const handleGenerateTips = async () => {
+        if (loadingTips) return;
+        // Asking again should get new tips, not the cached answer
+        const fresh = !!tips;
+        setLoadingTips(true);
+        setTips(null);
+
+        try {
+            if (!hasHairProfile) await saveUserProfile(db, userId, { hairType });
+            const recentServices = await fetchRecentServices(db, userId, profile, bookingDetails.id);
+            const generatedTips = await generateAftercareTips({ service: bookingDetails.service, hairType, hairConcerns, recentServices, fresh });
+            setTips(generatedTips);
+            // The tips are still shown if they can't be kept on the booking
+            saveAftercareTips(db, userId, bookingDetails.id, { text: generatedTips, hairType, hairConcerns }).catch(console.error);
+        } catch (error) {
+            console.error("Error generating aftercare tips:", error);
+            setTips("Sorry, we couldn't fetch the care tips right now. Please try again later.");
+        } finally {
+            setLoadingTips(false);
+        }
+    };
+
+
+    return (
+        <div className="p-4 sm:p-8 bg-white rounded-xl shadow-2xl text-center">
+            <svg className="w-20 h-20 text-green-500 mx-auto mb-6" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z"></path>
+            </svg>
+            <h2 className="text-3xl font-bold text-gray-900 mb-2">Appointment Confirmed!</h2>
+            <p className="text-gray-600 mb-8">You're all set. We've notified the barber.</p>
+
+            {/* Booking Details */}
+            <div className="text-left space-y-3 bg-amber-50 p-6 rounded-lg border border-amber-200 mb-6">
+                <p className="font-semibold text-gray-800">
+                    Barber: <span className="float-right font-bold text-amber-700">{bookingDetails.barberName}</span>
+                </p>
+                {bookingDetails.shopName && (
+                    <p className="text-sm text-gray-600 -mt-2 text-right">
+                        {bookingDetails.shopName}{bookingDetails.chair ? ` · Chair ${bookingDetails.chair}` : ''}
+                    </p>
+                )}
+                <div className="font-semibold text-gray-800">
+                    {getBookedServices(bookingDetails).length > 1 ? 'Services:' : 'Service:'}
+                    {getBookedServices(bookingDetails).map(service => (
+                        <p key={service.id} className="flex justify-between font-bold text-sm mt-1">
+                            <span>{service.name}</span>
+                            <span className="text-gray-600 font-medium">{service.duration} mins · ₹{service.price}</span>
+                        </p>
+                    ))}
+                </div>
+                <p className="font-semibold text-gray-800">
+                    Time: <span className="float-right font-bold text-xl">{bookingDetails.time}</span>
+                </p>
+                {seriesVisits && (
+                    <div className="text-sm text-gray-700">
+                        <p className="font-semibold">
+                            {seriesVisits.length} visits, every {bookingDetails.series.intervalWeeks} week{bookingDetails.series.intervalWeeks === 1 ? '' : 's'}:
+                        </p>
+                        <p className="text-xs text-gray-600">{seriesVisits.map(visit => visit.date).join(' · ')}</p>
+                    </div>
+                )}
+                <p className="border-t border-amber-200 pt-3 text-sm text-gray-600">
+                    Total Paid: <span className="float-right font-extrabold text-lg text-green-600">₹{totalPaid}</span>
+                </p>
+                {bookingDetails.payment?.cardLast4 && (
+                    <p className="text-xs text-gray-500">Charged to card ending {bookingDetails.payment.cardLast4}</p>
+                )}
+                {/* The live document has the latest address; the booking's snapshot covers a barber that's gone */}
+                <div className="border-t border-amber-200 pt-3">
+                    <ShopAddress location={barber?.location || bookingDetails.barberLocation} />
+                </div>
+            </div>
+
+            {/* --- Gemini LLM Feature: Aftercare Tips --- */}
+            <div className="bg-blue-50 p-4 rounded-xl shadow-inner mb-6">
+                <h3 className="font-bold text-lg text-blue-800 mb-3">✨ Post-Kut Care Tips</h3>
+                
+                {hasHairProfile ? (
+                    <p className="text-sm text-gray-700 mb-4 text-left">
+                        For your <span className="font-semibold">{hairType}</span> hair
+                        {hairConcerns.length > 0 && <> and {hairConcerns.join(', ')}</>}, and your recent visits.
+                        <span className="block text-xs text-gray-500">Change these under Profile.</span>
+                    </p>
+                ) : (
+                    <div className="flex items-center mb-4 space-x-2">
+                        <label htmlFor="hairType" className="text-sm text-gray-700 font-medium whitespace-nowrap">My Hair Type:</label>
+                        <select 
+                            id="hairType" 
+                            value={hairType} 
+                            onChange={(e) => setPickedHairType(e.target.value)}
+                            className="w-full p-2 border border-blue-300 rounded-lg bg-white text-sm focus:ring-blue-500 focus:border-blue-500"
+                        >
+                            {HAIR_TYPES.map(type => <option key={type} value={type}>{type.charAt(0).toUpperCase() + type.slice(1)}</option>)}
+                        </select>
+                    </div>
+                )}
+
+                <button 
+                    onClick={handleGenerateTips}
+                    disabled={loadingTips}
+                    className="w-full bg-blue-600 hover:bg-blue-700 text-white font-bold py-3 rounded-xl shadow-md transition duration-150 disabled:bg-gray-400 disabled:cursor-not-allowed flex items-center justify-center space-x-2"
+                >
+                    {loadingTips ? (
+                        <>
+                            <div className="animate-spin rounded-full h-5 w-5 border-2 border-white border-t-transparent"></div>
+                            <span>Generating Tips...</span>
+                        </>
+                    ) : (
+                        <span>{tips ? '✨ Update My Aftercare Tips' : '✨ Get Personalized Aftercare Tips'}</span>
+                    )}
+                </button>
+
+                {tips && (
+                    <div className="mt-4 text-left p-3 bg-white border border-blue-200 rounded-lg text-sm text-gray-700 whitespace-pre-line">
+                        {tips}
+                    </div>
+                )}
+            </div>
+            {/* --- End LLM Feature --- */}
+
+
+            <button
+                onClick={() => downloadBookingIcs(bookingDetails, barber)}
+                className="w-full bg-white text-amber-700 border border-amber-300 font-bold py-3 rounded-xl hover:bg-amber-50 transition duration-150 flex items-center justify-center space-x-2"
+            >
+                <CalendarIcon className="w-5 h-5" /> <span>Add to Calendar (.ics)</span>
+            </button>
+
+            <button 
+                onClick={onDone}
+                className="w-full mt-4 bg-amber-600 hover:bg-amber-700 text-white font-bold py-3 rounded-xl shadow-xl transition duration-150 transform hover:scale-[1.02]"
+            >
+                View My Bookings
+            </button>
+        </div>
+    );
+};
+
+/**
+ * The customer's waitlist entries in My Appointments. An offered slot counts
+ * down its hold and can be booked or passed on; while entries are pending, the
+ * days they wait on are swept so lapsed offers move on to the next person.
+ */
+const WaitlistSection = ({ db, userId, onBookOffer }) => {
+    const entries = useMyWaitlist(db, userId);
+    const [now, setNow] = useState(() => Date.now());
+    const [updatingId, setUpdatingId] = useState(null);
+    const [error, setError] = useState(null);
+    useWaitlistSweep(db, entries);
+
+    const todayKey = toDateKey(new Date(now));
+    const visible = entries.filter(entry => entry.dateKey >= todayKey
+        && [...ACTIVE_WAITLIST_STATUSES, WAITLIST_STATUS.MISSED].includes(entry.status));
+    const hasOffer = visible.some(entry => entry.status === WAITLIST_STATUS.OFFERED);
+
+    useEffect(() => {
+        if (!hasOffer) return;
+        const timer = setInterval(() => setNow(Date.now()), 1000);
+        return () => clearInterval(timer);
+    }, [hasOffer]);
+
+    if (visible.length === 0) return null;
+
+    const handleLeave = async (entry, status) => {
+        setUpdatingId(entry.id);
+        setError(null);
+        try {
+            await leaveWaitlist(db, entry, status);
+        } catch (e) {
+            console.error("Error updating waitlist entry:", e);
+            setError("Couldn't update your waitlist entry. Please try again.");
+        } finally {
+            setUpdatingId(null);
+        }
+    };
+
+    return (
+        <div className="mb-6">
+            <h3 className="font-bold text-gray-800 mb-2">Waitlist</h3>
+            {error && <p className="mb-2 text-xs text-red-600">{error}</p>}
+            <div className="space-y-2">
+                {visible.map(entry => {
+                    const secondsLeft = entry.offer ? Math.max(0, Math.floor((entry.offer.expiresAt - now) / 1000)) : 0;
+                    const offerOpen = entry.status === WAITLIST_STATUS.OFFERED && secondsLeft > 0;
+                    return (
+                        <div key={entry.id} className={`p-3 rounded-lg border text-sm ${offerOpen ? 'border-green-400 bg-green-50' : 'border-gray-200 bg-gray-50'}`}>
+                            <div className="flex justify-between">
+                                <span className="font-semibold text-gray-800">{entry.barberName}</span>
+                                <span className="text-xs text-gray-500">{entry.date}</span>
+                            </div>
+                            <p className="text-xs text-gray-600">
+                                {summarizeServices(entry.services).name} · any time {entry.windowStart}–{entry.windowEnd}
+                            </p>
+                            {offerOpen ? (
+                                <>
+                                    <p className="mt-1 text-green-800">
+                                        <span className="font-bold">{entry.offer.time}</span> just opened up. It's held for you for{' '}
+                                        {Math.floor(secondsLeft / 60)}:{pad2(secondsLeft % 60)}.
+                                    </p>
+                                    <div className="flex space-x-2 mt-2">
+                                        <button
+                                            onClick={() => onBookOffer(entry)}
+                                            className="flex-1 bg-amber-600 hover:bg-amber-700 text-white font-bold py-1.5 rounded-lg text-xs"
+                                        >
+                                            Book {entry.offer.time}
+                                        </button>
+                                        <button
+                                            onClick={() => handleLeave(entry, WAITLIST_STATUS.DECLINED)}
+                                            disabled={updatingId === entry.id}
+                                            className="flex-1 bg-gray-200 text-gray-700 font-bold py-1.5 rounded-lg text-xs hover:bg-gray-300 disabled:opacity-50"
+                                        >
+                                            Pass
+                                        </button>
+                                    </div>
+                                </>
+                            ) : entry.status === WAITLIST_STATUS.WAITING ? (
+                                <div className="flex justify-between items-center mt-1">
+                                    <span className="text-xs text-gray-500">Waiting for a slot to open up.</span>
+                                    <button
+                                        onClick={() => handleLeave(entry, WAITLIST_STATUS.LEFT)}
+                                        disabled={updatingId === entry.id}
+                                        className="text-xs font-semibold text-gray-500 hover:text-red-600 disabled:opacity-50"
+                                    >
+                                        Leave waitlist
+                                    </button>
+                                </div>
+                            ) : (
+                                <p className="mt-1 text-xs text-gray-500">
+                                    The hold on {entry.offer?.time} ran out, so it went to the next person.
+                                </p>
+                            )}
+                        </div>
+                    );
+                })}
+            </div>
+        </div>
+    );
+};
+
+// Bookings List Screen (for the User)
+const BookingsScreen = ({ db, userId, isAuthReady, reviewerName, onNavigate, onReschedule, onCompletePayment, onBookWaitlistOffer }) => {
+    const [bookings, setBookings] = useState([]);
+    const [loadingBookings, setLoadingBookings] = useState(true);
+    const [confirmingCancelId, setConfirmingCancelId] = useState(null);
+    const [cancellingId, setCancellingId] = useState(null);
+    const [actionError, setActionError] = useState(null);
+    const [actionNotice, setActionNotice] = useState(null);
+    const [reviewDraft, setReviewDraft] = useState(null); // { bookingId, rating, text }
+    const [submittingReview, setSubmittingReview] = useState(false);
+    const [openTipsId, setOpenTipsId] = useState(null);
+
+    useEffect(() => {
+        if (!db || !isAuthReady || !userId) return;
+
+        const bookingsRef = collection(db, 'artifacts', appId, 'users', userId, 'bookings');
+        const q = query(bookingsRef);
+
+        const unsubscribe = onSnapshot(q, (snapshot) => {
+            const fetchedBookings = snapshot.docs.map(doc => ({
+                id: doc.id,
+                ...doc.data(),
+                // Convert timestamp object to milliseconds if it exists
+                timestampMs: doc.data().timestamp ? doc.data().timestamp.toMillis() : Date.now()
+            })).sort((a, b) => b.timestampMs - a.timestampMs); // Sort by newest first
+            
+            setBookings(fetchedBookings);
+            setLoadingBookings(false);
+        }, (err) => {
+            console.error("Firestore error fetching bookings:", err);
+            setLoadingBookings(false);
+        });
+
+        return () => unsubscribe();
+    }, [db, userId, isAuthReady]);
+
+    usePendingRefunds(db, bookings, booking => ({
+        userId, bookingId: booking.id, barberId: booking.barberId, appointmentId: booking.appointmentId,
+    }));
+    useExpiredHoldRelease(db, userId, bookings);
+
+    const handleAddToCalendar = async (booking) => {
+        setActionError(null);
+        try {
+            downloadBookingIcs(booking, await fetchBarber(db, booking.barberId));
+        } catch (e) {
+            console.error("Error exporting booking:", e);
+            setActionError("We couldn't create the calendar file. Please try again.");
+        }
+    };
+
+    const handleCancel = async (booking) => {
+        setCancellingId(booking.id);
+        setActionError(null);
+        setActionNotice(null);
+        try {
+            const { refundPending } = await cancelBooking(db, userId, booking);
+            if (refundPending) setActionNotice("Booking cancelled. Your refund didn't go through yet — we'll keep retrying it automatically.");
+        } catch (e) {
+            console.error("Error cancelling booking:", e);
+            setActionError(e.code === CHANGE_NOT_ALLOWED ? e.message : "We couldn't cancel this booking. Please try again.");
+        } finally {
+            setCancellingId(null);
+            setConfirmingCancelId(null);
+        }
+    };
+
+    const handleCancelSeries = async (booking) => {
+        setCancellingId(booking.id);
+        setActionError(null);
+        setActionNotice(null);
+        try {
+            const { cancelled, refunded, refundsPending } = await cancelSeries(db, userId, booking.seriesId);
+            setActionNotice(`Cancelled ${cancelled} remaining visit${cancelled === 1 ? '' : 's'}.${refunded > 0 ? ` ₹${refunded} will be refunded.` : ''}`
+                + (refundsPending > 0 ? ` ${refundsPending} refund${refundsPending === 1 ? '' : 's'} didn't go through yet — we'll keep retrying automatically.` : ''));
+        } catch (e) {
+            console.error("Error cancelling series:", e);
+            setActionError("We couldn't cancel the series. Please try again.");
+        } finally {
+            setCancellingId(null);
+            setConfirmingCancelId(null);
+        }
+    };
+
+    const handleSubmitReview = async (booking) => {
+        if (!reviewDraft.rating || submittingReview) return;
+        setSubmittingReview(true);
+        setActionError(null);
+        try {
+            await submitReview(db, userId, booking, reviewDraft, reviewerName);
+            setReviewDraft(null);
+        } catch (e) {
+            console.error("Error submitting review:", e);
+            setActionError(e.code === REVIEW_NOT_ALLOWED ? e.message : "We couldn't save your review. Please try again.");
+        } finally {
+            setSubmittingReview(false);
+        }
+    };
+
+    return (
+        <div className="p-4 bg-white rounded-xl shadow-2xl">
+            <h2 className="text-2xl font-bold text-gray-900 mb-4 border-b pb-2">My Appointments</h2>
+
+            <WaitlistSection db={db} userId={userId} onBookOffer={onBookWaitlistOffer} />
+            
+            {actionError && (
+                <p className="mb-4 p-2 text-sm text-red-700 bg-red-50 border border-red-200 rounded-lg">{actionError}</p>
+            )}
+            {actionNotice && (
+                <p className="mb-4 p-2 text-sm text-green-800 bg-green-50 border border-green-200 rounded-lg">{actionNotice}</p>
+            )}
+
+            {loadingBookings ? (
+                <div className="text-center p-8">Loading...</div>
+            ) : bookings.length === 0 ? (
+                <div className="text-center p-8 text-gray-500">
+                    <CalendarIcon className="w-8 h-8 mx-auto mb-2 text-amber-500" />
+                    <p>You have no past or upcoming bookings yet.</p>
+                    <button 
+                        onClick={() => onNavigate('home')}
+                        className="mt-4 text-amber-600 font-semibold hover:text-amber-700 transition"
+                    >
+                        Book Your First Kut!
+                    </button>
+                </div>
+            ) : (
+                <div className="space-y-4">
+                    {bookings.map((booking) => (
+                        <div key={booking.id} className="p-4 bg-amber-50 rounded-lg shadow-sm border-l-4 border-amber-600">
+                            <div className="flex justify-between items-start mb-2">
+                                <div>
+                                    <h3 className="font-bold text-lg text-gray-800">{booking.barberName}</h3>
+                                    {booking.shopName && (
+                                        <p className="text-xs text-gray-500">{booking.shopName}{booking.chair ? ` · Chair ${booking.chair}` : ''}</p>
+                                    )}
+                                    {booking.series && (
+                                        <p className="text-xs text-amber-700">
+                                            Visit {booking.series.index + 1} of {booking.series.count} · every {booking.series.intervalWeeks} week{booking.series.intervalWeeks === 1 ? '' : 's'}
+                                        </p>
+                                    )}
+                                </div>
+                                <StatusBadge status={booking.status} />
+                            </div>
+                            <div className="flex flex-wrap gap-1">
+                                {getBookedServices(booking).map(service => (
+                                    <span key={service.id} className="px-2 py-0.5 bg-white border border-amber-200 rounded-full text-xs text-gray-700">
+                                        {service.name}
+                                    </span>
+                                ))}
+                                {booking.duration && <span className="text-xs text-gray-500 self-center">{booking.duration} mins</span>}
+                            </div>
+                            <p className="text-sm font-medium text-gray-700 mt-2">
+                                <span className='text-amber-600 font-bold mr-1'>{booking.time}</span> on {booking.date}
+                            </p>
+                            <p className="text-xs text-gray-500 mt-1">Total: ₹{booking.totalPrice}</p>
+                            {booking.barberLocation?.address && !NON_BLOCKING_STATUSES.includes(booking.status) && (
+                                <div className="mt-2">
+                                    <ShopAddress location={booking.barberLocation} />
+                                </div>
+                            )}
+                            {booking.payment && booking.status !== 'Pending Payment' && (
+                                <p className="text-xs text-gray-500">{describePayment(booking.payment)}</p>
+                            )}
+                            {booking.status !== 'Pending Payment' && (
+                                <button
+                                    onClick={() => handleAddToCalendar(booking)}
+                                    className="mt-1 text-xs font-semibold text-amber-700 hover:text-amber-800 flex items-center space-x-1"
+                                >
+                                    <CalendarIcon className="w-3 h-3" /> <span>{NON_BLOCKING_STATUSES.includes(booking.status) ? 'Remove from calendar (.ics)' : 'Add to calendar (.ics)'}</span>
+                                </button>
+                            )}
+
+                            {booking.aftercareTips && (
+                                <div className="mt-1">
+                                    <button
+                                        onClick={() => setOpenTipsId(openTipsId === booking.id ? null : booking.id)}
+                                        className="text-xs font-semibold text-blue-700 hover:text-blue-800"
+                                    >
+                                        ✨ {openTipsId === booking.id ? 'Hide aftercare tips' : 'Aftercare tips'}
+                                    </button>
+                                    {openTipsId === booking.id && (
+                                        <div className="mt-1 p-2 bg-white border border-blue-200 rounded-lg text-xs text-gray-700 whitespace-pre-line">
+                                            {booking.aftercareTips.text}
+                                        </div>
+                                    )}
+                                </div>
+                            )}
+
+                            {booking.status === 'Pending Payment' && (
+                                <button
+                                    onClick={() => onCompletePayment(booking)}
+                                    className="w-full mt-3 py-1 rounded-full text-sm font-semibold bg-amber-600 text-white hover:bg-amber-700 transition"
+                                >
+                                    Complete Payment
+                                </button>
+                            )}
+
+                            {isWithinChangeWindow(booking) ? (
+                                confirmingCancelId === booking.id ? (
+                                    <div className="flex items-center justify-between mt-3 text-sm">
+                                        <span className="text-gray-700">
+                                            {booking.seriesId ? 'Cancel this visit, or every remaining one?' : 'Cancel this appointment?'}
+                                            {booking.payment?.status === PAYMENT_STATUS.PAID && (
+                                                <span className="block text-xs text-gray-500">
+                                                    ₹{getRefundAmount(booking, 'customer')} will be refunded{booking.seriesId ? ' for this visit' : ''}.
+                                                </span>
+                                            )}
+                                        </span>
+                                        <div className="flex space-x-2">
+                                            <button
+                                                onClick={() => setConfirmingCancelId(null)}
+                                                disabled={cancellingId === booking.id}
+                                                className="px-3 py-1 rounded-full bg-gray-200 text-gray-700 font-semibold hover:bg-gray-300 transition"
+                                            >
+                                                Keep
+                                            </button>
+                                            <button
+                                                onClick={() => handleCancel(booking)}
+                                                disabled={cancellingId === booking.id}
+                                                className="px-3 py-1 rounded-full bg-red-600 text-white font-semibold hover:bg-red-700 transition disabled:bg-gray-400"
+                                            >
+                                                {cancellingId === booking.id ? 'Cancelling...' : booking.seriesId ? 'This visit' : 'Yes, Cancel'}
+                                            </button>
+                                            {booking.seriesId && (
+                                                <button
+                                                    onClick={() => handleCancelSeries(booking)}
+                                                    disabled={cancellingId === booking.id}
+                                                    className="px-3 py-1 rounded-full bg-red-600 text-white font-semibold hover:bg-red-700 transition disabled:bg-gray-400"
+                                                >
+                                                    All visits
+                                                </button>
+                                            )}
+                                        </div>
+                                    </div>
+                                ) : (
+                                    <div className="flex space-x-2 mt-3">
+                                        <button
+                                            onClick={() => onReschedule(booking)}
+                                            className="flex-1 py-1 rounded-full text-sm font-semibold bg-amber-600 text-white hover:bg-amber-700 transition"
+                                        >
+                                            Reschedule
+                                        </button>
+                                        <button
+                                            onClick={() => setConfirmingCancelId(booking.id)}
+                                            className="flex-1 py-1 rounded-full text-sm font-semibold bg-white text-red-600 border border-red-200 hover:bg-red-50 transition"
+                                        >
+                                            Cancel
+                                        </button>
+                                    </div>
+                                )
+                            ) : booking.status === 'Confirmed' && getAppointmentStart(booking) > new Date() && (
+                                <p className="text-xs text-gray-400 mt-2">Changes close {CHANGE_CUTOFF_HOURS} hours before your slot.</p>
+                            )}
+
+                            {/* Reviews, once the visit is done */}
+                            {booking.status === 'Completed' && (booking.review ? (
+                                <div className="mt-3 pt-2 border-t border-amber-200">
+                                    <div className="flex items-center space-x-2">
+                                        <span className="text-xs text-gray-500">Your review:</span>
+                                        <StarRating rating={booking.review.rating} size="text-sm" />
+                                    </div>
+                                    {booking.review.text && <p className="text-xs text-gray-600 mt-1 italic">"{booking.review.text}"</p>}
+                                </div>
+                            ) : reviewDraft?.bookingId === booking.id ? (
+                                <div className="mt-3 pt-2 border-t border-amber-200 space-y-2">
+                                    <StarInput value={reviewDraft.rating} onChange={(rating) => setReviewDraft({ ...reviewDraft, rating })} />
+                                    <textarea
+                                        rows="2"
+                                        value={reviewDraft.text}
+                                        onChange={(e) => setReviewDraft({ ...reviewDraft, text: e.target.value })}
+                                        placeholder="How was your Kut? (optional)"
+                                        className="w-full p-2 border border-amber-200 rounded-lg bg-white text-sm focus:ring-amber-500 focus:border-amber-500"
+                                    />
+                                    <div className="flex space-x-2">
+                                        <button
+                                            onClick={() => setReviewDraft(null)}
+                                            className="flex-1 py-1 rounded-full text-sm font-semibold bg-gray-200 text-gray-700 hover:bg-gray-300 transition"
+                                        >
+                                            Cancel
+                                        </button>
+                                        <button
+                                            onClick={() => handleSubmitReview(booking)}
+                                            disabled={!reviewDraft.rating || submittingReview}
+                                            className="flex-1 py-1 rounded-full text-sm font-semibold bg-amber-600 text-white hover:bg-amber-700 transition disabled:bg-gray-400"
+                                        >
+                                            {submittingReview ? 'Submitting...' : 'Submit Review'}
+                                        </button>
+                                    </div>
+                                </div>
+                            ) : (
+                                <button
+                                    onClick={() => setReviewDraft({ bookingId: booking.id, rating: 0, text: '' })}
+                                    className="mt-3 text-sm font-semibold text-amber-600 hover:text-amber-700 transition"
+                                >
+                                    ★ Leave a review
+                                </button>
+                            ))}
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+// New Component: AI Style Inspiration Generator
+const StyleInspiration = () => {
+    const [vibe, setVibe] = useState('modern and sharp');
+    const [hairType, setHairType] = useState('straight');
+    const [results, setResults] = useState(null);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+
+    const handleGenerate = async () => {
+        if (loading) return;
+        setLoading(true);
+        setError(null);
+        setResults(null);
+
+        try {
+            // Call the new structured Gemini API function
+            const inspiration = await generateStyleInspiration(vibe, hairType);
+            if (Array.isArray(inspiration)) {
+                setResults(inspiration);
+            } else {
+                 throw new Error("Invalid response structure from AI.");
+            }
+        } catch (err) {
+            console.error("AI Style Inspiration Error:", err);
+            setError("Could not generate style inspiration. Please try a different prompt or check your network.");
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    return (
+        <div className="bg-fuchsia-50 p-4 rounded-xl shadow-inner mb-6 border border-fuchsia-200">
+            <h3 className="font-bold text-xl text-fuchsia-800 mb-3 flex items-center space-x-2">
+                <LightbulbIcon className="w-6 h-6"/> <span>AI Style Inspiration</span>
+            </h3>
+            <p className='text-sm text-fuchsia-700 mb-4'>Tell us the vibe you're going for, and we'll suggest 3 trending cuts!</p>
+            
+            {/* Input Form */}
+            <div className='space-y-3 mb-4'>
+                <div>
+                    <label htmlFor="styleVibe" className="text-sm font-medium text-gray-700">I want a style that is...</label>
+                    <input 
+                        id="styleVibe"
+                        type="text"
+                        value={vibe}
+                        onChange={(e) => setVibe(e.target.value)}
+                        placeholder="e.g., professional, low maintenance, bold"
+                        className="mt-1 w-full p-2 border border-fuchsia-300 rounded-lg bg-white text-sm focus:ring-fuchsia-500 focus:border-fuchsia-500"
+                    />
+                </div>
+                <div>
+                    <label htmlFor="styleHairType" className="text-sm font-medium text-gray-700">My hair type is...</label>
+                    <select 
+                        id="styleHairType" 
+                        value={hairType} 
+                        onChange={(e) => setHairType(e.target.value)}
+                        className="mt-1 w-full p-2 border border-fuchsia-300 rounded-lg bg-white text-sm focus:ring-fuchsia-500 focus:border-fuchsia-500"
+                    >
+                        <option value="straight">Straight</option>
+                        <option value="wavy">Wavy</option>
+                        <option value="curly">Curly</option>
+                        <option value="coily">Coily</option>
+                    </select>
+                </div>
+            </div>
+
+            <button 
+                onClick={handleGenerate}
+                disabled={loading || !vibe.trim()}
+                className="w-full bg-fuchsia-600 hover:bg-fuchsia-700 text-white font-bold py-3 rounded-xl shadow-md transition duration-150 disabled:bg-gray-400 disabled:cursor-not-allowed flex items-center justify-center space-x-2"
+            >
+                {loading ? (
+                    <>
+                        <div className="animate-spin rounded-full h-5 w-5 border-2 border-white border-t-transparent"></div>
+                        <span>Searching for Trends...</span>
+                    </>
+                ) : (
+                    <span>Get Style Suggestions</span>
+                )}
+            </button>
+
+            {/* Results Display */}
+            {error && <p className="text-red-500 text-sm mt-3">{error}</p>}
+            
+            {results && results.length > 0 && (
+                <div className="mt-4 space-y-4">
+                    {results.map((style, index) => (
+                        <div key={index} className="p-3 bg-white border border-fuchsia-100 rounded-lg shadow-sm">
+                            <h4 className="font-extrabold text-lg text-fuchsia-700">{style.styleName}</h4>
+                            <p className="text-sm text-gray-700 mb-2">{style.description}</p>
+                            <div className='flex justify-between items-center text-xs text-gray-500'>
+                                <span>Maintenance: <span className='font-bold'>{style.maintenanceLevel}</span></span>
+                                <a 
+                                    href={`https://www.google.com/search?tbm=isch&q=${encodeURIComponent(style.searchQuery)}`} 
+                                    target="_blank" 
+                                    rel="noopener noreferrer"
+                                    className='text-blue-500 hover:text-blue-600 font-medium'
+                                >
+                                    View Images &rarr;
+                                </a>
+                            </div>
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+
+// Sign up / sign in with email + password or phone + SMS code
+const AuthScreen = ({ db, auth, authUser, onDone }) => {
+    const [mode, setMode] = useState('signup'); // 'signup' | 'signin'
+    const [method, setMethod] = useState('email'); // 'email' | 'phone'
+    const [name, setName] = useState('');
+    const [email, setEmail] = useState('');
+    const [password, setPassword] = useState('');
+    const [phone, setPhone] = useState('');
+    const [code, setCode] = useState('');
+    const [confirmation, setConfirmation] = useState(null); // Pending SMS ConfirmationResult
+    const [busy, setBusy] = useState(false);
+    const [error, setError] = useState(null);
+    const verifierRef = useRef(null);
+
+    useEffect(() => () => verifierRef.current?.clear(), []);
+
+    const isSignUp = mode === 'signup';
+
+    const run = async (action) => {
+        if (busy) return;
+        setBusy(true);
+        setError(null);
+        try {
+            await action();
+        } catch (e) {
+            console.error("Authentication error:", e);
+            setError(describeAuthError(e));
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handleEmailSubmit = () => run(async () => {
+        if (isSignUp) {
+            const user = await signUpWithEmail(auth, email.trim(), password);
+            await saveUserProfile(db, user.uid, { name: name.trim(), email: user.email });
+        } else {
+            await signInWithEmail(auth, email.trim(), password);
+        }
+        onDone();
+    });
+
+    const handleSendCode = () => run(async () => {
+        if (!verifierRef.current) {
+            verifierRef.current = new RecaptchaVerifier(auth, 'recaptcha-container', { size: 'invisible' });
+        }
+        setConfirmation(await startPhoneSignIn(auth, phone.replace(/[\s-]/g, ''), verifierRef.current, isSignUp));
+    });
+
+    const handleVerifyCode = () => run(async () => {
+        const { user } = await confirmation.confirm(code.trim());
+        if (isSignUp) await saveUserProfile(db, user.uid, { name: name.trim(), phone: user.phoneNumber });
+        onDone();
+    });
+
+    const switchMode = (nextMode) => {
+        setMode(nextMode);
+        setConfirmation(null);
+        setError(null);
+    };
+
+    const inputClass = "w-full p-2 border border-gray-300 rounded-lg bg-gray-50 text-sm focus:ring-amber-500 focus:border-amber-500";
+    const tabClass = (active) => `flex-1 py-2 text-sm font-semibold rounded-lg transition ${active ? 'bg-amber-600 text-white' : 'bg-gray-100 text-gray-600 hover:bg-gray-200'}`;
+
+    return (
+        <div className="p-4 bg-white rounded-xl shadow-2xl">
+            <h2 className="text-2xl font-bold text-gray-900 mb-4 border-b pb-2">{isSignUp ? 'Create Your Account' : 'Welcome Back'}</h2>
+
+            <div className="flex space-x-2 mb-4">
+                <button onClick={() => switchMode('signup')} className={tabClass(isSignUp)}>Sign Up</button>
+                <button onClick={() => switchMode('signin')} className={tabClass(!isSignUp)}>Sign In</button>
+            </div>
+            <div className="flex space-x-4 mb-4 text-sm">
+                {['email', 'phone'].map(m => (
+                    <label key={m} className="flex items-center space-x-1">
+                        <input type="radio" checked={method === m} onChange={() => { setMethod(m); setConfirmation(null); }} />
+                        <span>{m === 'email' ? 'Email & password' : 'Phone number'}</span>
+                    </label>
+                ))}
+            </div>
+
+            <div className="space-y-3">
+                {isSignUp && (
+                    <input type="text" placeholder="Full name" value={name} onChange={(e) => setName(e.target.value)} className={inputClass} />
+                )}
+
+                {method === 'email' ? (
+                    <>
+                        <input type="email" placeholder="Email" value={email} onChange={(e) => setEmail(e.target.value)} className={inputClass} />
+                        <input type="password" placeholder="Password" value={password} onChange={(e) => setPassword(e.target.value)} className={inputClass} />
+                        <button
+                            onClick={handleEmailSubmit}
+                            disabled={busy || !email || !password || (isSignUp && !name.trim())}
+                            className="w-full bg-amber-600 hover:bg-amber-700 text-white font-bold py-2 rounded-xl text-sm transition disabled:bg-gray-400 disabled:cursor-not-allowed"
+                        >
+                            {busy ? 'Please wait...' : isSignUp ? 'Sign Up' : 'Sign In'}
+                        </button>
+                    </>
+                ) : !confirmation ? (
+                    <>
+                        <input type="tel" placeholder="+91 98765 43210" value={phone} onChange={(e) => setPhone(e.target.value)} className={inputClass} />
+                        <button
+                            onClick={handleSendCode}
+                            disabled={busy || !phone.trim() || (isSignUp && !name.trim())}
+                            className="w-full bg-amber-600 hover:bg-amber-700 text-white font-bold py-2 rounded-xl text-sm transition disabled:bg-gray-400 disabled:cursor-not-allowed"
+                        >
+                            {busy ? 'Sending...' : 'Send Code'}
+                        </button>
+                    </>
+                ) : (
+                    <>
+                        <p className="text-sm text-gray-600">Enter the 6-digit code we sent to {phone}.</p>
+                        <input type="text" inputMode="numeric" placeholder="123456" value={code} onChange={(e) => setCode(e.target.value)} className={inputClass} />
+                        <button
+                            onClick={handleVerifyCode}
+                            disabled={busy || code.trim().length < 6}
+                            className="w-full bg-amber-600 hover:bg-amber-700 text-white font-bold py-2 rounded-xl text-sm transition disabled:bg-gray-400 disabled:cursor-not-allowed"
+                        >
+                            {busy ? 'Verifying...' : 'Verify'}
+                        </button>
+                    </>
+                )}
+                <div id="recaptcha-container"></div>
+
+                {error && <p className="p-2 text-sm text-red-700 bg-red-50 border border-red-200 rounded-lg">{error}</p>}
+
+                {authUser?.isAnonymous && (
+                    <p className="text-xs text-gray-500">
+                        {isSignUp
+                            ? 'Signing up keeps the bookings you made as a guest.'
+                            : 'Bookings made as a guest on this device stay with the guest session.'}
+                    </p>
+                )}
+            </div>
+        </div>
+    );
+};
+
+// Customer profile fields: name, phone, hair type and hair concerns
+const ProfileEditor = ({ db, userId, profile }) => {
+    const [name, setName] = useState(profile?.name || '');
+    const [phone, setPhone] = useState(profile?.phone || '');
+    const [hairType, setHairType] = useState(profile?.hairType || 'straight');
+    const [hairConcerns, setHairConcerns] = useState(profile?.hairConcerns || []);
+    const [saving, setSaving] = useState(false);
+    const [message, setMessage] = useState(null);
+
+    const handleSave = async () => {
+        setSaving(true);
+        setMessage(null);
+        try {
+            await saveUserProfile(db, userId, { name: name.trim(), phone: phone.trim(), hairType, hairConcerns });
+            setMessage('Profile saved.');
+        } catch (e) {
+            console.error("Error saving profile:", e);
+            setMessage("Couldn't save your profile. Please try again.");
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const inputClass = "mt-1 w-full p-2 border border-gray-300 rounded-lg bg-white text-sm focus:ring-amber-500 focus:border-amber-500";
+
+    return (
+        <div className="bg-gray-50 p-4 rounded-lg border border-gray-100 mb-6 space-y-3 text-left">
+            <div>
+                <label htmlFor="profileName" className="text-sm font-medium text-gray-700">Name</label>
+                <input id="profileName" type="text" value={name} onChange={(e) => setName(e.target.value)} className={inputClass} />
+            </div>
+            <div>
+                <label htmlFor="profilePhone" className="text-sm font-medium text-gray-700">Phone</label>
+                <input id="profilePhone" type="tel" value={phone} onChange={(e) => setPhone(e.target.value)} className={inputClass} />
+            </div>
+            <div>
+                <label htmlFor="profileHairType" className="text-sm font-medium text-gray-700">Hair Type</label>
+                <select id="profileHairType" value={hairType} onChange={(e) => setHairType(e.target.value)} className={inputClass}>
+                    {HAIR_TYPES.map(type => <option key={type} value={type}>{type.charAt(0).toUpperCase() + type.slice(1)}</option>)}
+                </select>
+            </div>
+            <div>
+                <span className="text-sm font-medium text-gray-700">Hair Concerns</span>
+                <div className="mt-1 flex flex-wrap gap-2">
+                    {HAIR_CONCERNS.map(concern => (
+                        <label key={concern} className="flex items-center space-x-1 text-xs text-gray-700">
+                            <input
+                                type="checkbox"
+                                checked={hairConcerns.includes(concern)}
+                                onChange={() => setHairConcerns(hairConcerns.includes(concern)
+                                    ? hairConcerns.filter(c => c !== concern)
+                                    : [...hairConcerns, concern])}
+                                className="accent-amber-600"
+                            />
+                            <span>{concern}</span>
+                        </label>
+                    ))}
+                </div>
+                <p className="text-xs text-gray-400 mt-1">Used for your aftercare tips after each visit.</p>
+            </div>
+            {message && <p className="text-xs text-gray-600">{message}</p>}
+            <button
+                onClick={handleSave}
+                disabled={saving}
+                className="w-full bg-amber-600 hover:bg-amber-700 text-white font-bold py-2 rounded-xl text-sm transition disabled:bg-gray-400"
+            >
+                {saving ? 'Saving...' : 'Save Profile'}
+            </button>
+        </div>
+    );
+};
+
+// Barber settings: shop address and map pin (the `location` on the barber document)
+// In a shop, `shop` and `staff` are passed for the owner so the location is saved for every stylist
+const ShopLocationEditor = ({ db, barber, shop = null, staff = [] }) => {
+    const [address, setAddress] = useState(barber.location?.address || '');
+    const [lat, setLat] = useState(barber.location?.lat ?? '');
+    const [lng, setLng] = useState(barber.location?.lng ?? '');
+    const [busy, setBusy] = useState(null); // 'find' | 'detect' | 'save'
+    const [message, setMessage] = useState(null);
+
+    const draft = { address, lat: lat === '' ? NaN : Number(lat), lng: lng === '' ? NaN : Number(lng) };
+    const problems = validateLocation(draft);
+
+    const run = async (action, work) => {
+        setBusy(action);
+        setMessage(null);
+        try {
+            await work();
+        } finally {
+            setBusy(null);
+        }
+    };
+
+    const handleFind = () => run('find', async () => {
+        try {
+            const match = await geocodeAddress(address);
+            if (!match) {
+                setMessage("We couldn't find that address. Check it, or enter the coordinates yourself.");
+                return;
+            }
+            setLat(match.lat);
+            setLng(match.lng);
+        } catch (e) {
+            console.error("Error looking up address:", e);
+            setMessage("Address lookup isn't available right now. Enter the coordinates yourself.");
+        }
+    });
+
+    const handleDetect = () => run('detect', async () => {
+        try {
+            const position = await detectCurrentLocation();
+            setLat(Number(position.lat.toFixed(6)));
+            setLng(Number(position.lng.toFixed(6)));
+        } catch (e) {
+            console.error("Error detecting location:", e);
+            setMessage("Couldn't get your current location. Check the browser's location permission.");
+        }
+    });
+
+    const handleSave = () => run('save', async () => {
+        if (problems.length > 0) return;
+        try {
+            if (shop) {
+                await saveShopLocation(db, shop, staff, toStoredLocation(draft));
+            } else {
+                const barberRef = doc(db, 'artifacts', appId, 'public', 'data', 'barbers', barber.id);
+                await fetchWithBackoff(() => setDoc(barberRef, { location: toStoredLocation(draft) }, { merge: true }));
+            }
+            setMessage('Location saved. Customers nearby will now find your shop.');
+        } catch (e) {
+            console.error("Error saving location:", e);
+            setMessage("Couldn't save your location. Please try again.");
+        }
+    });
+
+    const inputClass = "w-full p-2 border border-gray-300 rounded-lg bg-gray-50 text-sm focus:ring-amber-500 focus:border-amber-500";
+
+    return (
+        <div className="space-y-2 text-sm">
+            <label className="block">
+                <span className="text-xs font-medium text-gray-700">Address</span>
+                <textarea value={address} onChange={(e) => setAddress(e.target.value)} rows={2} className={inputClass} />
+            </label>
+            <div className="flex space-x-3 text-xs font-semibold">
+                <button onClick={handleFind} disabled={busy !== null || !address.trim()} className="text-amber-600 hover:text-amber-700 disabled:text-gray-400">
+                    {busy === 'find' ? 'Finding...' : 'Find address on map'}
+                </button>
+                <button onClick={handleDetect} disabled={busy !== null} className="text-amber-600 hover:text-amber-700 disabled:text-gray-400">
+                    {busy === 'detect' ? 'Locating...' : "I'm at the shop: use my location"}
+                </button>
+            </div>
+            <div className="flex space-x-2">
+                <label className="flex-1">
+                    <span className="text-xs font-medium text-gray-700">Latitude</span>
+                    <input type="number" step="any" value={lat} onChange={(e) => setLat(e.target.value)} className={inputClass} />
+                </label>
+                <label className="flex-1">
+                    <span className="text-xs font-medium text-gray-700">Longitude</span>
+                    <input type="number" step="any" value={lng} onChange={(e) => setLng(e.target.value)} className={inputClass} />
+                </label>
+            </div>
+            {hasCoordinates(draft) && (
+                <a href={getDirectionsUrl(draft)} target="_blank" rel="noopener noreferrer" className="text-xs text-amber-700 hover:underline">
+                    Check the pin on Google Maps
+                </a>
+            )}
+            {problems.length > 0 && (address || lat !== '' || lng !== '') && (
+                <ul className="p-2 text-xs text-red-700 bg-red-50 border border-red-200 rounded-lg list-disc list-inside">
+                    {problems.map(problem => <li key={problem}>{problem}</li>)}
+                </ul>
+            )}
+            {message && <p className="text-xs text-gray-600">{message}</p>}
+            <p className="text-xs text-gray-400">Opening hours are taken from your availability settings.</p>
+            <button
+                onClick={handleSave}
+                disabled={busy !== null || problems.length > 0}
+                className="w-full bg-amber-600 hover:bg-amber-700 text-white font-bold py-2 rounded-xl text-sm transition duration-150 disabled:bg-gray-400 disabled:cursor-not-allowed"
+            >
+                {busy === 'save' ? 'Saving...' : 'Save Location'}
+            </button>
+        </div>
+    );
+};
+
+// Barber settings: weekly hours, breaks, days off and slot length (stored on the barber document)
+const AvailabilityEditor = ({ db, barber }) => {
+    const dayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+    const [draft, setDraft] = useState(() => resolveAvailability(barber.availability));
+    const [newHoliday, setNewHoliday] = useState('');
+    const [saving, setSaving] = useState(false);
+    const [message, setMessage] = useState(null);
+
+    const problems = useMemo(() => validateAvailability(draft), [draft]);
+
+    const updateDay = (index, changes) => setDraft(prev => ({
+        ...prev,
+        weeklyHours: prev.weeklyHours.map((day, i) => i === index ? { ...day, ...changes } : day),
+    }));
+
+    const updateBreak = (index, changes) => setDraft(prev => ({
+        ...prev,
+        breaks: prev.breaks.map((b, i) => i === index ? { ...b, ...changes } : b),
+    }));
+
+    const addHoliday = () => {
+        if (!newHoliday || draft.holidays.includes(newHoliday)) return;
+        setDraft(prev => ({ ...prev, holidays: [...prev.holidays, newHoliday].sort() }));
+        setNewHoliday('');
+    };
+
+    const handleSave = async () => {
+        if (problems.length > 0 || saving) return;
+        setSaving(true);
+        setMessage(null);
+
+        // Days off that have already passed are just clutter
+        const todayKey = toDateKey(new Date());
+        const availability = { ...draft, holidays: draft.holidays.filter(key => key >= todayKey) };
+
+        try {
+            const barberRef = doc(db, 'artifacts', appId, 'public', 'data', 'barbers', barber.id);
+            await fetchWithBackoff(() => setDoc(barberRef, { availability }, { merge: true }));
+            setDraft(availability);
+            setMessage('Availability saved. Customers will see the new slots right away.');
+        } catch (e) {
+            console.error("Error saving availability:", e);
+            setMessage("Couldn't save your availability. Please try again.");
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const inputClass = "p-1 border border-gray-300 rounded-lg bg-gray-50 text-xs focus:ring-amber-500 focus:border-amber-500";
+
+    return (
+        <div className="space-y-4 text-sm">
+            {/* Weekly Hours */}
+            <div>
+                <h4 className="font-semibold text-gray-700 mb-2">Weekly Hours</h4>
+                <div className="space-y-1">
+                    {draft.weeklyHours.map((day, i) => (
+                        <div key={i} className="flex items-center space-x-2">
+                            <label className="flex items-center w-16 space-x-1">
+                                <input type="checkbox" checked={day.open} onChange={(e) => updateDay(i, { open: e.target.checked })} />
+                                <span className="font-medium">{dayNames[i]}</span>
+                            </label>
+                            {day.open ? (
+                                <>
+                                    <input type="time" value={day.start} onChange={(e) => updateDay(i, { start: e.target.value })} className={inputClass} />
+                                    <span className="text-gray-400">to</span>
+                                    <input type="time" value={day.end} onChange={(e) => updateDay(i, { end: e.target.value })} className={inputClass} />
+                                </>
+                            ) : (
+                                <span className="text-gray-400 text-xs">Closed</span>
+                            )}
+                        </div>
+                    ))}
+                </div>
+            </div>
+
+            {/* Breaks */}
+            <div>
+                <h4 className="font-semibold text-gray-700 mb-2">Daily Breaks</h4>
+                <div className="space-y-1">
+                    {draft.breaks.map((b, i) => (
+                        <div key={i} className="flex items-center space-x-2">
+                            <input type="time" value={b.start} onChange={(e) => updateBreak(i, { start: e.target.value })} className={inputClass} />
+                            <span className="text-gray-400">to</span>
+                            <input type="time" value={b.end} onChange={(e) => updateBreak(i, { end: e.target.value })} className={inputClass} />
+                            <button
+                                onClick={() => setDraft(prev => ({ ...prev, breaks: prev.breaks.filter((_, j) => j !== i) }))}
+                                className="text-red-500 hover:text-red-700 text-xs font-semibold"
+                            >
+                                Remove
+                            </button>
+                        </div>
+                    ))}
+                </div>
+                <button
+                    onClick={() => setDraft(prev => ({ ...prev, breaks: [...prev.breaks, { start: '13:00', end: '14:00' }] }))}
+                    className="mt-2 text-amber-600 hover:text-amber-700 text-xs font-semibold"
+                >
+                    + Add break
+                </button>
+            </div>
+
+            {/* Days Off */}
+            <div>
+                <h4 className="font-semibold text-gray-700 mb-2">Days Off</h4>
+                <div className="flex items-center space-x-2">
+                    <input type="date" value={newHoliday} min={toDateKey(new Date())} onChange={(e) => setNewHoliday(e.target.value)} className={inputClass} />
+                    <button onClick={addHoliday} disabled={!newHoliday} className="text-amber-600 hover:text-amber-700 text-xs font-semibold disabled:text-gray-400">
+                        + Add day off
+                    </button>
+                </div>
+                <div className="flex flex-wrap gap-2 mt-2">
+                    {draft.holidays.map(key => (
+                        <span key={key} className="px-2 py-0.5 bg-gray-100 text-gray-700 rounded-full text-xs">
+                            {key}
+                            <button
+                                onClick={() => setDraft(prev => ({ ...prev, holidays: prev.holidays.filter(h => h !== key) }))}
+                                className="ml-1 text-gray-400 hover:text-red-600"
+                            >
+                                ×
+                            </button>
+                        </span>
+                    ))}
+                    {draft.holidays.length === 0 && <span className="text-xs text-gray-400">No days off scheduled.</span>}
+                </div>
+            </div>
+
+            {/* Slot Granularity */}
+            <div className="flex items-center space-x-2">
+                <h4 className="font-semibold text-gray-700">Slot Length</h4>
+                <select
+                    value={draft.slotInterval}
+                    onChange={(e) => setDraft(prev => ({ ...prev, slotInterval: Number(e.target.value) }))}
+                    className={inputClass}
+                >
+                    {SLOT_INTERVAL_OPTIONS.map(mins => <option key={mins} value={mins}>{mins} mins</option>)}
+                </select>
+            </div>
+
+            {problems.length > 0 && (
+                <ul className="p-2 text-xs text-red-700 bg-red-50 border border-red-200 rounded-lg list-disc list-inside">
+                    {problems.map(problem => <li key={problem}>{problem}</li>)}
+                </ul>
+            )}
+            {message && <p className="text-xs text-gray-600">{message}</p>}
+            <p className="text-xs text-gray-400">Existing appointments are kept even if they fall outside the new hours.</p>
+
+            <button
+                onClick={handleSave}
+                disabled={saving || problems.length > 0}
+                className="w-full bg-amber-600 hover:bg-amber-700 text-white font-bold py-2 rounded-xl text-sm transition duration-150 disabled:bg-gray-400 disabled:cursor-not-allowed"
+            >
+                {saving ? 'Saving...' : 'Save Availability'}
+            </button>
+        </div>
+    );
+};
+
+
+// Barber settings: add, edit, archive and reorder services (the `services` array on the barber document)
+const ServiceCatalogueEditor = ({ db, barber }) => {
+    const emptyForm = { id: null, name: '', price: '', duration: '30', description: '', category: SERVICE_CATEGORIES[0] };
+    const [form, setForm] = useState(null); // null = not editing
+    const [saving, setSaving] = useState(false);
+    const [message, setMessage] = useState(null);
+
+    const services = barber.services || [];
+
+    const formService = form && {
+        id: form.id,
+        name: form.name,
+        price: form.price === '' ? NaN : Number(form.price),
+        duration: form.duration === '' ? NaN : Number(form.duration),
+        description: form.description.trim(),
+        category: form.category,
+    };
+    const problems = formService ? validateService(formService, services) : [];
+
+    const saveServices = async (nextServices) => {
+        setSaving(true);
+        setMessage(null);
+        try {
+            const barberRef = doc(db, 'artifacts', appId, 'public', 'data', 'barbers', barber.id);
+            // Give legacy services a stable id the first time the catalogue is saved
+            const withIds = nextServices.map(service => ({ ...service, id: getServiceId(service) }));
+            const searchFields = getBarberSearchFields({ name: barber.name, services: withIds });
+            await fetchWithBackoff(() => setDoc(barberRef, { services: withIds, ...searchFields }, { merge: true }));
+            return true;
+        } catch (e) {
+            console.error("Error saving services:", e);
+            setMessage("Couldn't save your services. Please try again.");
+            return false;
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleSubmit = async () => {
+        if (problems.length > 0 || saving) return;
+        const service = { ...formService, name: formService.name.trim() };
+        const isNew = !service.id;
+        if (isNew) service.id = crypto.randomUUID();
+
+        const nextServices = isNew
+            ? [...services, { ...service, archived: false }]
+            : services.map(s => getServiceId(s) === service.id ? { ...s, ...service } : s);
+
+        if (await saveServices(nextServices)) setForm(null);
+    };
+
+    const moveService = (index, offset) => {
+        const target = index + offset;
+        if (target < 0 || target >= services.length) return;
+        const nextServices = [...services];
+        [nextServices[index], nextServices[target]] = [nextServices[target], nextServices[index]];
+        saveServices(nextServices);
+    };
+
+    const toggleArchived = (service) => saveServices(services.map(s => (
+        getServiceId(s) === getServiceId(service) ? { ...s, archived: !s.archived } : s
+    )));
+
+    const startEditing = (service) => setForm({
+        id: getServiceId(service),
+        name: service.name,
+        price: String(service.price),
+        duration: String(service.duration),
+        description: service.description || '',
+        category: service.category || 'Other',
+    });
+
+    const inputClass = "w-full p-2 border border-gray-300 rounded-lg bg-gray-50 text-sm focus:ring-amber-500 focus:border-amber-500";
+
+    return (
+        <div className="space-y-3 text-sm">
+            {services.map((service, index) => (
+                <div key={getServiceId(service)} className={`p-2 rounded-lg border ${service.archived ? 'border-dashed border-gray-200 opacity-60' : 'border-gray-100'}`}>
+                    <div className="flex justify-between items-start">
+                        <div>
+                            <p className="font-semibold text-gray-800">
+                                {service.name} {service.archived && <span className="text-xs font-normal text-gray-500">(archived)</span>}
+                            </p>
+                            <p className="text-xs text-gray-500">
+                                {service.category || 'Other'} · ₹{service.price} · {service.duration} mins
+                            </p>
+                            {service.description && <p className="text-xs text-gray-500 mt-1">{service.description}</p>}
+                        </div>
+                        <div className="flex space-x-1 text-xs">
+                            <button onClick={() => moveService(index, -1)} disabled={saving || index === 0} className="px-1 text-gray-500 hover:text-amber-600 disabled:opacity-30">↑</button>
+                            <button onClick={() => moveService(index, 1)} disabled={saving || index === services.length - 1} className="px-1 text-gray-500 hover:text-amber-600 disabled:opacity-30">↓</button>
+                        </div>
+                    </div>
+                    <div className="flex space-x-3 mt-1 text-xs font-semibold">
+                        <button onClick={() => startEditing(service)} disabled={saving} className="text-amber-600 hover:text-amber-700">Edit</button>
+                        <button onClick={() => toggleArchived(service)} disabled={saving} className="text-gray-500 hover:text-gray-700">
+                            {service.archived ? 'Restore' : 'Archive'}
+                        </button>
+                    </div>
+                </div>
+            ))}
+
+            {form ? (
+                <div className="p-3 bg-amber-50 rounded-lg border border-amber-200 space-y-2">
+                    <h4 className="font-semibold text-gray-700">{form.id ? 'Edit Service' : 'New Service'}</h4>
+                    <input type="text" placeholder="Name" value={form.name} onChange={(e) => setForm({ ...form, name: e.target.value })} className={inputClass} />
+                    <div className="flex space-x-2">
+                        <input type="number" min="0" placeholder="Price (₹)" value={form.price} onChange={(e) => setForm({ ...form, price: e.target.value })} className={inputClass} />
+                        <input type="number" min="5" step="5" placeholder="Minutes" value={form.duration} onChange={(e) => setForm({ ...form, duration: e.target.value })} className={inputClass} />
+                    </div>
+                    <select value={form.category} onChange={(e) => setForm({ ...form, category: e.target.value })} className={inputClass}>
+                        {SERVICE_CATEGORIES.map(category => <option key={category} value={category}>{category}</option>)}
+                    </select>
+                    <textarea placeholder="Description (optional)" rows="2" value={form.description} onChange={(e) => setForm({ ...form, description: e.target.value })} className={inputClass} />
+                    {problems.length > 0 && (
+                        <ul className="text-xs text-red-700 list-disc list-inside">
+                            {problems.map(problem => <li key={problem}>{problem}</li>)}
+                        </ul>
+                    )}
+                    <div className="flex space-x-2">
+                        <button onClick={() => setForm(null)} className="flex-1 bg-gray-200 text-gray-700 font-bold py-2 rounded-xl text-sm hover:bg-gray-300 transition">
+                            Cancel
+                        </button>
+                        <button
+                            onClick={handleSubmit}
+                            disabled={saving || problems.length > 0}
+                            className="flex-1 bg-amber-600 hover:bg-amber-700 text-white font-bold py-2 rounded-xl text-sm transition disabled:bg-gray-400 disabled:cursor-not-allowed"
+                        >
+                            {saving ? 'Saving...' : 'Save Service'}
+                        </button>
+                    </div>
+                </div>
+            ) : (
+                <button onClick={() => setForm(emptyForm)} className="text-amber-600 hover:text-amber-700 text-sm font-semibold">
+                    + Add service
+                </button>
+            )}
+
+            {message && <p className="text-xs text-red-600">{message}</p>}
+        </div>
+    );
+};
+
+
+// Links a signed-in account to a barber profile: create a new one, or claim one with an invite code
+const BarberOnboardingScreen = ({ db, userId, onDone, onCancel }) => {
+    const [mode, setMode] = useState('create'); // 'create' | 'invite'
+    const [name, setName] = useState('');
+    const [imageUrl, setImageUrl] = useState('');
+    const [code, setCode] = useState('');
+    const [busy, setBusy] = useState(false);
+    const [error, setError] = useState(null);
+
+    const handleSubmit = async () => {
+        if (busy) return;
+        setBusy(true);
+        setError(null);
+        try {
+            if (mode === 'create') {
+                await createBarberProfile(db, userId, { name: name.trim(), imageUrl: imageUrl.trim() });
+            } else {
+                await claimBarberWithInvite(db, userId, code.trim().toUpperCase());
+            }
+            onDone();
+        } catch (e) {
+            console.error("Barber onboarding failed:", e);
+            setError(e.code === ONBOARDING_FAILED ? e.message : "We couldn't set up your barber profile. Please try again.");
+        } finally {
+            setBusy(false);
+        }
     };
 
+    const inputClass = "w-full p-2 border border-gray-300 rounded-lg bg-gray-50 text-sm focus:ring-amber-500 focus:border-amber-500";
+    const tabClass = (active) => `flex-1 py-2 text-sm font-semibold rounded-lg transition ${active ? 'bg-amber-600 text-white' : 'bg-gray-100 text-gray-600 hover:bg-gray-200'}`;
+    const canSubmit = !busy && (mode === 'create' ? name.trim().length > 0 : code.trim().length === 8);
+
     return (
         <div className="p-4 bg-white rounded-xl shadow-2xl">
-            <h2 className="text-2xl font-bold text-gray-900 mb-4 border-b pb-2">Book with {barber.name}</h2>
-            
-            {/* Calendar View */}
-            <div className="mb-4">
-                <h3 className="font-semibold mb-2 text-gray-700">Select Date</h3>
-                <div className="flex justify-between items-center text-gray-500 mb-2">
-                    <span className="text-sm font-medium">{months[selectedDate.getMonth()]} {selectedDate.getFullYear()}</span>
-                    <div className='flex space-x-2'>
-                        <button onClick={() => setSelectedDate(prev => { const d = new Date(prev); d.setDate(prev.getDate() - 7); return d; })} className='text-sm p-1 rounded-full hover:bg-gray-100'>&lt;</button>
-                        <button onClick={() => setSelectedDate(prev => { const d = new Date(prev); d.setDate(prev.getDate() + 7); return d; })} className='text-sm p-1 rounded-full hover:bg-gray-100'>&gt;</button>
-                    </div>
+            <h2 className="text-2xl font-bold text-gray-900 mb-4 border-b pb-2">Become a KutKart Barber</h2>
+
+            <div className="flex space-x-2 mb-4">
+                <button onClick={() => setMode('create')} className={tabClass(mode === 'create')}>New Profile</button>
+                <button onClick={() => setMode('invite')} className={tabClass(mode === 'invite')}>I Have an Invite</button>
+            </div>
+
+            <div className="space-y-3">
+                {mode === 'create' ? (
+                    <>
+                        <input type="text" placeholder="Shop or barber name" value={name} onChange={(e) => setName(e.target.value)} className={inputClass} />
+                        <input type="url" placeholder="Photo URL (optional)" value={imageUrl} onChange={(e) => setImageUrl(e.target.value)} className={inputClass} />
+                        <p className="text-xs text-gray-500">You can add services and working hours from your dashboard next.</p>
+                    </>
+                ) : (
+                    <>
+                        <input type="text" placeholder="8-character invite code" value={code} onChange={(e) => setCode(e.target.value)} className={`${inputClass} uppercase tracking-widest`} />
+                        <p className="text-xs text-gray-500">Your shop admin can give you a code to take over an existing barber profile.</p>
+                    </>
+                )}
+
+                {error && <p className="p-2 text-sm text-red-700 bg-red-50 border border-red-200 rounded-lg">{error}</p>}
+
+                <div className="flex space-x-3">
+                    <button onClick={onCancel} className="flex-1 bg-gray-200 text-gray-700 font-bold py-2 rounded-xl text-sm hover:bg-gray-300 transition">
+                        Back
+                    </button>
+                    <button
+                        onClick={handleSubmit}
+                        disabled={!canSubmit}
+                        className="flex-1 bg-amber-600 hover:bg-amber-700 text-white font-bold py-2 rounded-xl text-sm transition disabled:bg-gray-400 disabled:cursor-not-allowed"
+                    >
+                        {busy ? 'Setting up...' : 'Continue'}
+                    </button>
                 </div>
-                <div className="grid grid-cols-7 gap-1 text-center text-xs">
-                    {weekDays.map((day, index) => (
-                        <div key={index} 
-                             onClick={() => handleDateSelect(day)}
-                             className={`cursor-pointer p-2 rounded-lg transition duration-150 ${day.toDateString() === selectedDate.toDateString() ? 'bg-amber-600 text-white shadow-md' : 'text-gray-700 hover:bg-amber-100'} ${day.toDateString() === new Date().toDateString() ? 'border border-amber-600 font-bold' : ''}`}
+            </div>
+        </div>
+    );
+};
+
+// Shop admin home: every barber, who owns it, and invite codes for unclaimed ones
+const PRICING_INPUT_CLASS = "p-1 border border-gray-300 rounded-lg bg-gray-50 text-sm focus:ring-amber-500 focus:border-amber-500";
+
+// Amount plus flat/percent picker for a commission
+const CommissionInput = ({ commission, onChange }) => (
+    <span className="flex items-center space-x-1">
+        <input
+            type="number"
+            min="0"
+            value={Number.isNaN(commission.value) ? '' : commission.value}
+            onChange={(e) => onChange({ ...commission, value: e.target.value === '' ? NaN : Number(e.target.value) })}
+            className={`w-20 ${PRICING_INPUT_CLASS}`}
+        />
+        <select value={commission.type} onChange={(e) => onChange({ ...commission, type: e.target.value })} className={PRICING_INPUT_CLASS}>
+            <option value="flat">₹ flat</option>
+            <option value="percent">%</option>
+        </select>
+    </span>
+);
+
+/**
+ * Admin editor for the platform pricing config: booking fee, default commission,
+ * tax lines and per-barber commission overrides. A sample breakdown previews
+ * how a ₹300 booking would split with the draft settings.
+ */
+const PricingSettingsEditor = ({ db, userId, barbers, pricingConfig }) => {
+    const [draft, setDraft] = useState(pricingConfig);
+    const [saving, setSaving] = useState(false);
+    const [message, setMessage] = useState(null);
+
+    // Pick up changes saved elsewhere until the admin starts editing
+    const [isDirty, setIsDirty] = useState(false);
+    useEffect(() => {
+        if (!isDirty) setDraft(pricingConfig);
+    }, [pricingConfig, isDirty]);
+
+    const update = (changes) => {
+        setDraft(prev => ({ ...prev, ...changes }));
+        setIsDirty(true);
+        setMessage(null);
+    };
+    const updateTax = (index, changes) => update({ taxes: draft.taxes.map((t, i) => i === index ? { ...t, ...changes } : t) });
+    const setOverride = (barberId, commission) => {
+        const overrides = { ...(draft.barberOverrides || {}) };
+        if (commission) overrides[barberId] = { ...overrides[barberId], commission };
+        else delete overrides[barberId];
+        update({ barberOverrides: overrides });
+    };
+
+    const problem = validatePricingConfig(draft);
+    const sample = computePriceBreakdown({ services: [{ id: 'sample', name: 'Sample service', price: 300 }], config: draft });
+
+    const handleSave = async () => {
+        if (problem || saving) return;
+        setSaving(true);
+        try {
+            await savePricingConfig(db, userId, draft);
+            setIsDirty(false);
+            setMessage('Pricing saved. New bookings use it straight away.');
+        } catch (e) {
+            console.error("Error saving pricing config:", e);
+            setMessage("Couldn't save pricing. Please try again.");
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const inputClass = PRICING_INPUT_CLASS;
+    const numberValue = (value) => value === '' ? NaN : Number(value);
+
+    return (
+        <div className="mt-6 pt-4 border-t space-y-4 text-sm">
+            <h3 className="text-lg font-bold text-gray-800">Pricing</h3>
+
+            <label className="flex items-center justify-between">
+                <span className="text-gray-700">Booking fee (₹, paid by customers)</span>
+                <input
+                    type="number"
+                    min="0"
+                    value={Number.isNaN(draft.bookingFee) ? '' : draft.bookingFee}
+                    onChange={(e) => update({ bookingFee: numberValue(e.target.value) })}
+                    className={`w-20 ${inputClass}`}
+                />
+            </label>
+
+            <div className="flex items-center justify-between">
+                <span className="text-gray-700">Commission on services</span>
+                <CommissionInput commission={draft.commission} onChange={(commission) => update({ commission })} />
+            </div>
+
+            <div>
+                <p className="text-gray-700 mb-1">Taxes</p>
+                {draft.taxes.map((tax, index) => (
+                    <div key={index} className="flex items-center space-x-1 mb-1">
+                        <input value={tax.label} onChange={(e) => updateTax(index, { label: e.target.value })} placeholder="GST" className={`w-16 ${inputClass}`} />
+                        <input
+                            type="number"
+                            min="0"
+                            value={Number.isNaN(tax.rate) ? '' : tax.rate}
+                            onChange={(e) => updateTax(index, { rate: numberValue(e.target.value) })}
+                            className={`w-16 ${inputClass}`}
+                        />
+                        <span>% on</span>
+                        <select value={tax.appliesTo} onChange={(e) => updateTax(index, { appliesTo: e.target.value })} className={inputClass}>
+                            <option value={TAX_BASES.BOOKING_FEE}>booking fee</option>
+                            <option value={TAX_BASES.SERVICES}>services</option>
+                            <option value={TAX_BASES.ALL}>everything</option>
+                        </select>
+                        <button onClick={() => update({ taxes: draft.taxes.filter((_, i) => i !== index) })} className="text-red-600 font-semibold px-1">×</button>
+                    </div>
+                ))}
+                <button
+                    onClick={() => update({ taxes: [...draft.taxes, { id: crypto.randomUUID(), label: 'GST', rate: 18, appliesTo: TAX_BASES.BOOKING_FEE }] })}
+                    className="text-xs font-semibold text-amber-600 hover:text-amber-700"
+                >
+                    + Add tax line
+                </button>
+            </div>
+
+            <div>
+                <p className="text-gray-700 mb-1">Per-barber commission</p>
+                {barbers.map(barber => {
+                    const override = draft.barberOverrides?.[barber.id]?.commission;
+                    return (
+                        <div key={barber.id} className="flex items-center justify-between mb-1">
+                            <span className="text-gray-600">{barber.name}</span>
+                            {override ? (
+                                <span className="flex items-center space-x-1">
+                                    <CommissionInput commission={override} onChange={(commission) => setOverride(barber.id, commission)} />
+                                    <button onClick={() => setOverride(barber.id, null)} className="text-red-600 font-semibold px-1">×</button>
+                                </span>
+                            ) : (
+                                <button onClick={() => setOverride(barber.id, { ...draft.commission })} className="text-xs font-semibold text-gray-500 hover:text-amber-700">
+                                    Use default · override
+                                </button>
+                            )}
+                        </div>
+                    );
+                })}
+            </div>
+
+            {!problem && (
+                <p className="text-xs text-gray-500 bg-gray-50 p-2 rounded-lg">
+                    A ₹300 booking: customer pays ₹{sample.total}, barber receives ₹{sample.barberPayout},
+                    platform keeps ₹{sample.platformRevenue}{sample.taxTotal > 0 ? `, taxes ₹${sample.taxTotal}` : ''}.
+                </p>
+            )}
+            {(problem || message) && <p className={`text-xs ${problem ? 'text-red-600' : 'text-gray-600'}`}>{problem || message}</p>}
+
+            <button
+                onClick={handleSave}
+                disabled={!isDirty || !!problem || saving}
+                className="w-full py-2 rounded-xl font-bold bg-amber-600 text-white hover:bg-amber-700 transition disabled:bg-gray-300 disabled:text-gray-500"
+            >
+                {saving ? 'Saving...' : 'Save Pricing'}
+            </button>
+        </div>
+    );
+};
+
+/**
+ * Admin list of promo codes with their redemption counts, plus a form to create
+ * new ones. Codes can be paused and resumed but not edited once issued.
+ */
+const PromoCodeManager = ({ db, userId, barbers }) => {
+    const emptyForm = {
+        code: '', label: '', type: 'percent', value: '10', expiresOn: '', maxRedemptions: '', perUserLimit: '1',
+        barberIds: [], serviceIds: [], firstVisitOnly: false,
+    };
+    const [promos, setPromos] = useState([]);
+    const [form, setForm] = useState(null); // null = not creating
+    const [saving, setSaving] = useState(false);
+    const [message, setMessage] = useState(null);
+
+    useEffect(() => {
+        if (!db) return;
+        const promosRef = collection(db, 'artifacts', appId, 'public', 'data', 'promo_codes');
+        const unsubscribe = onSnapshot(query(promosRef), (snapshot) => {
+            setPromos(snapshot.docs.map(d => d.data()).sort((a, b) => a.code.localeCompare(b.code)));
+        }, (err) => console.error("Firestore error fetching promo codes:", err));
+        return () => unsubscribe();
+    }, [db]);
+
+    const optionalInt = (value) => value === '' ? null : Number(value);
+    const fields = form && {
+        code: normalizePromoCode(form.code),
+        label: form.label.trim(),
+        type: form.type,
+        value: form.value === '' ? NaN : Number(form.value),
+        expiresOn: form.expiresOn || null,
+        maxRedemptions: optionalInt(form.maxRedemptions),
+        perUserLimit: optionalInt(form.perUserLimit),
+        barberIds: form.barberIds,
+        serviceIds: form.serviceIds,
+        firstVisitOnly: form.firstVisitOnly,
+    };
+    const problems = fields ? validatePromoFields(fields) : [];
+
+    // Services to restrict to come from the chosen barbers, or every barber if none are chosen
+    const serviceOptions = form ? barbers
+        .filter(b => form.barberIds.length === 0 || form.barberIds.includes(b.id))
+        .flatMap(b => getActiveServices(b).map(service => ({ id: getServiceId(service), label: `${service.name} (${b.name})` }))) : [];
+
+    const toggleIn = (key, id) => setForm(prev => ({
+        ...prev,
+        [key]: prev[key].includes(id) ? prev[key].filter(x => x !== id) : [...prev[key], id],
+    }));
+
+    const handleCreate = async () => {
+        if (problems.length > 0 || saving) return;
+        setSaving(true);
+        setMessage(null);
+        try {
+            await createPromoCode(db, userId, fields);
+            setForm(null);
+        } catch (e) {
+            console.error("Error creating promo code:", e);
+            setMessage(e.code === PROMO_INVALID ? e.message : "Couldn't create the code. Please try again.");
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const inputClass = "p-2 border border-gray-300 rounded-lg bg-gray-50 text-sm focus:ring-amber-500 focus:border-amber-500";
+
+    return (
+        <div className="mt-6 pt-4 border-t text-sm">
+            <div className="flex justify-between items-center mb-2">
+                <h3 className="text-lg font-bold text-gray-800">Promo Codes</h3>
+                {!form && (
+                    <button onClick={() => setForm(emptyForm)} className="text-sm font-semibold text-amber-600 hover:text-amber-700">+ New code</button>
+                )}
+            </div>
+
+            {form && (
+                <div className="p-3 mb-3 rounded-lg border border-amber-200 bg-amber-50 space-y-2">
+                    <div className="flex space-x-2">
+                        <input value={form.code} onChange={(e) => setForm({ ...form, code: e.target.value })} placeholder="CODE" className={`w-1/2 uppercase font-mono ${inputClass}`} />
+                        <input value={form.label} onChange={(e) => setForm({ ...form, label: e.target.value })} placeholder="Label (optional)" className={`w-1/2 ${inputClass}`} />
+                    </div>
+                    <div className="flex space-x-2">
+                        <input type="number" min="0" value={form.value} onChange={(e) => setForm({ ...form, value: e.target.value })} className={`w-1/3 ${inputClass}`} />
+                        <select value={form.type} onChange={(e) => setForm({ ...form, type: e.target.value })} className={`w-1/3 ${inputClass}`}>
+                            <option value="percent">% off</option>
+                            <option value="flat">₹ off</option>
+                        </select>
+                        <input type="date" value={form.expiresOn} onChange={(e) => setForm({ ...form, expiresOn: e.target.value })} title="Last valid day" className={`w-1/3 ${inputClass}`} />
+                    </div>
+                    <div className="flex space-x-2">
+                        <input type="number" min="1" value={form.maxRedemptions} onChange={(e) => setForm({ ...form, maxRedemptions: e.target.value })} placeholder="Total uses (∞)" className={`w-1/2 ${inputClass}`} />
+                        <input type="number" min="1" value={form.perUserLimit} onChange={(e) => setForm({ ...form, perUserLimit: e.target.value })} placeholder="Uses per customer (∞)" className={`w-1/2 ${inputClass}`} />
+                    </div>
+                    <label className="flex items-center space-x-2">
+                        <input type="checkbox" checked={form.firstVisitOnly} onChange={(e) => setForm({ ...form, firstVisitOnly: e.target.checked })} className="accent-amber-600" />
+                        <span>First booking only</span>
+                    </label>
+                    <div>
+                        <p className="text-xs text-gray-500">Only for these barbers (none = all):</p>
+                        <div className="flex flex-wrap gap-1 mt-1">
+                            {barbers.map(b => (
+                                <button
+                                    key={b.id}
+                                    onClick={() => toggleIn('barberIds', b.id)}
+                                    className={`px-2 py-0.5 rounded-full text-xs border ${form.barberIds.includes(b.id) ? 'bg-amber-600 text-white border-amber-600' : 'bg-white text-gray-700 border-gray-300'}`}
+                                >
+                                    {b.name}
+                                </button>
+                            ))}
+                        </div>
+                    </div>
+                    <div>
+                        <p className="text-xs text-gray-500">Only for these services (none = all):</p>
+                        <div className="flex flex-wrap gap-1 mt-1 max-h-24 overflow-y-auto">
+                            {serviceOptions.map(option => (
+                                <button
+                                    key={option.label}
+                                    onClick={() => toggleIn('serviceIds', option.id)}
+                                    className={`px-2 py-0.5 rounded-full text-xs border ${form.serviceIds.includes(option.id) ? 'bg-amber-600 text-white border-amber-600' : 'bg-white text-gray-700 border-gray-300'}`}
+                                >
+                                    {option.label}
+                                </button>
+                            ))}
+                        </div>
+                    </div>
+                    {problems.length > 0 && <p className="text-xs text-red-600">{problems[0]}</p>}
+                    {message && <p className="text-xs text-red-600">{message}</p>}
+                    <div className="flex space-x-2">
+                        <button onClick={() => setForm(null)} className="flex-1 py-1 rounded-full font-semibold bg-gray-200 text-gray-700 hover:bg-gray-300 transition">Cancel</button>
+                        <button
+                            onClick={handleCreate}
+                            disabled={problems.length > 0 || saving}
+                            className="flex-1 py-1 rounded-full font-semibold bg-amber-600 text-white hover:bg-amber-700 transition disabled:bg-gray-300"
                         >
-                            <div className="font-medium">{days[day.getDay()]}</div>
-                            <div className="text-lg font-bold">{day.getDate()}</div>
+                            {saving ? 'Creating...' : 'Create Code'}
+                        </button>
+                    </div>
+                </div>
+            )}
+
+            {promos.length === 0 ? (
+                <p className="text-gray-500">No promo codes yet.</p>
+            ) : (
+                <div className="space-y-2">
+                    {promos.map(promo => (
+                        <div key={promo.code} className={`flex justify-between items-center p-2 rounded-lg border ${promo.active ? 'border-gray-100' : 'border-gray-100 opacity-60'}`}>
+                            <div>
+                                <p className="font-mono font-bold text-gray-800">{promo.code}</p>
+                                <p className="text-xs text-gray-500">
+                                    {promo.type === 'percent' ? `${promo.value}% off` : `₹${promo.value} off`}
+                                    {promo.firstVisitOnly && ' · first booking'}
+                                    {promo.expiresOn && ` · until ${promo.expiresOn}`}
+                                    {(promo.barberIds?.length > 0 || promo.serviceIds?.length > 0) && ' · restricted'}
+                                </p>
+                            </div>
+                            <div className="text-right">
+                                <p className="font-semibold text-gray-800">
+                                    {getPromoRedemptions(promo)}{promo.maxRedemptions ? ` / ${promo.maxRedemptions}` : ''} used
+                                </p>
+                                <button onClick={() => setPromoActive(db, promo.code, !promo.active)} className="text-xs font-semibold text-amber-600 hover:text-amber-700">
+                                    {promo.active ? 'Pause' : 'Resume'}
+                                </button>
+                            </div>
                         </div>
                     ))}
                 </div>
-            </div>
+            )}
+        </div>
+    );
+};
 
-            {/* Service Selection */}
-            <div className="mb-4">
-                <h3 className="font-semibold mb-2 text-gray-700">Select Service</h3>
-                <select 
-                    value={selectedService.name} 
-                    onChange={(e) => setSelectedService(barber.services.find(s => s.name === e.target.value))}
-                    className="w-full p-2 border border-gray-300 rounded-lg bg-gray-50 text-sm focus:ring-amber-500 focus:border-amber-500 transition duration-150"
-                >
-                    {barber.services.map(service => (
-                        <option key={service.name} value={service.name}>
-                            {service.name} (₹{service.price}) - {service.duration} mins
-                        </option>
-                    ))}
-                </select>
+const AdminPanel = ({ db, userId, pricingConfig, onManageBarber, onSignOut }) => {
+    const barbers = useAllBarbers(db);
+    const [invites, setInvites] = useState({}); // barberId -> freshly issued code
+    const [busyBarberId, setBusyBarberId] = useState(null);
+    const [error, setError] = useState(null);
+
+    const handleInvite = async (barberId) => {
+        setBusyBarberId(barberId);
+        setError(null);
+        try {
+            const code = await createBarberInvite(db, userId, barberId);
+            setInvites(prev => ({ ...prev, [barberId]: code }));
+        } catch (e) {
+            console.error("Error creating invite:", e);
+            setError("Couldn't create an invite code. Please try again.");
+        } finally {
+            setBusyBarberId(null);
+        }
+    };
+
+    return (
+        <div className="p-4 bg-white rounded-xl shadow-2xl">
+            <div className="flex justify-between items-start">
+                <h2 className="text-2xl font-bold text-amber-700 mb-2">Shop Admin</h2>
+                <button onClick={onSignOut} className="text-sm font-semibold text-gray-500 hover:text-amber-700">Sign out</button>
             </div>
+            <p className="text-sm text-gray-500 mb-4">Manage barbers and link them to their accounts.</p>
 
-            {/* Time Slot Selection */}
-            <div className="mb-4">
-                <h3 className="font-semibold mb-2 text-gray-700">Available Slots</h3>
-                <div className="flex flex-wrap gap-2 max-h-32 overflow-y-auto p-1">
-                    {availableSlots.length > 0 ? (
-                        availableSlots.map((slot, index) => (
+            {error && <p className="mb-3 p-2 text-sm text-red-700 bg-red-50 border border-red-200 rounded-lg">{error}</p>}
+
+            <div className="space-y-3">
+                {barbers.map(barber => (
+                    <div key={barber.id} className="p-3 rounded-lg border border-gray-100 shadow-sm">
+                        <div className="flex justify-between items-center">
+                            <div>
+                                <p className="font-semibold text-gray-800">{barber.name}</p>
+                                <p className="text-xs text-gray-500">{barber.ownerUid ? 'Linked to an account' : 'No account linked'}</p>
+                            </div>
+                            <button onClick={() => onManageBarber(barber.id)} className="text-sm font-semibold text-amber-600 hover:text-amber-700">
+                                Manage
+                            </button>
+                        </div>
+                        {!barber.ownerUid && (invites[barber.id] ? (
+                            <p className="mt-2 text-xs text-gray-600">
+                                Invite code: <span className="font-mono font-bold tracking-widest text-gray-900">{invites[barber.id]}</span>
+                            </p>
+                        ) : (
                             <button
-                                key={index}
-                                onClick={() => setSelectedSlot(slot)}
-                                className={`px-3 py-1 rounded-full text-xs font-medium transition duration-150 ${
-                                    selectedSlot?.time === slot.time 
-                                        ? 'bg-amber-600 text-white shadow-lg' 
-                                        : 'bg-amber-100 text-amber-700 hover:bg-amber-200'
-                                }`}
+                                onClick={() => handleInvite(barber.id)}
+                                disabled={busyBarberId === barber.id}
+                                className="mt-2 text-xs font-semibold text-gray-600 hover:text-amber-700 disabled:opacity-50"
                             >
-                                {slot.time}
+                                {busyBarberId === barber.id ? 'Creating...' : '+ Create invite code'}
                             </button>
-                        ))
-                    ) : (
-                        <p className="text-gray-500 text-sm">No available slots for this date.</p>
-                    )}
-                </div>
+                        ))}
+                    </div>
+                ))}
             </div>
 
-            {/* Pricing Summary */}
-            <div className="border-t pt-3 mt-3">
-                <div className="flex justify-between font-medium text-gray-800">
-                    <span>Service:</span>
-                    <span>₹{selectedService.price}</span>
-                </div>
-                <div className="flex justify-between text-gray-600 text-sm mt-1">
-                    <span>Booking Fee:</span>
-                    <span className='font-bold text-amber-600'>₹{BOOKING_FEE}</span>
-                </div>
-                <div className="flex justify-between font-bold text-xl mt-2 text-gray-900">
-                    <span>TOTAL</span>
-                    <span>₹{selectedService.price + BOOKING_FEE}</span>
-                </div>
-            </div>
+            <PricingSettingsEditor db={db} userId={userId} barbers={barbers} pricingConfig={pricingConfig} />
+            <PromoCodeManager db={db} userId={userId} barbers={barbers} />
+        </div>
+    );
+};
 
-            {/* Action Buttons */}
-            <div className="flex mt-6 space-x-3">
-                <button 
-                    onClick={onClose}
-                    className="flex-1 bg-gray-200 text-gray-700 font-bold py-2 rounded-xl text-sm hover:bg-gray-300 transition duration-150"
-                >
-                    Back
+
+// Lets a barber turn their profile into a shop they can add more stylists to
+const CreateShopForm = ({ db, userId, barber }) => {
+    const [open, setOpen] = useState(false);
+    const [name, setName] = useState(barber.name);
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState(null);
+
+    const handleCreate = async () => {
+        if (!name.trim() || saving) return;
+        setSaving(true);
+        setError(null);
+        try {
+            await createShop(db, userId, barber, name.trim());
+        } catch (e) {
+            console.error("Error creating shop:", e);
+            setError("Couldn't set up the shop. Please try again.");
+            setSaving(false);
+        }
+    };
+
+    if (!open) {
+        return (
+            <button onClick={() => setOpen(true)} className="mb-6 w-full text-left p-3 rounded-xl border border-dashed border-amber-300 text-sm text-amber-700 font-semibold hover:bg-amber-50">
+                Run a shop with several stylists? Set up your shop →
+            </button>
+        );
+    }
+
+    return (
+        <div className="mb-6 p-3 rounded-xl border border-amber-200 bg-amber-50 text-sm space-y-2">
+            <p className="text-gray-700">You'll be the first stylist, at chair 1. You can then add your team and see everyone's bookings together.</p>
+            <input
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                placeholder="Shop name"
+                className="w-full p-2 border border-gray-300 rounded-lg bg-white text-sm focus:ring-amber-500 focus:border-amber-500"
+            />
+            {error && <p className="text-xs text-red-600">{error}</p>}
+            <div className="flex space-x-2">
+                <button onClick={() => setOpen(false)} className="flex-1 bg-gray-200 text-gray-700 font-bold py-2 rounded-xl text-sm hover:bg-gray-300">Cancel</button>
+                <button onClick={handleCreate} disabled={saving || !name.trim()} className="flex-1 bg-amber-600 hover:bg-amber-700 text-white font-bold py-2 rounded-xl text-sm disabled:bg-gray-400">
+                    {saving ? 'Creating...' : 'Create Shop'}
                 </button>
-                <button 
-                    onClick={handleConfirm}
-                    disabled={!selectedSlot}
-                    className={`flex-1 font-bold py-2 rounded-xl shadow-xl text-sm transition duration-150 ${
-                        selectedSlot ? 'bg-amber-600 hover:bg-amber-700 text-white transform hover:scale-[1.02]' : 'bg-gray-300 text-gray-500 cursor-not-allowed'
-                    }`}
-                >
-                    Confirm Booking
+            </div>
+        </div>
+    );
+};
+
+// One stylist's row in the shop overview: the day's bookings plus chair and account controls
+const StaffDayRow = ({ db, userId, member, staff, appointments, isManaged, onManage }) => {
+    const [chair, setChair] = useState(String(member.chair ?? ''));
+    const [invite, setInvite] = useState(null);
+    const [busy, setBusy] = useState(false);
+    const [error, setError] = useState(null);
+
+    const booked = appointments.filter(appt => isBlockingAppointment(appt) || appt.status === 'Completed');
+    const earned = appointments.filter(appt => appt.status === 'Completed').reduce((sum, appt) => sum + getBarberPayout(appt), 0);
+    const chairNumber = Number(chair);
+    const chairProblems = validateStaffMember({ id: member.id, name: member.name, chair: chairNumber }, staff);
+
+    const run = async (work, failure) => {
+        setBusy(true);
+        setError(null);
+        try {
+            await work();
+        } catch (e) {
+            console.error(failure, e);
+            setError(failure);
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    return (
+        <div className={`p-3 rounded-lg border ${isManaged ? 'border-amber-400 bg-amber-50' : 'border-gray-100'}`}>
+            <div className="flex justify-between items-center">
+                <div>
+                    <p className="font-semibold text-gray-800">{member.name}</p>
+                    <p className="text-xs text-gray-500">{booked.length} booked · ₹{earned.toLocaleString()} earned</p>
+                </div>
+                <button onClick={() => onManage(member.id)} disabled={isManaged} className="text-sm font-semibold text-amber-600 hover:text-amber-700 disabled:text-gray-400">
+                    {isManaged ? 'Managing' : 'Manage'}
                 </button>
             </div>
+            <div className="mt-2 space-y-0.5">
+                {booked.map(appt => (
+                    <p key={appt.id} className="text-xs text-gray-700">
+                        <span className="font-semibold text-amber-700">{appt.time}</span> {summarizeServices(getBookedServices(appt)).name} · {appt.customerName}
+                        <span className="text-gray-400"> ({appt.status})</span>
+                    </p>
+                ))}
+                {booked.length === 0 && <p className="text-xs text-gray-400">Nothing booked.</p>}
+            </div>
+            <div className="flex items-center space-x-2 mt-2 text-xs">
+                <span className="text-gray-600">Chair</span>
+                <input type="number" min="1" value={chair} onChange={(e) => setChair(e.target.value)} className="w-14 p-1 border border-gray-300 rounded bg-gray-50" />
+                {chairNumber !== member.chair && (
+                    <button
+                        onClick={() => run(() => setStaffChair(db, member.id, chairNumber), "Couldn't change the chair.")}
+                        disabled={busy || chairProblems.length > 0}
+                        className="font-semibold text-amber-700 hover:text-amber-800 disabled:text-gray-400"
+                    >
+                        Save
+                    </button>
+                )}
+                {!member.ownerUid && (invite ? (
+                    <span className="text-gray-600">Invite code: <span className="font-mono font-bold tracking-widest text-gray-900">{invite}</span></span>
+                ) : (
+                    <button
+                        onClick={() => run(async () => setInvite(await createBarberInvite(db, userId, member.id)), "Couldn't create an invite code.")}
+                        disabled={busy}
+                        className="font-semibold text-gray-600 hover:text-amber-700 disabled:opacity-50"
+                    >
+                        + Invite to sign in
+                    </button>
+                ))}
+            </div>
+            {chairNumber !== member.chair && chairProblems.length > 0 && <p className="text-xs text-red-600 mt-1">{chairProblems[0]}</p>}
+            {error && <p className="text-xs text-red-600 mt-1">{error}</p>}
         </div>
     );
 };
 
-// Booking Confirmation Screen (Updated with LLM feature)
-const ConfirmationScreen = ({ bookingDetails, onDone }) => {
-    const [tips, setTips] = useState(null);
-    const [loadingTips, setLoadingTips] = useState(false);
-    const [hairType, setHairType] = useState('straight'); // Simple state for hair type input
+/**
+ * Shop owner's combined dashboard: every stylist's bookings for a day side by
+ * side with their totals, and staff management (add stylists, assign chairs,
+ * invite them to claim their profile). "Manage" switches the rest of the
+ * dashboard to that stylist.
+ */
+const ShopOverview = ({ db, userId, shop, staff, template, managedBarberId, onManage }) => {
+    const [day, setDay] = useState(() => new Date());
+    const appointmentsByBarber = useShopDayAppointments(db, staff.map(member => member.id), day);
+    const [newName, setNewName] = useState('');
+    const [newChair, setNewChair] = useState('');
+    const [adding, setAdding] = useState(false);
+    const [error, setError] = useState(null);
 
-    const handleGenerateTips = async () => {
-        if (loadingTips) return;
-        setLoadingTips(true);
-        setTips(null);
+    const nextChair = Math.max(0, ...staff.map(member => member.chair || 0)) + 1;
+    const chair = newChair === '' ? nextChair : Number(newChair);
+    const problems = validateStaffMember({ name: newName, chair }, staff);
+
+    const all = Object.values(appointmentsByBarber).flat();
+    const totalBooked = all.filter(appt => isBlockingAppointment(appt) || appt.status === 'Completed').length;
+    const totalEarned = all.filter(appt => appt.status === 'Completed').reduce((sum, appt) => sum + getBarberPayout(appt), 0);
 
+    const shiftDay = (days) => setDay(prev => {
+        const next = new Date(prev);
+        next.setDate(prev.getDate() + days);
+        return next;
+    });
+
+    const handleAdd = async () => {
+        if (problems.length > 0 || adding) return;
+        setAdding(true);
+        setError(null);
         try {
-            const generatedTips = await generateAftercareTips(bookingDetails.service, hairType);
-            setTips(generatedTips);
-        } catch (error) {
-            console.error("Error generating aftercare tips:", error);
-            setTips("Sorry, we couldn't fetch the care tips right now. Please try again later.");
+            await addStaffMember(db, shop, template, { name: newName.trim(), chair });
+            setNewName('');
+            setNewChair('');
+        } catch (e) {
+            console.error("Error adding stylist:", e);
+            setError("Couldn't add the stylist. Please try again.");
         } finally {
-            setLoadingTips(false);
+            setAdding(false);
         }
     };
 
-
     return (
-        <div className="p-4 sm:p-8 bg-white rounded-xl shadow-2xl text-center">
-            <svg className="w-20 h-20 text-green-500 mx-auto mb-6" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
-                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z"></path>
-            </svg>
-            <h2 className="text-3xl font-bold text-gray-900 mb-2">Appointment Confirmed!</h2>
-            <p className="text-gray-600 mb-8">You're all set. We've notified the barber.</p>
+        <div className="mb-6 p-3 border border-amber-200 rounded-xl">
+            <div className="flex justify-between items-center mb-2">
+                <h3 className="font-bold text-gray-800">{shop.name}</h3>
+                <div className="flex items-center space-x-2 text-xs text-gray-600">
+                    <button onClick={() => shiftDay(-1)} className="p-1 rounded-full hover:bg-gray-100">&lt;</button>
+                    <span className="font-semibold">{toDateKey(day) === toDateKey(new Date()) ? 'Today' : day.toDateString()}</span>
+                    <button onClick={() => shiftDay(1)} className="p-1 rounded-full hover:bg-gray-100">&gt;</button>
+                </div>
+            </div>
+            <p className="text-xs text-gray-500 mb-3">
+                {staff.length} stylists · {totalBooked} booked · ₹{totalEarned.toLocaleString()} earned
+            </p>
 
-            {/* Booking Details */}
-            <div className="text-left space-y-3 bg-amber-50 p-6 rounded-lg border border-amber-200 mb-6">
-                <p className="font-semibold text-gray-800">
-                    Barber: <span className="float-right font-bold text-amber-700">{bookingDetails.barberName}</span>
-                </p>
-                <p className="font-semibold text-gray-800">
-                    Service: <span className="float-right font-bold">{bookingDetails.service}</span>
-                </p>
-                <p className="font-semibold text-gray-800">
-                    Time: <span className="float-right font-bold text-xl">{bookingDetails.time}</span>
-                </p>
-                <p className="border-t border-amber-200 pt-3 text-sm text-gray-600">
-                    Total Paid: <span className="float-right font-extrabold text-lg text-green-600">₹{bookingDetails.totalPrice}</span>
-                </p>
+            <div className="space-y-2">
+                {staff.map(member => (
+                    <StaffDayRow
+                        key={member.id}
+                        db={db}
+                        userId={userId}
+                        member={member}
+                        staff={staff}
+                        appointments={appointmentsByBarber[member.id] || []}
+                        isManaged={member.id === managedBarberId}
+                        onManage={onManage}
+                    />
+                ))}
             </div>
 
-            {/* --- Gemini LLM Feature: Aftercare Tips --- */}
-            <div className="bg-blue-50 p-4 rounded-xl shadow-inner mb-6">
-                <h3 className="font-bold text-lg text-blue-800 mb-3">✨ Post-Kut Care Tips</h3>
-                
-                <div className="flex items-center mb-4 space-x-2">
-                    <label htmlFor="hairType" className="text-sm text-gray-700 font-medium whitespace-nowrap">My Hair Type:</label>
-                    <select 
-                        id="hairType" 
-                        value={hairType} 
-                        onChange={(e) => setHairType(e.target.value)}
-                        className="w-full p-2 border border-blue-300 rounded-lg bg-white text-sm focus:ring-blue-500 focus:border-blue-500"
-                    >
-                        <option value="straight">Straight</option>
-                        <option value="wavy">Wavy</option>
-                        <option value="curly">Curly</option>
-                        <option value="coily">Coily</option>
-                    </select>
+            <div className="mt-3 pt-3 border-t border-gray-100 text-sm">
+                <p className="font-semibold text-gray-700 mb-1">Add a stylist</p>
+                <div className="flex space-x-2">
+                    <input value={newName} onChange={(e) => setNewName(e.target.value)} placeholder="Name" className="flex-grow p-2 border border-gray-300 rounded-lg bg-gray-50 text-sm" />
+                    <input type="number" min="1" value={newChair} onChange={(e) => setNewChair(e.target.value)} placeholder={`Chair ${nextChair}`} className="w-24 p-2 border border-gray-300 rounded-lg bg-gray-50 text-sm" />
                 </div>
-
-                <button 
-                    onClick={handleGenerateTips}
-                    disabled={loadingTips}
-                    className="w-full bg-blue-600 hover:bg-blue-700 text-white font-bold py-3 rounded-xl shadow-md transition duration-150 disabled:bg-gray-400 disabled:cursor-not-allowed flex items-center justify-center space-x-2"
+                {newName && problems.length > 0 && <p className="text-xs text-red-600 mt-1">{problems[0]}</p>}
+                {error && <p className="text-xs text-red-600 mt-1">{error}</p>}
+                <p className="text-xs text-gray-400 mt-1">New stylists start with your services and hours; manage them to change either.</p>
+                <button
+                    onClick={handleAdd}
+                    disabled={adding || problems.length > 0}
+                    className="w-full mt-2 bg-amber-600 hover:bg-amber-700 text-white font-bold py-2 rounded-xl text-sm transition disabled:bg-gray-400"
                 >
-                    {loadingTips ? (
-                        <>
-                            <div className="animate-spin rounded-full h-5 w-5 border-2 border-white border-t-transparent"></div>
-                            <span>Generating Tips...</span>
-                        </>
-                    ) : (
-                        <span>✨ Get Personalized Aftercare Tips</span>
-                    )}
+                    {adding ? 'Adding...' : 'Add Stylist'}
                 </button>
-
-                {tips && (
-                    <div className="mt-4 text-left p-3 bg-white border border-blue-200 rounded-lg text-sm text-gray-700 whitespace-pre-line">
-                        {tips}
-                    </div>
-                )}
             </div>
-            {/* --- End LLM Feature --- */}
-
-
-            <button 
-                onClick={onDone}
-                className="w-full mt-4 bg-amber-600 hover:bg-amber-700 text-white font-bold py-3 rounded-xl shadow-xl transition duration-150 transform hover:scale-[1.02]"
-            >
-                View My Bookings
-            </button>
         </div>
     );
 };
 
-// Bookings List Screen (for the User)
-const BookingsScreen = ({ db, userId, isAuthReady, onNavigate }) => {
-    const [bookings, setBookings] = useState([]);
-    const [loadingBookings, setLoadingBookings] = useState(true);
+const CALENDAR_MODES = { DAY: 'day', WEEK: 'week' };
+const CALENDAR_DEFAULT_HOURS = { start: 9 * 60, end: 18 * 60 };
 
-    useEffect(() => {
-        if (!db || !isAuthReady || !userId) return;
+// First and last minute shown on the timeline: the widest working day in view, on whole hours
+const getCalendarBounds = (availability, days, appointments) => {
+    const windows = days.flatMap(day => getWorkingWindows(availability, day));
+    const busy = appointments.map(appt => ({ start: timeToMinutes(appt.time), end: timeToMinutes(appt.time) + (appt.duration || 30) }));
+    const all = [...windows, ...busy];
+    if (all.length === 0) return CALENDAR_DEFAULT_HOURS;
+    return {
+        start: Math.floor(Math.min(...all.map(w => w.start)) / 60) * 60,
+        end: Math.ceil(Math.max(...all.map(w => w.end)) / 60) * 60,
+    };
+};
 
-        const bookingsRef = collection(db, 'artifacts', appId, 'users', userId, 'bookings');
-        const q = query(bookingsRef);
+/**
+ * Timeline of a barber's appointments for one day or one week. Appointments are
+ * drawn as blocks sized by duration; time outside working hours is shaded, so
+ * free gaps stand out. Only the visible range is fetched, via a startAt query.
+ */
+const BarberCalendar = ({ db, barber }) => {
+    const [mode, setMode] = useState(CALENDAR_MODES.DAY);
+    const [anchor, setAnchor] = useState(() => new Date());
+    const [appointments, setAppointments] = useState([]);
+
+    const days = useMemo(() => {
+        const first = new Date(anchor.getFullYear(), anchor.getMonth(), anchor.getDate());
+        if (mode === CALENDAR_MODES.WEEK) first.setDate(first.getDate() - ((first.getDay() + 6) % 7)); // Monday
+        return Array.from({ length: mode === CALENDAR_MODES.WEEK ? 7 : 1 }, (_, i) => {
+            const day = new Date(first);
+            day.setDate(first.getDate() + i);
+            return day;
+        });
+    }, [anchor, mode]);
+
+    const rangeStartMs = days[0].getTime();
+    const rangeEndMs = new Date(days[days.length - 1].getFullYear(), days[days.length - 1].getMonth(), days[days.length - 1].getDate() + 1).getTime();
 
+    useEffect(() => {
+        if (!db) return;
+
+        const appointmentsRef = collection(db, ...scheduleDocPath(barber.id), 'appointments');
+        const q = query(appointmentsRef,
+            where('startAt', '>=', Timestamp.fromMillis(rangeStartMs)),
+            where('startAt', '<', Timestamp.fromMillis(rangeEndMs)),
+            orderBy('startAt')
+        );
         const unsubscribe = onSnapshot(q, (snapshot) => {
-            const fetchedBookings = snapshot.docs.map(doc => ({
-                id: doc.id,
-                ...doc.data(),
-                // Convert timestamp object to milliseconds if it exists
-                timestampMs: doc.data().timestamp ? doc.data().timestamp.toMillis() : Date.now()
-            })).sort((a, b) => b.timestampMs - a.timestampMs); // Sort by newest first
-            
-            setBookings(fetchedBookings);
-            setLoadingBookings(false);
+            setAppointments(snapshot.docs.map(d => ({ id: d.id, ...d.data() })).filter(appt => isBlockingAppointment(appt) || appt.status === 'Completed'));
         }, (err) => {
-            console.error("Firestore error fetching bookings:", err);
-            setLoadingBookings(false);
+            console.error("Firestore error fetching calendar:", err);
+            setAppointments([]);
         });
 
         return () => unsubscribe();
-    }, [db, userId, isAuthReady]);
+    }, [db, barber.id, rangeStartMs, rangeEndMs]);
+
+    const bounds = getCalendarBounds(barber.availability, days, appointments);
+    const pxPerMinute = mode === CALENDAR_MODES.WEEK ? 0.8 : 1.2;
+    const height = (bounds.end - bounds.start) * pxPerMinute;
+    const hours = Array.from({ length: (bounds.end - bounds.start) / 60 + 1 }, (_, i) => bounds.start + i * 60);
+    const todayKey = toDateKey(new Date());
+
+    const shift = (direction) => setAnchor(prev => {
+        const next = new Date(prev);
+        next.setDate(prev.getDate() + direction * (mode === CALENDAR_MODES.WEEK ? 7 : 1));
+        return next;
+    });
+
+    // Shaded blocks for the parts of the visible hours the barber isn't working
+    const closedIntervals = (day) => getWorkingWindows(barber.availability, day).reduce(
+        (gaps, w) => subtractInterval(gaps, w),
+        [{ start: bounds.start, end: bounds.end }]
+    );
 
     return (
-        <div className="p-4 bg-white rounded-xl shadow-2xl">
-            <h2 className="text-2xl font-bold text-gray-900 mb-4 border-b pb-2">My Appointments</h2>
-            
-            {loadingBookings ? (
-                <div className="text-center p-8">Loading...</div>
-            ) : bookings.length === 0 ? (
-                <div className="text-center p-8 text-gray-500">
-                    <CalendarIcon className="w-8 h-8 mx-auto mb-2 text-amber-500" />
-                    <p>You have no past or upcoming bookings yet.</p>
-                    <button 
-                        onClick={() => onNavigate('home')}
-                        className="mt-4 text-amber-600 font-semibold hover:text-amber-700 transition"
-                    >
-                        Book Your First Kut!
-                    </button>
+        <div className="text-sm">
+            <div className="flex justify-between items-center mb-2">
+                <div className="flex space-x-1">
+                    <button onClick={() => shift(-1)} className="px-2 rounded-full hover:bg-gray-100">&lt;</button>
+                    <button onClick={() => setAnchor(new Date())} className="px-2 text-xs font-semibold text-amber-600">Today</button>
+                    <button onClick={() => shift(1)} className="px-2 rounded-full hover:bg-gray-100">&gt;</button>
                 </div>
-            ) : (
-                <div className="space-y-4">
-                    {bookings.map((booking) => (
-                        <div key={booking.id} className="p-4 bg-amber-50 rounded-lg shadow-sm border-l-4 border-amber-600">
-                            <div className="flex justify-between items-start mb-2">
-                                <h3 className="font-bold text-lg text-gray-800">{booking.barberName}</h3>
-                                <span className={`px-2 py-0.5 text-xs font-semibold rounded-full ${
-                                    booking.status === 'Confirmed' ? 'bg-green-100 text-green-700' : 'bg-gray-100 text-gray-700'
-                                }`}>
-                                    {booking.status}
-                                </span>
-                            </div>
-                            <p className="text-sm text-gray-600">{booking.service}</p>
-                            <p className="text-sm font-medium text-gray-700 mt-2">
-                                <span className='text-amber-600 font-bold mr-1'>{booking.time}</span> on {booking.date}
-                            </p>
-                            <p className="text-xs text-gray-500 mt-1">Total: ₹{booking.totalPrice}</p>
-                        </div>
+                <span className="font-semibold text-gray-700">
+                    {mode === CALENDAR_MODES.DAY
+                        ? days[0].toLocaleDateString(undefined, { weekday: 'short', day: 'numeric', month: 'short' })
+                        : `${days[0].toLocaleDateString(undefined, { day: 'numeric', month: 'short' })} – ${days[6].toLocaleDateString(undefined, { day: 'numeric', month: 'short' })}`}
+                </span>
+                <select value={mode} onChange={(e) => setMode(e.target.value)} className="p-1 border border-gray-300 rounded-lg bg-gray-50 text-xs">
+                    <option value={CALENDAR_MODES.DAY}>Day</option>
+                    <option value={CALENDAR_MODES.WEEK}>Week</option>
+                </select>
+            </div>
+
+            <div className="flex">
+                {/* Hour labels */}
+                <div className="w-10 flex-shrink-0 relative" style={{ height, marginTop: mode === CALENDAR_MODES.WEEK ? 20 : 0 }}>
+                    {hours.map(minutes => (
+                        <span key={minutes} className="absolute right-1 text-[10px] text-gray-400 -translate-y-1/2" style={{ top: (minutes - bounds.start) * pxPerMinute }}>
+                            {minutesToTime(minutes)}
+                        </span>
                     ))}
                 </div>
+
+                {days.map(day => {
+                    const dateKey = toDateKey(day);
+                    const dayAppointments = appointments.filter(appt => appt.dateKey === dateKey);
+                    return (
+                        <div key={dateKey} className="flex-1 min-w-0">
+                            {mode === CALENDAR_MODES.WEEK && (
+                                <p className={`h-5 text-center text-[10px] ${dateKey === todayKey ? 'font-bold text-amber-600' : 'text-gray-500'}`}>
+                                    {day.toLocaleDateString(undefined, { weekday: 'narrow' })} {day.getDate()}
+                                </p>
+                            )}
+                            <div className="relative border-l border-gray-100" style={{ height }}>
+                                {hours.map(minutes => (
+                                    <div key={minutes} className="absolute w-full border-t border-gray-100" style={{ top: (minutes - bounds.start) * pxPerMinute }} />
+                                ))}
+                                {closedIntervals(day).map(gap => (
+                                    <div
+                                        key={gap.start}
+                                        className="absolute w-full bg-gray-100"
+                                        style={{ top: (gap.start - bounds.start) * pxPerMinute, height: (gap.end - gap.start) * pxPerMinute }}
+                                    />
+                                ))}
+                                {dayAppointments.map(appt => {
+                                    const start = timeToMinutes(appt.time);
+                                    return (
+                                        <div
+                                            key={appt.id}
+                                            title={`${appt.time} · ${summarizeServices(getBookedServices(appt)).name} · ${appt.customerName || ''}`}
+                                            className={`absolute left-0.5 right-0.5 rounded px-1 overflow-hidden text-[10px] leading-tight border border-white ${STATUS_BADGE_CLASSES[appt.status] || 'bg-gray-100 text-gray-700'}`}
+                                            style={{ top: (start - bounds.start) * pxPerMinute, height: Math.max((appt.duration || 30) * pxPerMinute, 12) }}
+                                        >
+                                            <span className="font-semibold">{appt.time}</span>
+                                            {mode === CALENDAR_MODES.DAY && ` ${summarizeServices(getBookedServices(appt)).name} · ${appt.customerName || ''}`}
+                                        </div>
+                                    );
+                                })}
+                            </div>
+                        </div>
+                    );
+                })}
+            </div>
+            {appointments.length === 0 && (
+                <p className="text-xs text-gray-400 mt-2 text-center">Nothing booked {mode === CALENDAR_MODES.DAY ? 'on this day' : 'this week'}.</p>
             )}
         </div>
     );
 };
 
-// New Component: AI Style Inspiration Generator
-const StyleInspiration = () => {
-    const [vibe, setVibe] = useState('modern and sharp');
-    const [hairType, setHairType] = useState('straight');
-    const [results, setResults] = useState(null);
-    const [loading, setLoading] = useState(false);
+/**
+ * Private link to the barber's schedule as an ICS feed, for subscribing from
+ * Google Calendar, Apple Calendar or Outlook. Resetting the token revokes the old link.
+ */
+const CalendarFeedLink = ({ db, barber }) => {
+    const [token, setToken] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [working, setWorking] = useState(false);
+    const [copied, setCopied] = useState(false);
     const [error, setError] = useState(null);
 
-    const handleGenerate = async () => {
-        if (loading) return;
-        setLoading(true);
+    useEffect(() => {
+        if (!db) return;
+        const unsubscribe = onSnapshot(calendarFeedRef(db, barber.id), (snapshot) => {
+            setToken(snapshot.exists() ? snapshot.data().token : null);
+            setLoading(false);
+        }, (err) => {
+            console.error("Firestore error fetching calendar feed:", err);
+            setLoading(false);
+        });
+        return () => unsubscribe();
+    }, [db, barber.id]);
+
+    const handleReset = async () => {
+        setWorking(true);
         setError(null);
-        setResults(null);
+        try {
+            await resetCalendarFeedToken(db, barber.id);
+        } catch (e) {
+            console.error("Error creating calendar feed:", e);
+            setError("We couldn't create the calendar link. Please try again.");
+        } finally {
+            setWorking(false);
+        }
+    };
 
+    const feedUrl = token && getCalendarFeedUrl(barber.id, token);
+
+    const handleCopy = async () => {
         try {
-            // Call the new structured Gemini API function
-            const inspiration = await generateStyleInspiration(vibe, hairType);
-            if (Array.isArray(inspiration)) {
-                setResults(inspiration);
-            } else {
-                 throw new Error("Invalid response structure from AI.");
-            }
-        } catch (err) {
-            console.error("AI Style Inspiration Error:", err);
-            setError("Could not generate style inspiration. Please try a different prompt or check your network.");
+            await navigator.clipboard.writeText(feedUrl);
+            setCopied(true);
+            setTimeout(() => setCopied(false), 2000);
+        } catch (e) {
+            console.error("Error copying calendar link:", e);
+        }
+    };
+
+    if (loading) return null;
+
+    return (
+        <div className="mt-3 p-3 bg-gray-50 rounded-lg border border-gray-100 text-xs text-gray-600">
+            <p className="font-semibold text-gray-800 mb-1">Subscribe in your calendar app</p>
+            {feedUrl ? (
+                <>
+                    <p className="font-mono break-all bg-white border border-gray-200 rounded p-1">{feedUrl}</p>
+                    <div className="flex space-x-3 mt-2 font-semibold">
+                        <button onClick={handleCopy} className="text-amber-700 hover:text-amber-800">{copied ? 'Copied!' : 'Copy link'}</button>
+                        <a href={feedUrl.replace(/^https?:/, 'webcal:')} className="text-amber-700 hover:text-amber-800">Open in calendar</a>
+                        <button onClick={handleReset} disabled={working} className="text-gray-500 hover:text-red-600 disabled:text-gray-300">
+                            {working ? 'Resetting...' : 'Reset link'}
+                        </button>
+                    </div>
+                    <p className="text-gray-400 mt-1">Anyone with this link can see your schedule. Reset it if it gets shared by mistake.</p>
+                </>
+            ) : (
+                <button onClick={handleReset} disabled={working} className="font-semibold text-amber-700 hover:text-amber-800 disabled:text-gray-400">
+                    {working ? 'Creating...' : 'Create a calendar feed link'}
+                </button>
+            )}
+            {error && <p className="text-red-600 mt-1">{error}</p>}
+        </div>
+    );
+};
+
+/**
+ * Barber-side view of today's walk-in queue: add walk-ins at the door, see
+ * estimated start times around booked appointments, and move people through.
+ */
+const WalkInQueuePanel = ({ db, barber }) => {
+    const { entries } = useQueueEstimates(db, barber);
+    const services = getActiveServices(barber);
+    const [name, setName] = useState('');
+    const [serviceId, setServiceId] = useState(() => services[0] ? getServiceId(services[0]) : '');
+    const [updatingId, setUpdatingId] = useState(null);
+    const [error, setError] = useState(null);
+
+    const service = services.find(s => getServiceId(s) === serviceId);
+    const inService = entries.some(entry => entry.status === QUEUE_STATUS.IN_SERVICE);
+
+    const run = async (id, action) => {
+        setUpdatingId(id);
+        setError(null);
+        try {
+            await action();
+        } catch (e) {
+            console.error("Walk-in queue update failed:", e);
+            setError("Couldn't update the queue. Please try again.");
         } finally {
-            setLoading(false);
+            setUpdatingId(null);
         }
     };
 
+    const handleAdd = () => run('new', async () => {
+        await joinQueue(db, barber.id, { name: name.trim(), services: [toBookedService(service)], source: 'walk-in' });
+        setName('');
+    });
+
     return (
-        <div className="bg-fuchsia-50 p-4 rounded-xl shadow-inner mb-6 border border-fuchsia-200">
-            <h3 className="font-bold text-xl text-fuchsia-800 mb-3 flex items-center space-x-2">
-                <LightbulbIcon className="w-6 h-6"/> <span>AI Style Inspiration</span>
-            </h3>
-            <p className='text-sm text-fuchsia-700 mb-4'>Tell us the vibe you're going for, and we'll suggest 3 trending cuts!</p>
-            
-            {/* Input Form */}
-            <div className='space-y-3 mb-4'>
-                <div>
-                    <label htmlFor="styleVibe" className="text-sm font-medium text-gray-700">I want a style that is...</label>
-                    <input 
-                        id="styleVibe"
-                        type="text"
-                        value={vibe}
-                        onChange={(e) => setVibe(e.target.value)}
-                        placeholder="e.g., professional, low maintenance, bold"
-                        className="mt-1 w-full p-2 border border-fuchsia-300 rounded-lg bg-white text-sm focus:ring-fuchsia-500 focus:border-fuchsia-500"
-                    />
+        <div className="text-sm space-y-3">
+            <div className="flex space-x-2">
+                <input
+                    type="text"
+                    placeholder="Walk-in name"
+                    value={name}
+                    onChange={(e) => setName(e.target.value)}
+                    className="w-1/2 p-2 border border-gray-300 rounded-lg bg-gray-50 text-sm"
+                />
+                <select value={serviceId} onChange={(e) => setServiceId(e.target.value)} className="w-1/3 p-2 border border-gray-300 rounded-lg bg-gray-50 text-sm">
+                    {services.map(s => <option key={getServiceId(s)} value={getServiceId(s)}>{s.name}</option>)}
+                </select>
+                <button
+                    onClick={handleAdd}
+                    disabled={!name.trim() || !service || updatingId === 'new'}
+                    className="flex-1 rounded-lg font-semibold bg-amber-600 text-white hover:bg-amber-700 transition disabled:bg-gray-300"
+                >
+                    Add
+                </button>
+            </div>
+
+            {entries.length === 0 ? (
+                <p className="text-gray-500">Nobody waiting.</p>
+            ) : entries.map((entry, index) => (
+                <div key={entry.id} className="flex justify-between items-center p-2 rounded-lg border border-gray-100">
+                    <div>
+                        <p className="font-semibold text-gray-800">
+                            {index + 1}. {entry.name}
+                            {entry.source === 'remote' && <span className="ml-1 text-xs font-normal text-gray-400">(joined online)</span>}
+                        </p>
+                        <p className="text-xs text-gray-500">
+                            {summarizeServices(entry.services).name} · {entry.duration} mins ·{' '}
+                            {entry.status === QUEUE_STATUS.IN_SERVICE
+                                ? `in the chair until ~${minutesToTime(entry.estimatedEnd)}`
+                                : entry.estimatedStart !== null ? `starts ~${minutesToTime(entry.estimatedStart)}` : "won't fit in today"}
+                        </p>
+                    </div>
+                    <div className="flex space-x-1">
+                        {entry.status === QUEUE_STATUS.WAITING ? (
+                            <>
+                                <button
+                                    onClick={() => run(entry.id, () => updateQueueEntry(db, barber.id, entry.id, QUEUE_STATUS.IN_SERVICE))}
+                                    disabled={updatingId === entry.id || inService}
+                                    className="px-2 py-0.5 rounded-full text-xs font-semibold bg-amber-100 text-amber-700 hover:bg-amber-200 disabled:opacity-50"
+                                >
+                                    Start
+                                </button>
+                                <button
+                                    onClick={() => run(entry.id, () => updateQueueEntry(db, barber.id, entry.id, QUEUE_STATUS.LEFT))}
+                                    disabled={updatingId === entry.id}
+                                    className="px-2 py-0.5 rounded-full text-xs font-semibold bg-gray-100 text-gray-700 hover:bg-gray-200 disabled:opacity-50"
+                                >
+                                    Remove
+                                </button>
+                            </>
+                        ) : (
+                            <button
+                                onClick={() => run(entry.id, () => updateQueueEntry(db, barber.id, entry.id, QUEUE_STATUS.DONE))}
+                                disabled={updatingId === entry.id}
+                                className="px-2 py-0.5 rounded-full text-xs font-semibold bg-green-100 text-green-700 hover:bg-green-200 disabled:opacity-50"
+                            >
+                                Done
+                            </button>
+                        )}
+                    </div>
+                </div>
+            ))}
+            {error && <p className="text-xs text-red-600">{error}</p>}
+        </div>
+    );
+};
+
+// Barber-side view of who is waiting for which days, and any slots currently offered to them
+const WaitlistPanel = ({ db, barber }) => {
+    const entries = useBarberWaitlist(db, barber.id);
+    useWaitlistSweep(db, entries);
+
+    if (entries.length === 0) return <p className="text-sm text-gray-500">Nobody is on the waitlist.</p>;
+
+    return (
+        <div className="text-sm space-y-2">
+            {entries.map(entry => (
+                <div key={entry.id} className="p-2 rounded-lg border border-gray-100">
+                    <div className="flex justify-between">
+                        <span className="font-semibold text-gray-800">{entry.name}</span>
+                        <span className="text-xs text-gray-500">{entry.date}</span>
+                    </div>
+                    <p className="text-xs text-gray-500">
+                        {summarizeServices(entry.services).name} · {entry.duration} mins · any time {entry.windowStart}–{entry.windowEnd}
+                    </p>
+                    {entry.status === WAITLIST_STATUS.OFFERED && (
+                        <p className="text-xs text-green-700">Offered {entry.offer.time}, held until {new Date(entry.offer.expiresAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}</p>
+                    )}
+                </div>
+            ))}
+        </div>
+    );
+};
+
+/**
+ * Earnings for a chosen date range, grouped by day, week or month and by
+ * service, with platform fees shown separately. Exports the underlying
+ * appointments as CSV or as a printable payout statement.
+ */
+const EarningsReport = ({ barber, appointments }) => {
+    const [range, setRange] = useState(() => {
+        const today = new Date();
+        return { from: toDateKey(new Date(today.getFullYear(), today.getMonth(), 1)), to: toDateKey(today) };
+    });
+    const [period, setPeriod] = useState(EARNINGS_PERIODS.DAY);
+    const [exportError, setExportError] = useState(null);
+
+    const report = useMemo(() => summarizeEarnings(appointments, { ...range, period }), [appointments, range, period]);
+    const { totals } = report;
+
+    const handlePrint = () => {
+        setExportError(null);
+        const statementWindow = window.open('', '_blank');
+        if (!statementWindow) {
+            setExportError('Allow pop-ups for this site to open the payout statement.');
+            return;
+        }
+        statementWindow.document.write(buildPayoutStatementHtml(barber, range, report));
+        statementWindow.document.close();
+        statementWindow.focus();
+        statementWindow.print();
+    };
+
+    const inputClass = "p-1 border border-gray-300 rounded-lg bg-gray-50 text-sm focus:ring-amber-500 focus:border-amber-500";
+
+    return (
+        <div className="text-sm space-y-4">
+            <div className="flex flex-wrap items-center gap-2">
+                <input type="date" value={range.from} max={range.to} onChange={(e) => e.target.value && setRange({ ...range, from: e.target.value })} className={inputClass} />
+                <span className="text-gray-500">to</span>
+                <input type="date" value={range.to} min={range.from} onChange={(e) => e.target.value && setRange({ ...range, to: e.target.value })} className={inputClass} />
+                <select value={period} onChange={(e) => setPeriod(e.target.value)} className={inputClass}>
+                    <option value={EARNINGS_PERIODS.DAY}>By day</option>
+                    <option value={EARNINGS_PERIODS.WEEK}>By week</option>
+                    <option value={EARNINGS_PERIODS.MONTH}>By month</option>
+                </select>
+            </div>
+
+            <div className="grid grid-cols-3 gap-2 text-center">
+                <div className="p-2 rounded-lg bg-gray-50">
+                    <p className="text-xs text-gray-500">Services</p>
+                    <p className="font-bold text-gray-800">₹{totals.gross.toLocaleString()}</p>
                 </div>
-                <div>
-                    <label htmlFor="styleHairType" className="text-sm font-medium text-gray-700">My hair type is...</label>
-                    <select 
-                        id="styleHairType" 
-                        value={hairType} 
-                        onChange={(e) => setHairType(e.target.value)}
-                        className="mt-1 w-full p-2 border border-fuchsia-300 rounded-lg bg-white text-sm focus:ring-fuchsia-500 focus:border-fuchsia-500"
-                    >
-                        <option value="straight">Straight</option>
-                        <option value="wavy">Wavy</option>
-                        <option value="curly">Curly</option>
-                        <option value="coily">Coily</option>
-                    </select>
+                <div className="p-2 rounded-lg bg-gray-50">
+                    <p className="text-xs text-gray-500">Platform fees</p>
+                    <p className="font-bold text-red-600">−₹{totals.platformFee.toLocaleString()}</p>
+                    {totals.discount > 0 && <p className="text-xs text-gray-500">−₹{totals.discount} your discounts</p>}
+                </div>
+                <div className="p-2 rounded-lg bg-green-50">
+                    <p className="text-xs text-gray-500">Your payout</p>
+                    <p className="font-bold text-green-700">₹{totals.payout.toLocaleString()}</p>
                 </div>
             </div>
 
-            <button 
-                onClick={handleGenerate}
-                disabled={loading || !vibe.trim()}
-                className="w-full bg-fuchsia-600 hover:bg-fuchsia-700 text-white font-bold py-3 rounded-xl shadow-md transition duration-150 disabled:bg-gray-400 disabled:cursor-not-allowed flex items-center justify-center space-x-2"
-            >
-                {loading ? (
-                    <>
-                        <div className="animate-spin rounded-full h-5 w-5 border-2 border-white border-t-transparent"></div>
-                        <span>Searching for Trends...</span>
-                    </>
-                ) : (
-                    <span>Get Style Suggestions</span>
-                )}
-            </button>
+            {report.lines.length === 0 ? (
+                <p className="text-gray-500">No completed appointments in this period.</p>
+            ) : (
+                <>
+                    <table className="w-full text-xs">
+                        <thead>
+                            <tr className="text-left text-gray-500 border-b">
+                                <th className="py-1">Period</th><th className="text-right">Appts</th><th className="text-right">Services</th><th className="text-right">Fees</th><th className="text-right">Payout</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {report.periods.map(row => (
+                                <tr key={row.key} className="border-b border-gray-50">
+                                    <td className="py-1">{row.label}</td>
+                                    <td className="text-right">{row.count}</td>
+                                    <td className="text-right">₹{row.gross}</td>
+                                    <td className="text-right text-red-600">₹{row.platformFee}</td>
+                                    <td className="text-right font-semibold">₹{row.payout}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
 
-            {/* Results Display */}
-            {error && <p className="text-red-500 text-sm mt-3">{error}</p>}
-            
-            {results && results.length > 0 && (
-                <div className="mt-4 space-y-4">
-                    {results.map((style, index) => (
-                        <div key={index} className="p-3 bg-white border border-fuchsia-100 rounded-lg shadow-sm">
-                            <h4 className="font-extrabold text-lg text-fuchsia-700">{style.styleName}</h4>
-                            <p className="text-sm text-gray-700 mb-2">{style.description}</p>
-                            <div className='flex justify-between items-center text-xs text-gray-500'>
-                                <span>Maintenance: <span className='font-bold'>{style.maintenanceLevel}</span></span>
-                                <a 
-                                    href={`https://www.google.com/search?tbm=isch&q=${encodeURIComponent(style.searchQuery)}`} 
-                                    target="_blank" 
-                                    rel="noopener noreferrer"
-                                    className='text-blue-500 hover:text-blue-600 font-medium'
-                                >
-                                    View Images &rarr;
-                                </a>
+                    <div>
+                        <p className="font-semibold text-gray-700 mb-1">By service</p>
+                        {report.services.map(service => (
+                            <div key={service.name} className="flex justify-between text-xs text-gray-600">
+                                <span>{service.name} × {service.count}</span>
+                                <span>₹{service.gross}</span>
                             </div>
-                        </div>
-                    ))}
-                </div>
+                        ))}
+                    </div>
+                </>
             )}
+
+            <div className="flex space-x-2">
+                <button
+                    onClick={() => downloadFile(`earnings-${range.from}-to-${range.to}.csv`, earningsToCsv(report.lines), 'text/csv')}
+                    className="flex-1 py-1 rounded-full font-semibold bg-gray-100 text-gray-700 hover:bg-gray-200 transition"
+                >
+                    Export CSV
+                </button>
+                <button onClick={handlePrint} className="flex-1 py-1 rounded-full font-semibold bg-amber-600 text-white hover:bg-amber-700 transition">
+                    Payout Statement
+                </button>
+            </div>
+            {exportError && <p className="text-xs text-red-600">{exportError}</p>}
         </div>
     );
 };
 
-
 // Dashboard Screen (Updated to include Style Inspiration)
-const DashboardScreen = ({ db, userId, isAuthReady, onNavigate, barbersData }) => {
+const DashboardScreen = ({ db, userId, authUser, profile, isAuthReady, onNavigate, onSignOut, pricingConfig }) => {
     const [appointments, setAppointments] = useState([]);
     const [loadingAppointments, setLoadingAppointments] = useState(true);
     const [isBarber, setIsBarber] = useState(false);
+    const [updatingAppointmentId, setUpdatingAppointmentId] = useState(null);
+    const [statusError, setStatusError] = useState(null);
+    const [showSettings, setShowSettings] = useState(false);
+    const [showServices, setShowServices] = useState(false);
+    const [showLocation, setShowLocation] = useState(false);
+    const [showEarnings, setShowEarnings] = useState(false);
+    const [showQueue, setShowQueue] = useState(false);
+    const [showWaitlist, setShowWaitlist] = useState(false);
+    const [appointmentsView, setAppointmentsView] = useState('list'); // 'list' | 'calendar'
+    const [now, setNow] = useState(() => new Date());
     
-    // Simple logic to check if the current user ID matches a mock barber ID
-    const currentBarber = useMemo(() => barbersData.find(b => b.id === userId), [userId, barbersData]);
+    const [managedBarberId, setManagedBarberId] = useState(null); // Barber an admin or shop owner is currently managing
+    const role = getRole(profile);
+
+    // Barbers manage the barber document linked to their profile, or one of their shop's stylists; admins pick any barber
+    const currentBarber = useBarber(db,
+        role === ROLES.BARBER ? (managedBarberId || profile.barberId) : role === ROLES.ADMIN ? managedBarberId : null
+    );
+    const shop = useShop(db, currentBarber?.shopId);
+    const ownsShop = !!shop && (shop.ownerUid === userId || role === ROLES.ADMIN);
+    const staff = useShopStaff(db, ownsShop ? shop.id : null);
     
     useEffect(() => {
         if (currentBarber) {
@@ -762,12 +6972,19 @@ const DashboardScreen = ({ db, userId, isAuthReady, onNavigate, barbersData }) =
             const fetchedAppointments = snapshot.docs.map(doc => ({
                 id: doc.id,
                 ...doc.data(),
-                priceEarned: doc.data().priceEarned || (doc.data().barberPrice - 9), // Fallback if priceEarned wasn't saved correctly
-                timestampMs: doc.data().timestamp ? doc.data().timestamp.toMillis() : Date.now()
-            })).sort((a, b) => b.timestampMs - a.timestampMs); 
-            
+                priceEarned: getBarberPayout(doc.data()),
+                startMs: getAppointmentStart(doc.data()).getTime(),
+            }));
+            // Upcoming appointments soonest first, then past ones most recent first
+            const now = Date.now();
+            fetchedAppointments.sort((a, b) => (a.startMs < now) - (b.startMs < now)
+                || (a.startMs < now ? b.startMs - a.startMs : a.startMs - b.startMs));
+
             setAppointments(fetchedAppointments);
             setLoadingAppointments(false);
+
+            backfillAppointmentTimestamps(db, currentBarber.id, fetchedAppointments)
+                .catch(err => console.error("Failed to backfill appointment timestamps:", err));
         }, (err) => {
             console.error("Firestore error fetching schedule:", err);
             setLoadingAppointments(false);
@@ -776,14 +6993,66 @@ const DashboardScreen = ({ db, userId, isAuthReady, onNavigate, barbersData }) =
         return () => unsubscribe();
     }, [db, isAuthReady, currentBarber]);
 
+    // Older appointments without a booking id are retried from the customer's side
+    usePendingRefunds(db, appointments.filter(appt => appt.bookingId), appt => ({
+        userId: appt.customerUserId, bookingId: appt.bookingId, barberId: currentBarber.id, appointmentId: appt.id,
+    }));
+
+    // Profiles created before search existed can't be found from the home view until this runs
+    useEffect(() => {
+        if (!db || !currentBarber || !needsSearchFields(currentBarber)) return;
+        const barberRef = doc(db, 'artifacts', appId, 'public', 'data', 'barbers', currentBarber.id);
+        setDoc(barberRef, getBarberSearchFields(currentBarber), { merge: true })
+            .catch(err => console.error("Failed to backfill barber search fields:", err));
+    }, [db, currentBarber]);
+
     // Calculate Dashboard Stats
     const { totalBookings, totalRevenue, pendingAppointments } = useMemo(() => {
         const totalBookings = appointments.length;
-        const totalRevenue = appointments.reduce((sum, appt) => sum + (appt.priceEarned || 0), 0);
-        const pendingAppointments = appointments.filter(appt => appt.status === 'Confirmed').length; // Assuming 'Confirmed' means upcoming for simplicity
+        // Money is only earned once the service has actually been delivered
+        const totalRevenue = appointments
+            .filter(appt => appt.status === 'Completed')
+            .reduce((sum, appt) => sum + (appt.priceEarned || 0), 0);
+        const pendingAppointments = appointments.filter(appt => appt.status === 'Confirmed' || appt.status === 'Checked-in').length;
         return { totalBookings, totalRevenue, pendingAppointments };
     }, [appointments]);
 
+    // Re-checked every minute so Complete and No-show appear once an appointment starts
+    useEffect(() => {
+        const timer = setInterval(() => setNow(new Date()), 60 * 1000);
+        return () => clearInterval(timer);
+    }, []);
+
+    const handleStatusChange = async (appt, status) => {
+        setUpdatingAppointmentId(appt.id);
+        setStatusError(null);
+        try {
+            const { refundPending } = await updateAppointmentStatus(db, currentBarber.id, appt, status);
+            if (refundPending) setStatusError("The appointment was cancelled, but the customer's refund didn't go through. It will be retried automatically.");
+        } catch (e) {
+            console.error("Error updating appointment status:", e);
+            setStatusError(e.code === CHANGE_NOT_ALLOWED ? e.message : "Couldn't update the appointment. Please try again.");
+        } finally {
+            setUpdatingAppointmentId(null);
+        }
+    };
+
+    // Slots still bookable today for the shortest service on the menu
+    const openSlotsToday = useMemo(() => {
+        const services = currentBarber ? getActiveServices(currentBarber) : [];
+        if (services.length === 0) return 0;
+        return getAvailableSlots({
+            availability: currentBarber.availability,
+            date: new Date(),
+            duration: Math.min(...services.map(s => s.duration)),
+            appointments,
+        }).length;
+    }, [currentBarber, appointments]);
+
+
+    if (role === ROLES.ADMIN && !currentBarber) {
+        return <AdminPanel db={db} userId={userId} pricingConfig={pricingConfig} onManageBarber={setManagedBarberId} onSignOut={onSignOut} />;
+    }
 
     if (!isBarber) {
         // --- Customer Profile View ---
@@ -793,9 +7062,41 @@ const DashboardScreen = ({ db, userId, isAuthReady, onNavigate, barbersData }) =
                     <UserIcon className="w-6 h-6 text-amber-600"/> <span>My Profile</span>
                 </h2>
                 
+                {/* Account */}
+                <div className="flex justify-between items-center bg-amber-50 p-4 rounded-lg border border-amber-200 mb-4 text-sm">
+                    {authUser?.isAnonymous ? (
+                        <>
+                            <span className="text-gray-700">You're booking as a guest.</span>
+                            <button onClick={() => onNavigate('auth')} className="font-semibold text-amber-700 hover:text-amber-800">
+                                Sign up / Sign in
+                            </button>
+                        </>
+                    ) : (
+                        <>
+                            <span className="text-gray-700 truncate">Signed in as <span className="font-semibold">{authUser?.email || authUser?.phoneNumber}</span></span>
+                            <button onClick={onSignOut} className="font-semibold text-amber-700 hover:text-amber-800 ml-2">
+                                Sign out
+                            </button>
+                        </>
+                    )}
+                </div>
+
+                <ProfileEditor key={profile ? 'loaded' : 'empty'} db={db} userId={userId} profile={profile} />
+
                 {/* New Feature: Style Inspiration */}
                 <StyleInspiration />
 
+                {/* Barber onboarding */}
+                <div className="flex justify-between items-center bg-gray-50 p-4 rounded-lg border border-gray-100 mb-4 text-sm">
+                    <span className="text-gray-700">Are you a barber?</span>
+                    <button
+                        onClick={() => onNavigate(authUser?.isAnonymous ? 'auth' : 'barber-onboarding')}
+                        className="font-semibold text-amber-700 hover:text-amber-800"
+                    >
+                        {authUser?.isAnonymous ? 'Sign up to get started' : 'Set up your barber profile'}
+                    </button>
+                </div>
+
                 <div className="text-left bg-gray-50 p-4 rounded-lg text-sm text-gray-600 border border-gray-100">
                     <p className='font-semibold'>Your User ID (for sharing/debug):</p>
                     <p className='break-words text-xs'>{userId}</p>
@@ -810,8 +7111,41 @@ const DashboardScreen = ({ db, userId, isAuthReady, onNavigate, barbersData }) =
     // Barber Dashboard View
     return (
         <div className="p-4 bg-white rounded-xl shadow-2xl">
-            <h2 className="text-2xl font-bold text-amber-700 mb-2">{currentBarber.name} Dashboard</h2>
-            <p className="text-sm text-gray-500 mb-4">Manage your schedule and earnings.</p>
+            <div className="flex justify-between items-start">
+                <h2 className="text-2xl font-bold text-amber-700 mb-2">{currentBarber.name} Dashboard</h2>
+                {role === ROLES.ADMIN ? (
+                    <button onClick={() => setManagedBarberId(null)} className="text-sm font-semibold text-gray-500 hover:text-amber-700 whitespace-nowrap">
+                        ← All barbers
+                    </button>
+                ) : managedBarberId && managedBarberId !== profile.barberId ? (
+                    <button onClick={() => setManagedBarberId(null)} className="text-sm font-semibold text-gray-500 hover:text-amber-700 whitespace-nowrap">
+                        ← My dashboard
+                    </button>
+                ) : (
+                    <button onClick={onSignOut} className="text-sm font-semibold text-gray-500 hover:text-amber-700 whitespace-nowrap">
+                        Sign out
+                    </button>
+                )}
+            </div>
+            <p className="text-sm text-gray-500 mb-4">
+                {shop ? `${shop.name} · Chair ${currentBarber.chair}` : 'Manage your schedule and earnings.'}
+            </p>
+
+            {/* Shop */}
+            {ownsShop && staff.length > 0 && (
+                <ShopOverview
+                    db={db}
+                    userId={userId}
+                    shop={shop}
+                    staff={staff}
+                    template={staff.find(member => member.ownerUid === shop.ownerUid) || currentBarber}
+                    managedBarberId={currentBarber.id}
+                    onManage={setManagedBarberId}
+                />
+            )}
+            {!currentBarber.shopId && currentBarber.ownerUid === userId && (
+                <CreateShopForm db={db} userId={userId} barber={currentBarber} />
+            )}
 
             {/* Stats Cards */}
             <div className="grid grid-cols-2 gap-3 mb-6">
@@ -827,12 +7161,146 @@ const DashboardScreen = ({ db, userId, isAuthReady, onNavigate, barbersData }) =
                     value={totalBookings} 
                     color="bg-blue-100 text-blue-700" 
                 />
+                <StatCard 
+                    Icon={CalendarIcon} 
+                    title="Open Slots Today" 
+                    value={openSlotsToday} 
+                    color="bg-amber-100 text-amber-700" 
+                />
+            </div>
+
+            {/* Availability Settings */}
+            <div className="mb-6 border border-gray-100 rounded-xl">
+                <button
+                    onClick={() => setShowSettings(prev => !prev)}
+                    className="w-full flex justify-between items-center p-3 font-bold text-gray-800"
+                >
+                    <span>Availability Settings</span>
+                    <span className="text-amber-600 text-sm">{showSettings ? 'Hide' : 'Edit'}</span>
+                </button>
+                {showSettings && (
+                    <div className="p-3 border-t border-gray-100">
+                        <AvailabilityEditor key={currentBarber.id} db={db} barber={currentBarber} />
+                    </div>
+                )}
+            </div>
+
+            {/* Shop Location */}
+            <div className="mb-6 border border-gray-100 rounded-xl">
+                <button
+                    onClick={() => setShowLocation(prev => !prev)}
+                    className="w-full flex justify-between items-center p-3 font-bold text-gray-800"
+                >
+                    <span>Shop Location</span>
+                    <span className="text-amber-600 text-sm">{showLocation ? 'Hide' : currentBarber.location ? 'Edit' : 'Add'}</span>
+                </button>
+                {showLocation && (
+                    <div className="p-3 border-t border-gray-100">
+                        {currentBarber.shopId && !ownsShop ? (
+                            <p className="text-sm text-gray-600">Your location is set by {currentBarber.shopName || 'your shop'}: {currentBarber.location?.address || 'not set yet'}.</p>
+                        ) : (
+                            <ShopLocationEditor
+                                key={currentBarber.id}
+                                db={db}
+                                barber={currentBarber}
+                                shop={ownsShop ? shop : null}
+                                staff={staff}
+                            />
+                        )}
+                    </div>
+                )}
+            </div>
+
+            {/* Service Catalogue */}
+            <div className="mb-6 border border-gray-100 rounded-xl">
+                <button
+                    onClick={() => setShowServices(prev => !prev)}
+                    className="w-full flex justify-between items-center p-3 font-bold text-gray-800"
+                >
+                    <span>Services ({getActiveServices(currentBarber).length})</span>
+                    <span className="text-amber-600 text-sm">{showServices ? 'Hide' : 'Manage'}</span>
+                </button>
+                {showServices && (
+                    <div className="p-3 border-t border-gray-100">
+                        <ServiceCatalogueEditor db={db} barber={currentBarber} />
+                    </div>
+                )}
+            </div>
+
+            {/* Walk-in Queue */}
+            <div className="mb-6 border border-gray-100 rounded-xl">
+                <button
+                    onClick={() => setShowQueue(prev => !prev)}
+                    className="w-full flex justify-between items-center p-3 font-bold text-gray-800"
+                >
+                    <span>Walk-in Queue</span>
+                    <span className="text-amber-600 text-sm">{showQueue ? 'Hide' : 'Open'}</span>
+                </button>
+                {showQueue && (
+                    <div className="p-3 border-t border-gray-100">
+                        <WalkInQueuePanel key={currentBarber.id} db={db} barber={currentBarber} />
+                    </div>
+                )}
+            </div>
+
+            {/* Waitlist */}
+            <div className="mb-6 border border-gray-100 rounded-xl">
+                <button
+                    onClick={() => setShowWaitlist(prev => !prev)}
+                    className="w-full flex justify-between items-center p-3 font-bold text-gray-800"
+                >
+                    <span>Waitlist</span>
+                    <span className="text-amber-600 text-sm">{showWaitlist ? 'Hide' : 'Open'}</span>
+                </button>
+                {showWaitlist && (
+                    <div className="p-3 border-t border-gray-100">
+                        <WaitlistPanel db={db} barber={currentBarber} />
+                    </div>
+                )}
+            </div>
+
+            {/* Earnings */}
+            <div className="mb-6 border border-gray-100 rounded-xl">
+                <button
+                    onClick={() => setShowEarnings(prev => !prev)}
+                    className="w-full flex justify-between items-center p-3 font-bold text-gray-800"
+                >
+                    <span>Earnings</span>
+                    <span className="text-amber-600 text-sm">{showEarnings ? 'Hide' : 'View'}</span>
+                </button>
+                {showEarnings && (
+                    <div className="p-3 border-t border-gray-100">
+                        <EarningsReport barber={currentBarber} appointments={appointments} />
+                    </div>
+                )}
             </div>
 
             {/* Appointments List */}
-            <h3 className="font-bold text-xl text-gray-800 mb-3 border-b pb-1">Upcoming Appointments ({pendingAppointments})</h3>
+            <div className="flex justify-between items-center mb-3 border-b pb-1">
+                <h3 className="font-bold text-xl text-gray-800">Upcoming Appointments ({pendingAppointments})</h3>
+                <div className="flex text-xs font-semibold rounded-full bg-gray-100 p-0.5">
+                    {['list', 'calendar'].map(option => (
+                        <button
+                            key={option}
+                            onClick={() => setAppointmentsView(option)}
+                            className={`px-2 py-0.5 rounded-full capitalize ${appointmentsView === option ? 'bg-white shadow text-amber-700' : 'text-gray-500'}`}
+                        >
+                            {option}
+                        </button>
+                    ))}
+                </div>
+            </div>
             
-            {loadingAppointments ? (
+            {statusError && (
+                <p className="mb-3 p-2 text-sm text-red-700 bg-red-50 border border-red-200 rounded-lg">{statusError}</p>
+            )}
+
+            {appointmentsView === 'calendar' ? (
+                <>
+                    <BarberCalendar key={currentBarber.id} db={db} barber={currentBarber} />
+                    <CalendarFeedLink key={`feed-${currentBarber.id}`} db={db} barber={currentBarber} />
+                </>
+            ) : loadingAppointments ? (
                 <div className="text-center p-8">Loading Schedule...</div>
             ) : appointments.length === 0 ? (
                 <div className="text-center p-6 text-gray-500 bg-gray-50 rounded-lg">
@@ -842,12 +7310,39 @@ const DashboardScreen = ({ db, userId, isAuthReady, onNavigate, barbersData }) =
             ) : (
                 <div className="space-y-3">
                     {appointments.map((appt) => (
-                        <div key={appt.id} className="flex justify-between items-center p-3 bg-white rounded-lg shadow-sm border border-gray-100">
-                            <div>
-                                <p className="font-semibold text-gray-800">{appt.time} - {appt.date}</p>
-                                <p className="text-sm text-gray-600">{appt.service} for {appt.customerName}</p>
+                        <div key={appt.id} className="p-3 bg-white rounded-lg shadow-sm border border-gray-100">
+                            <div className="flex justify-between items-center">
+                                <div>
+                                    <p className="font-semibold text-gray-800">{appt.time} - {appt.date}</p>
+                                    <p className="text-sm text-gray-600">{summarizeServices(getBookedServices(appt)).name} for {appt.customerName}</p>
+                                    {appt.customerPhone && (
+                                        <a href={`tel:${appt.customerPhone}`} className="text-xs text-amber-700 hover:underline">{appt.customerPhone}</a>
+                                    )}
+                                    {appt.duration && <p className="text-xs text-gray-400">{appt.duration} mins</p>}
+                                </div>
+                                <div className="text-right">
+                                    <span className="block font-bold text-lg text-green-600">₹{appt.priceEarned}</span>
+                                    <StatusBadge status={appt.status} />
+                                </div>
                             </div>
-                            <span className="font-bold text-lg text-green-600">₹{appt.priceEarned}</span>
+                            {getAppointmentActions(appt, now).length > 0 && (
+                                <div className="flex flex-wrap gap-2 mt-2">
+                                    {getAppointmentActions(appt, now).map(status => (
+                                        <button
+                                            key={status}
+                                            onClick={() => handleStatusChange(appt, status)}
+                                            disabled={updatingAppointmentId === appt.id}
+                                            className={`px-3 py-1 rounded-full text-xs font-semibold transition duration-150 disabled:opacity-50 ${
+                                                status === 'Cancelled-by-barber' || status === 'No-show'
+                                                    ? 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                                                    : 'bg-amber-100 text-amber-700 hover:bg-amber-200'
+                                            }`}
+                                        >
+                                            {APPOINTMENT_ACTION_LABELS[status]}
+                                        </button>
+                                    ))}
+                                </div>
+                            )}
                         </div>
                     ))}
                 </div>
@@ -856,6 +7351,61 @@ const DashboardScreen = ({ db, userId, isAuthReady, onNavigate, barbersData }) =
     );
 };
 
+const NOTIFICATION_ICONS = {
+    [NOTIFICATION_TYPES.CONFIRMED]: '✅',
+    [NOTIFICATION_TYPES.REMINDER]: '⏰',
+    [NOTIFICATION_TYPES.CANCELLED]: '❌',
+    [NOTIFICATION_TYPES.RESCHEDULED]: '🔁',
+};
+
+// Header bell with an unread count; opening it shows the feed and marks everything read.
+// Each notification links to the screen it's about (bookings for customers, the dashboard for barbers).
+const NotificationBell = ({ db, userId, onNavigate }) => {
+    const notifications = useNotifications(db, userId);
+    const [open, setOpen] = useState(false);
+    const unread = notifications.filter(n => !n.read);
+
+    const handleToggle = () => {
+        const opening = !open;
+        setOpen(opening);
+        if (opening && unread.length > 0) {
+            Promise.all(unread.map(n => updateDoc(doc(db, 'artifacts', appId, 'users', userId, 'notifications', n.id), { read: true })))
+                .catch(err => console.error("Failed to mark notifications read:", err));
+        }
+    };
+
+    return (
+        <div className="relative">
+            <button onClick={handleToggle} className="relative p-1 text-gray-600 hover:text-amber-700" aria-label="Notifications">
+                <BellIcon className="w-6 h-6" />
+                {unread.length > 0 && (
+                    <span className="absolute -top-0.5 -right-0.5 min-w-[16px] h-4 px-1 rounded-full bg-red-600 text-white text-[10px] font-bold flex items-center justify-center">
+                        {unread.length > 9 ? '9+' : unread.length}
+                    </span>
+                )}
+            </button>
+            {open && (
+                <div className="absolute left-0 mt-2 w-72 max-h-96 overflow-y-auto bg-white rounded-xl shadow-2xl border border-gray-100 z-20">
+                    <p className="px-3 py-2 font-bold text-gray-800 border-b">Notifications</p>
+                    {notifications.length === 0 ? (
+                        <p className="p-3 text-sm text-gray-500">You're all caught up.</p>
+                    ) : notifications.map(n => (
+                        <button
+                            key={n.id}
+                            onClick={() => { setOpen(false); onNavigate(n.view || 'bookings'); }}
+                            className={`w-full text-left px-3 py-2 border-b border-gray-50 hover:bg-amber-50 ${n.read ? '' : 'bg-amber-50/60'}`}
+                        >
+                            <p className="text-sm font-semibold text-gray-800">{NOTIFICATION_ICONS[n.type] || '🔔'} {n.title}</p>
+                            <p className="text-xs text-gray-600">{n.body}</p>
+                            {n.createdAt && <p className="text-[10px] text-gray-400 mt-0.5">{n.createdAt.toDate().toLocaleString()}</p>}
+                        </button>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
 // Helper component for Dashboard Stats
 const StatCard = ({ Icon, title, value, color }) => (
     <div className={`p-4 rounded-xl shadow-lg ${color} flex flex-col items-start`}>
@@ -868,93 +7418,149 @@ const StatCard = ({ Icon, title, value, color }) => (
 
 const App = () => {
     // Firebase State
-    const { db, auth, userId, isAuthReady, barbersData } = useFirebase();
+    const { db, auth, userId, authUser, isAuthReady } = useFirebase();
+    const profile = useUserProfile(db, userId);
+    const pricingConfig = usePricingConfig(db);
     
     // Application State
-    const [view, setView] = useState('home'); // 'home', 'bookings', 'dashboard', 'booking', 'confirmation'
-    const [barbers, setBarbers] = useState([]);
+    const [view, setView] = useState('home'); // 'home', 'barber', 'bookings', 'dashboard', 'auth', 'barber-onboarding', 'booking', 'confirmation'
     const [selectedBarber, setSelectedBarber] = useState(null);
+    const [anyStylistShop, setAnyStylistShop] = useState(null); // Shop being booked with "any available stylist"
+    const [reschedulingBooking, setReschedulingBooking] = useState(null);
+    const [waitlistOffer, setWaitlistOffer] = useState(null); // Waitlist entry whose offered slot is being booked
+    const [checkoutBooking, setCheckoutBooking] = useState(null);
     const [bookingDetails, setBookingDetails] = useState(null);
-    const [loading, setLoading] = useState(true);
+    const [barberFilters, setBarberFilters] = useState(DEFAULT_BARBER_FILTERS); // Kept here so they survive visiting a barber
     const [error, setError] = useState(null);
 
-    // --- Data Fetching (Barbers List) ---
-    useEffect(() => {
-        if (!db || !isAuthReady) return;
+    // Prefer the live document so settings a barber saves mid-booking are picked up
+    const selectedBarberDoc = useBarber(db, selectedBarber?.id);
+    const liveSelectedBarber = selectedBarberDoc || selectedBarber;
+    const confirmedBarber = useBarber(db, view === 'confirmation' ? bookingDetails?.barberId : null);
+    const anyStylistStaff = useShopStaff(db, anyStylistShop?.id);
 
-        const barbersRef = collection(db, 'artifacts', appId, 'public', 'data', 'barbers');
-        const q = query(barbersRef);
+    // --- Handlers ---
+    const handleBookNow = (barber) => {
+        setSelectedBarber(barber);
+        setAnyStylistShop(null);
+        setReschedulingBooking(null);
+        setWaitlistOffer(null);
+        setView('booking');
+    };
 
-        const unsubscribe = onSnapshot(q, (snapshot) => {
-            const fetchedBarbers = snapshot.docs.map(doc => ({
-                id: doc.id,
-                ...doc.data()
-            }));
-            setBarbers(fetchedBarbers);
-            setLoading(false);
-        }, (err) => {
-            console.error("Firestore error fetching barbers:", err);
-            setError("Failed to load barbers. Please try refreshing.");
-            setLoading(false);
-        });
+    const handleBookAnyStylist = (shop) => {
+        setAnyStylistShop(shop);
+        setReschedulingBooking(null);
+        setWaitlistOffer(null);
+        setView('booking');
+    };
 
-        return () => unsubscribe();
-    }, [db, isAuthReady]);
+    const handleBookWaitlistOffer = async (entry) => {
+        const barber = await fetchBarber(db, entry.barberId);
+        if (!barber) {
+            setError("This barber is no longer available for online booking.");
+            return;
+        }
+        setSelectedBarber(barber);
+        setAnyStylistShop(null);
+        setReschedulingBooking(null);
+        setWaitlistOffer(entry);
+        setView('booking');
+    };
 
+    const handleViewBarber = (barber) => {
+        setSelectedBarber(barber);
+        setView('barber');
+    };
 
-    // --- Handlers ---
-    const handleBookNow = (barber) => {
+    const handleReschedule = async (booking) => {
+        const barber = await fetchBarber(db, booking.barberId);
+        if (!barber) {
+            setError("This barber is no longer available for online booking.");
+            return;
+        }
         setSelectedBarber(barber);
+        setAnyStylistShop(null);
+        setReschedulingBooking(booking);
+        setWaitlistOffer(null);
         setView('booking');
     };
 
-    const handleBookingConfirmation = async (details) => {
+    const handleCloseBooking = () => {
+        setView(reschedulingBooking || waitlistOffer ? 'bookings' : anyStylistShop ? 'barber' : 'home');
+        setReschedulingBooking(null);
+        setAnyStylistShop(null);
+        setWaitlistOffer(null);
+    };
+
+    const handleBookingConfirmation = async (details, series = null) => {
         if (!db || !userId) {
             setError("User not authenticated for booking.");
             return;
         }
 
-        // Store the booking in both user's private collection AND the barber's public schedule
-        const userBookingsRef = collection(db, 'artifacts', appId, 'users', userId, 'bookings');
-        
-        // This collection path correctly targets the specific barber's schedule
-        const barberScheduleRef = collection(db, 'artifacts', appId, 'public', 'data', 'barber_schedules', details.barberId, 'appointments');
-
         try {
-            // 1. Save to user's bookings
-            const userBookingPromise = fetchWithBackoff(() => addDoc(userBookingsRef, {
-                ...details,
-                timestamp: serverTimestamp(),
-                userId: userId,
-                status: 'Confirmed'
-            }));
+            // Remember contact details typed on the booking screen for next time
+            const { name, phone } = details.customer;
+            if (!reschedulingBooking && (name !== profile?.name || phone !== profile?.phone)) {
+                await saveUserProfile(db, userId, { name, phone });
+            }
 
-            // 2. Save to barber's schedule
-            const barberAppointmentPromise = fetchWithBackoff(() => addDoc(barberScheduleRef, {
-                date: details.date,
-                time: details.time,
-                service: details.service,
-                customerUserId: userId,
-                customerName: `User-${userId.substring(0, 4)}`, // Mock customer name
-                priceEarned: details.barberPrice - 9, // Example: Barber price minus ₹9 platform fee
-                timestamp: serverTimestamp(),
-                status: 'Confirmed'
-            }));
+            if (reschedulingBooking) {
+                await rescheduleBooking(db, userId, reschedulingBooking, details);
+                setBookingDetails({ ...reschedulingBooking, ...details, rescheduleCount: (reschedulingBooking.rescheduleCount || 0) + 1 });
+                setReschedulingBooking(null);
+                setView('confirmation');
+            } else if (series) {
+                // Every visit of a series is held and then paid for together
+                const visits = await bookSeries(db, userId, details, series);
+                setCheckoutBooking({ ...visits[0], seriesBookings: visits });
+                setView('checkout');
+            } else {
+                // New bookings hold the slot until checkout completes
+                const bookingId = await bookAppointment(db, userId, details);
+                setWaitlistOffer(null);
+                setCheckoutBooking({ ...details, id: bookingId, appointmentId: bookingId, status: 'Pending Payment' });
+                setView('checkout');
+            }
+
+        } catch (e) {
+            // A lost race for the slot or a rejected promo code is shown inline on the booking screen
+            if (e.code === SLOT_TAKEN || e.code === PROMO_INVALID) throw e;
+            console.error("Error finalizing booking:", e);
+            setError(e.code === CHANGE_NOT_ALLOWED ? e.message : "We couldn't finalize your booking. Please try again.");
+        }
+    };
+
+    const handleCompletePayment = (booking) => {
+        setCheckoutBooking(booking);
+        setView('checkout');
+    };
 
-            await Promise.all([userBookingPromise, barberAppointmentPromise]);
+    const handlePaymentComplete = (booking) => {
+        setCheckoutBooking(null);
+        setBookingDetails(booking);
+        setView('confirmation');
+    };
 
-            setBookingDetails(details);
-            setView('confirmation');
+    const handleCheckoutCancelled = () => {
+        setCheckoutBooking(null);
+        setView('home');
+    };
 
+    const handleSignOut = async () => {
+        try {
+            // The auth listener starts a fresh guest session once signed out
+            await signOut(auth);
+            setView('home');
         } catch (e) {
-            console.error("Error finalizing booking:", e);
-            setError("We couldn't finalize your booking. Please try again.");
+            console.error("Sign out failed:", e);
         }
     };
 
     // --- Content Renderer ---
     const renderContent = () => {
-        if (loading) {
+        if (!isAuthReady) {
             return (
                 <div className="text-center p-8">
                     <div className="animate-spin rounded-full h-8 w-8 border-4 border-amber-500 border-t-transparent mx-auto mb-3"></div>
@@ -974,17 +7580,57 @@ const App = () => {
 
         switch (view) {
             case 'booking':
+                // "Any stylist" needs the shop's staff before it can build the menu
+                if (anyStylistShop && anyStylistStaff.length === 0) {
+                    return <div className="text-center p-8">Loading stylists...</div>;
+                }
                 return (
                     <BookingScreen 
-                        barber={selectedBarber}
-                        onClose={() => setView('home')}
+                        db={db}
+                        userId={userId}
+                        barber={anyStylistShop ? null : liveSelectedBarber}
+                        shop={anyStylistShop}
+                        staff={anyStylistStaff}
+                        customer={getCustomerContact(profile, authUser)}
+                        pricingConfig={pricingConfig}
+                        rescheduling={reschedulingBooking}
+                        waitlistOffer={waitlistOffer}
+                        onClose={handleCloseBooking}
                         onConfirmBooking={handleBookingConfirmation}
                     />
                 );
+            case 'barber':
+                return (
+                    <BarberDetailScreen
+                        db={db}
+                        userId={userId}
+                        barber={liveSelectedBarber}
+                        customerName={getCustomerContact(profile, authUser).name}
+                        onBook={handleBookNow}
+                        onBookAnyStylist={handleBookAnyStylist}
+                        onViewBarber={handleViewBarber}
+                        onBack={() => setView('home')}
+                    />
+                );
+            case 'checkout':
+                return (
+                    <CheckoutScreen
+                        db={db}
+                        auth={auth}
+                        userId={userId}
+                        booking={checkoutBooking}
+                        onPaid={handlePaymentComplete}
+                        onCancel={handleCheckoutCancelled}
+                    />
+                );
             case 'confirmation':
                 return (
                     <ConfirmationScreen 
+                        db={db}
+                        userId={userId}
+                        profile={profile}
                         bookingDetails={bookingDetails}
+                        barber={confirmedBarber}
                         onDone={() => setView('bookings')} // Navigate to the new bookings page
                     />
                 );
@@ -994,7 +7640,11 @@ const App = () => {
                         db={db} 
                         userId={userId} 
                         isAuthReady={isAuthReady}
+                        reviewerName={profile?.name ? profile.name.split(' ')[0] : 'Guest'}
                         onNavigate={setView}
+                        onReschedule={handleReschedule}
+                        onCompletePayment={handleCompletePayment}
+                        onBookWaitlistOffer={handleBookWaitlistOffer}
                     />
                 );
             case 'dashboard':
@@ -1002,9 +7652,30 @@ const App = () => {
                     <DashboardScreen
                         db={db} 
                         userId={userId} 
+                        authUser={authUser}
+                        profile={profile}
                         isAuthReady={isAuthReady}
                         onNavigate={setView}
-                        barbersData={barbersData} // Pass mock data to match user to barber ID
+                        onSignOut={handleSignOut}
+                        pricingConfig={pricingConfig}
+                    />
+                );
+            case 'auth':
+                return (
+                    <AuthScreen
+                        db={db}
+                        auth={auth}
+                        authUser={authUser}
+                        onDone={() => setView('dashboard')}
+                    />
+                );
+            case 'barber-onboarding':
+                return (
+                    <BarberOnboardingScreen
+                        db={db}
+                        userId={userId}
+                        onDone={() => setView('dashboard')}
+                        onCancel={() => setView('dashboard')}
                     />
                 );
             case 'home':
@@ -1012,14 +7683,13 @@ const App = () => {
                 return (
                     <>
                         <h2 className="text-2xl font-bold text-gray-900 mb-6">Find Your Barber</h2>
-                        {barbers.map(barber => (
-                            <BarberCard 
-                                key={barber.id} 
-                                barber={barber} 
-                                onBook={handleBookNow} 
-                            />
-                        ))}
-                        {barbers.length === 0 && <p className="text-center text-gray-500">No barbers found.</p>}
+                        <BarberSearch
+                            db={db}
+                            filters={barberFilters}
+                            onFiltersChange={setBarberFilters}
+                            onBook={handleBookNow}
+                            onViewDetails={handleViewBarber}
+                        />
                     </>
                 );
         }
@@ -1056,12 +7726,15 @@ const App = () => {
             <div className="mobile-shell mx-auto">
                 {/* Header (Top Bar) */}
                 <header className="flex justify-between items-center p-4 pt-6 bg-white shadow-sm border-b border-amber-100">
-                    <h1 className="text-2xl font-extrabold text-amber-700 tracking-wider">
-                        <span className="text-gray-800">Kut</span>Kart
-                    </h1>
+                    <div className="flex items-center space-x-2">
+                        <h1 className="text-2xl font-extrabold text-amber-700 tracking-wider">
+                            <span className="text-gray-800">Kut</span>Kart
+                        </h1>
+                        {db && userId && <NotificationBell db={db} userId={userId} onNavigate={setView} />}
+                    </div>
                     <div className="text-right text-xs text-gray-500">
                         {/* Always visible for debugging/sharing, but styled minimally */}
-                        ID: {userId ? userId.substring(0, 6) : '...'}
+                        {profile?.name ? `Hi, ${profile.name.split(' ')[0]}` : `ID: ${userId ? userId.substring(0, 6) : '...'}`}
                     </div>
                 </header>
 
@@ -0,0 +1,195 @@
+/**
+ * KutKart AI proxy.
+ *
+ * Forwards the app's text-generation requests to Gemini so the API key stays
+ * on the server instead of in the client bundle:
+ *   POST /ai/generate  { task, system, prompt, responseSchema?, grounded? }  ->  { text }
+ * Only the tasks the app knows about are accepted, prompts are size-limited and
+ * each client IP gets a small request budget per minute, so the proxy can't be
+ * used as a general-purpose Gemini endpoint.
+ *
+ * Run locally:
+ *   GEMINI_API_KEY=... ALLOWED_ORIGIN=http://localhost:5173 node server/ai-proxy.mjs
+ *
+ * Options (environment):
+ *   GEMINI_API_KEY          required
+ *   ALLOWED_ORIGIN          required; the app's origin, sent as Access-Control-Allow-Origin
+ *   GEMINI_MODEL            model name (default: gemini-2.5-flash-preview-05-20)
+ *   PORT                    port to listen on (default: 8788)
+ *   GEMINI_TIMEOUT_MS       how long to wait for Gemini (default: 15000)
+ *   RATE_LIMIT_PER_MINUTE   requests per client IP per minute (default: 20)
+ */
+import { createServer } from 'node:http';
+import { pathToFileURL } from 'node:url';
+
+const GEMINI_MODEL = process.env.GEMINI_MODEL || 'gemini-2.5-flash-preview-05-20';
+const PORT = Number(process.env.PORT || 8788);
+const ALLOWED_ORIGIN = process.env.ALLOWED_ORIGIN;
+const GEMINI_TIMEOUT_MS = Number(process.env.GEMINI_TIMEOUT_MS || 15000);
+const RATE_LIMIT_PER_MINUTE = Number(process.env.RATE_LIMIT_PER_MINUTE || 20);
+
+// Keep in sync with the `task` names used in the AI Provider section of app.jsx
+export const AI_TASKS = ['aftercare-tips', 'style-inspiration'];
+
+const MAX_BODY_BYTES = 16 * 1024;
+const MAX_PROMPT_CHARS = 4000;
+
+// --- Requests ---
+
+const httpError = (status, message) => Object.assign(new Error(message), { status });
+
+/**
+ * Checks a request body from the app and returns the fields the proxy uses.
+ * Throws an error with `status` 400 if anything is missing or too large.
+ */
+export const parseGenerateRequest = (body) => {
+    const { task, system, prompt, responseSchema = null, grounded = false } = body || {};
+    if (!AI_TASKS.includes(task)) throw httpError(400, `Unknown task: ${task}`);
+    if (typeof system !== 'string' || typeof prompt !== 'string' || !prompt.trim()) {
+        throw httpError(400, 'system and prompt must be strings.');
+    }
+    if (system.length + prompt.length > MAX_PROMPT_CHARS) throw httpError(400, 'Prompt is too long.');
+    if (responseSchema !== null && typeof responseSchema !== 'object') throw httpError(400, 'responseSchema must be an object.');
+    return { task, system, prompt, responseSchema, grounded: grounded === true };
+};
+
+// The Gemini generateContent payload for one request
+export const buildGeminiPayload = ({ system, prompt, responseSchema, grounded }) => ({
+    contents: [{ parts: [{ text: prompt }] }],
+    systemInstruction: { parts: [{ text: system }] },
+    ...(grounded && { tools: [{ google_search: {} }] }),
+    ...(responseSchema && { generationConfig: { responseMimeType: 'application/json', responseSchema } }),
+});
+
+export const callGemini = async (apiKey, request) => {
+    const url = `https://generativelanguage.googleapis.com/v1beta/models/${GEMINI_MODEL}:generateContent`;
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'x-goog-api-key': apiKey },
+        body: JSON.stringify(buildGeminiPayload(request)),
+        signal: AbortSignal.timeout(GEMINI_TIMEOUT_MS),
+    });
+    if (!response.ok) throw httpError(502, `Gemini call failed: ${response.status} ${response.statusText}`);
+
+    const result = await response.json();
+    const text = result.candidates?.[0]?.content?.parts?.[0]?.text;
+    if (!text) throw httpError(502, 'Gemini returned an empty response.');
+    return text;
+};
+
+// --- Server ---
+
+// Fixed one-minute windows per client IP; the counts start over every minute
+const createRateLimiter = (limit) => {
+    const counts = new Map();
+    let currentMinute = null;
+    return (client, now = Date.now()) => {
+        const minute = Math.floor(now / 60000);
+        if (minute !== currentMinute) {
+            counts.clear();
+            currentMinute = minute;
+        }
+        const count = (counts.get(client) || 0) + 1;
+        counts.set(client, count);
+        return count <= limit;
+    };
+};
+
+// Whole seconds until the rate limiter's next window, for Retry-After
+const secondsUntilNextMinute = (now = Date.now()) => Math.ceil((60000 - (now % 60000)) / 1000);
+
+// Rejects with 413 once the body grows past MAX_BODY_BYTES and stops collecting it;
+// the caller replies and then closes the connection.
+const readJsonBody = (req) => new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    const onData = (chunk) => {
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) {
+            req.off('data', onData);
+            req.pause();
+            reject(httpError(413, 'Request body is too large.'));
+            return;
+        }
+        chunks.push(chunk);
+    };
+    req.on('data', onData);
+    req.on('end', () => {
+        try {
+            resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+        } catch {
+            reject(httpError(400, 'Request body must be JSON.'));
+        }
+    });
+    req.on('error', reject);
+});
+
+/**
+ * The proxy server. `generate(request)` resolves to the model's text; it's
+ * Gemini by default and can be replaced in tests.
+ */
+export const createProxyServer = ({ apiKey, generate = (request) => callGemini(apiKey, request), allowedOrigin = ALLOWED_ORIGIN }) => {
+    const allow = createRateLimiter(RATE_LIMIT_PER_MINUTE);
+    const cors = {
+        'Access-Control-Allow-Origin': allowedOrigin,
+        'Access-Control-Allow-Methods': 'POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type',
+        'Access-Control-Expose-Headers': 'Retry-After',
+        'Vary': 'Origin',
+    };
+    const sendJson = (res, status, body, headers = {}) => res.writeHead(status, { ...cors, ...headers, 'Content-Type': 'application/json' }).end(JSON.stringify(body));
+
+    return createServer(async (req, res) => {
+        const { pathname } = new URL(req.url, 'http://localhost');
+        if (pathname !== '/ai/generate') {
+            res.writeHead(404, cors).end();
+            return;
+        }
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204, cors).end();
+            return;
+        }
+        if (req.method !== 'POST') {
+            res.writeHead(405, cors).end();
+            return;
+        }
+        if (!allow(req.socket.remoteAddress)) {
+            sendJson(res, 429, { error: 'Too many requests. Please wait a minute.' }, { 'Retry-After': String(secondsUntilNextMinute()) });
+            return;
+        }
+
+        try {
+            const request = parseGenerateRequest(await readJsonBody(req));
+            sendJson(res, 200, { text: await generate(request) });
+        } catch (err) {
+            const status = err.status || (err.name === 'TimeoutError' ? 504 : 500);
+            if (status >= 500) console.error('[ai-proxy] request failed:', err);
+            if (status === 413) {
+                // The rest of the body was never read, so the connection can't be reused
+                res.on('finish', () => req.destroy());
+                sendJson(res, status, { error: err.message }, { Connection: 'close' });
+                return;
+            }
+            sendJson(res, status, { error: status >= 500 ? 'AI request failed.' : err.message });
+        }
+    });
+};
+
+const main = () => {
+    const apiKey = process.env.GEMINI_API_KEY;
+    if (!apiKey) {
+        console.error('[ai-proxy] GEMINI_API_KEY is not set.');
+        process.exit(1);
+    }
+    if (!ALLOWED_ORIGIN) {
+        console.error('[ai-proxy] ALLOWED_ORIGIN is not set; set it to the app\'s origin.');
+        process.exit(1);
+    }
+    const server = createProxyServer({ apiKey });
+    server.listen(PORT, () => console.log(`[ai-proxy] listening on http://localhost:${PORT}`));
+    process.on('SIGINT', () => server.close(() => process.exit(0)));
+};
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+    main();
+}
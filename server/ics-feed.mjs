@@ -0,0 +1,122 @@
+/**
+ * KutKart barber calendar feed.
+ *
+ * Serves each barber's schedule as an iCalendar feed that Google Calendar,
+ * Apple Calendar or Outlook can subscribe to:
+ *   GET /calendar/{barberId}/{token}.ics
+ * The token is the secret the barber creates from the dashboard, stored at
+ * barber_schedules/{barberId}/private/calendar_feed. Events are built with
+ * shared/ics.mjs, like the customer's .ics downloads, so they share UIDs
+ * (`{bookingId}@kutkart`) and carry the reschedule count as SEQUENCE; moved
+ * and cancelled appointments update in place.
+ *
+ * Run against the Firestore emulator:
+ *   npm install firebase-admin
+ *   FIRESTORE_EMULATOR_HOST=localhost:8080 GCLOUD_PROJECT=demo-kutkart node server/ics-feed.mjs
+ *
+ * Options (environment):
+ *   KUTKART_APP_ID      app id used in the artifacts/{appId} paths (default: default-kutkart-app)
+ *   PORT                port to listen on (default: 8787)
+ *   FEED_HISTORY_DAYS   how far back the feed goes (default: 90)
+ */
+import { createServer } from 'node:http';
+import { timingSafeEqual } from 'node:crypto';
+import { pathToFileURL } from 'node:url';
+import { initializeApp } from 'firebase-admin/app';
+import { getFirestore, Timestamp } from 'firebase-admin/firestore';
+import { buildIcsEvent, buildIcsCalendar } from '../shared/ics.mjs';
+
+const APP_ID = process.env.KUTKART_APP_ID || 'default-kutkart-app';
+const PORT = Number(process.env.PORT || 8787);
+const FEED_HISTORY_DAYS = Number(process.env.FEED_HISTORY_DAYS || 90);
+
+const FEED_PATH = /^\/calendar\/([^/]+)\/([A-Za-z0-9]+)\.ics$/;
+
+// --- iCalendar ---
+
+const NON_BLOCKING_STATUSES = ['Cancelled', 'Cancelled-by-barber'];
+
+const getServiceNames = (appt) => (appt.services || [{ name: appt.service }]).map(s => s.name).join(' + ');
+
+export const appointmentToIcsEvent = (appt, barber, now = new Date()) => {
+    const start = appt.startAt.toDate();
+    const contact = [appt.customerPhone, appt.customerEmail].filter(Boolean).join(' · ');
+    return buildIcsEvent(appt, {
+        start,
+        end: appt.endAt ? appt.endAt.toDate() : new Date(start.getTime() + (appt.duration || 30) * 60 * 1000),
+        cancelled: NON_BLOCKING_STATUSES.includes(appt.status),
+        summary: `${getServiceNames(appt)} - ${appt.customerName || 'Customer'}`,
+        location: barber.location?.address || barber.name,
+        description: [`Status: ${appt.status}`, contact].filter(Boolean).join('\n'),
+        now,
+    });
+};
+
+// --- Feed ---
+
+const tokensMatch = (expected, given) => {
+    const a = Buffer.from(String(expected));
+    const b = Buffer.from(String(given));
+    return a.length === b.length && timingSafeEqual(a, b);
+};
+
+/**
+ * The feed for one barber, or null if the barber or token doesn't check out.
+ * Unpaid holds are left out; cancelled appointments stay in so subscribers drop them.
+ */
+export const buildBarberFeed = async (db, barberId, token, now = new Date()) => {
+    const publicData = db.collection('artifacts').doc(APP_ID).collection('public').doc('data');
+    const scheduleRef = publicData.collection('barber_schedules').doc(barberId);
+
+    const [feedSnap, barberSnap] = await Promise.all([
+        scheduleRef.collection('private').doc('calendar_feed').get(),
+        publicData.collection('barbers').doc(barberId).get(),
+    ]);
+    if (!feedSnap.exists || !barberSnap.exists || !tokensMatch(feedSnap.data().token, token)) return null;
+
+    const from = new Date(now.getTime() - FEED_HISTORY_DAYS * 24 * 60 * 60 * 1000);
+    const snapshot = await scheduleRef.collection('appointments')
+        .where('startAt', '>=', Timestamp.fromDate(from))
+        .orderBy('startAt')
+        .get();
+
+    const barber = barberSnap.data();
+    const events = snapshot.docs
+        .map(d => ({ id: d.id, ...d.data() }))
+        .filter(appt => appt.status !== 'Pending Payment')
+        .map(appt => appointmentToIcsEvent(appt, barber, now));
+    return buildIcsCalendar(events, `KutKart - ${barber.name}`);
+};
+
+export const createFeedServer = (db) => createServer(async (req, res) => {
+    const match = req.method === 'GET' && FEED_PATH.exec(new URL(req.url, 'http://localhost').pathname);
+    if (!match) {
+        res.writeHead(404).end();
+        return;
+    }
+    try {
+        const calendar = await buildBarberFeed(db, decodeURIComponent(match[1]), match[2]);
+        if (!calendar) {
+            res.writeHead(404).end();
+            return;
+        }
+        res.writeHead(200, {
+            'Content-Type': 'text/calendar; charset=utf-8',
+            'Cache-Control': 'private, max-age=300',
+        }).end(calendar);
+    } catch (err) {
+        console.error('[ics-feed] failed to build feed:', err);
+        res.writeHead(500).end();
+    }
+});
+
+const main = () => {
+    initializeApp();
+    const server = createFeedServer(getFirestore());
+    server.listen(PORT, () => console.log(`[ics-feed] listening on http://localhost:${PORT}`));
+    process.on('SIGINT', () => server.close(() => process.exit(0)));
+};
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+    main();
+}
@@ -0,0 +1,337 @@
+/**
+ * KutKart notification scheduler.
+ *
+ * Turns booking changes into notifications and sends appointment reminders:
+ *   - drains the `notification_events` outbox the app writes on confirm, cancel
+ *     and reschedule, notifying both the customer and the barber, and tells
+ *     waitlisted customers when a freed slot is being held for them
+ *   - finds Confirmed appointments starting within REMINDER_LEAD_MINUTES and
+ *     reminds both sides once
+ * Every notification is stored in users/{uid}/notifications (the in-app bell)
+ * and sent by email and SMS where the recipient has those.
+ *
+ * Run against the Firestore emulator with stubbed channels:
+ *   npm install firebase-admin
+ *   FIRESTORE_EMULATOR_HOST=localhost:8080 GCLOUD_PROJECT=demo-kutkart node server/notification-scheduler.mjs
+ *
+ * Options (environment):
+ *   KUTKART_APP_ID          app id used in the artifacts/{appId} paths (default: default-kutkart-app)
+ *   REMINDER_LEAD_MINUTES   how long before the slot to remind (default: 180)
+ *   POLL_INTERVAL_SECONDS   time between runs (default: 60); pass --once to run a single pass
+ *   EMAIL_WEBHOOK_URL, SMS_WEBHOOK_URL
+ *                           POST each message as JSON to these URLs; unset = log to the console
+ */
+import { pathToFileURL } from 'node:url';
+import { initializeApp } from 'firebase-admin/app';
+import { getFirestore, FieldValue, Timestamp } from 'firebase-admin/firestore';
+
+const APP_ID = process.env.KUTKART_APP_ID || 'default-kutkart-app';
+const REMINDER_LEAD_MINUTES = Number(process.env.REMINDER_LEAD_MINUTES || 180);
+const POLL_INTERVAL_SECONDS = Number(process.env.POLL_INTERVAL_SECONDS || 60);
+const EVENT_BATCH_SIZE = 50;
+
+// Keep in sync with NOTIFICATION_TYPES in app.jsx
+export const NOTIFICATION_TYPES = {
+    CONFIRMED: 'booking-confirmed',
+    REMINDER: 'booking-reminder',
+    CANCELLED: 'booking-cancelled',
+    RESCHEDULED: 'booking-rescheduled',
+    WAITLIST_OFFER: 'waitlist-offer',
+};
+
+const RECIPIENTS = { CUSTOMER: 'customer', BARBER: 'barber' };
+
+// --- Channel adapters ---
+// An adapter is { channel, send({ to, title, body }) -> Promise }. `to` is an
+// email address or a phone number depending on the channel.
+
+export const createStubAdapter = (channel, log = console.log) => ({
+    channel,
+    async send({ to, title, body }) {
+        log(`[${channel}] to ${to}: ${title} - ${body}`);
+    },
+});
+
+export const createWebhookAdapter = (channel, url) => ({
+    channel,
+    async send(message) {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ channel, ...message }),
+        });
+        if (!response.ok) throw new Error(`${channel} webhook responded ${response.status}`);
+    },
+});
+
+export const createChannelAdapters = (env = process.env) => ({
+    email: env.EMAIL_WEBHOOK_URL ? createWebhookAdapter('email', env.EMAIL_WEBHOOK_URL) : createStubAdapter('email'),
+    sms: env.SMS_WEBHOOK_URL ? createWebhookAdapter('sms', env.SMS_WEBHOOK_URL) : createStubAdapter('sms'),
+});
+
+// --- Message content ---
+
+const describeSlot = (appt) => `${appt.time} on ${appt.date}`;
+
+/**
+ * Title and body for one recipient. `event` carries extras from the outbox
+ * (who cancelled, the previous slot of a reschedule, the size of a recurring
+ * series); a waitlist offer's `appt` says how long the slot is held.
+ */
+export const buildMessage = (type, { appt, barberName, recipient, event = {} }) => {
+    const service = appt.service || 'your appointment';
+    const who = recipient === RECIPIENTS.CUSTOMER ? `with ${barberName}` : `for ${appt.customerName || 'a customer'}`;
+
+    switch (type) {
+        case NOTIFICATION_TYPES.CONFIRMED: {
+            // A recurring series is confirmed with one event, sent for its first visit
+            const repeats = event.seriesCount > 1
+                ? ` First of ${event.seriesCount} visits, every ${event.intervalWeeks} week${event.intervalWeeks === 1 ? '' : 's'}.`
+                : '';
+            return recipient === RECIPIENTS.CUSTOMER
+                ? { title: 'Booking confirmed', body: `${service} ${who} at ${describeSlot(appt)}.${repeats}` }
+                : { title: 'New booking', body: `${service} ${who} at ${describeSlot(appt)}.${repeats}` };
+        }
+        case NOTIFICATION_TYPES.REMINDER:
+            return { title: 'Upcoming appointment', body: `${service} ${who} at ${describeSlot(appt)}.` };
+        case NOTIFICATION_TYPES.CANCELLED: {
+            const by = event.cancelledBy === 'barber' ? 'by the barber' : 'by the customer';
+            return { title: 'Appointment cancelled', body: `${service} ${who} at ${describeSlot(appt)} was cancelled ${by}.` };
+        }
+        case NOTIFICATION_TYPES.RESCHEDULED:
+            return {
+                title: 'Appointment moved',
+                body: `${service} ${who} moved from ${event.previousTime} on ${event.previousDate} to ${describeSlot(appt)}.`,
+            };
+        case NOTIFICATION_TYPES.WAITLIST_OFFER:
+            return recipient === RECIPIENTS.CUSTOMER
+                ? {
+                    title: 'A slot opened up',
+                    body: `${service} ${who} at ${describeSlot(appt)} is held for you for ${appt.holdMinutes} minutes. Book it from My Appointments.`,
+                }
+                : { title: 'Waitlist offer sent', body: `${describeSlot(appt)} was offered to ${appt.customerName || 'a customer'} from the waitlist.` };
+        default:
+            throw new Error(`Unknown notification type: ${type}`);
+    }
+};
+
+// --- Delivery ---
+
+const appPath = (db) => db.collection('artifacts').doc(APP_ID);
+const profileRef = (db, uid) => appPath(db).collection('users').doc(uid).collection('profile').doc('info');
+
+/**
+ * Stores one notification in the recipient's feed, then sends it over every
+ * channel they can receive. The feed document id is derived from the source,
+ * so reprocessing after a crash doesn't duplicate it. Channel failures are
+ * logged and recorded but never stop the other channels.
+ */
+const deliver = async (db, adapters, { uid, notificationId, type, title, body, view, bookingId, contact }) => {
+    const feedRef = appPath(db).collection('users').doc(uid).collection('notifications').doc(notificationId);
+    if ((await feedRef.get()).exists) return;
+
+    const targets = [
+        contact.email && ['email', contact.email],
+        contact.phone && ['sms', contact.phone],
+    ].filter(Boolean);
+
+    const deliveries = await Promise.all(targets.map(async ([channel, to]) => {
+        try {
+            await adapters[channel].send({ to, title, body });
+            return { channel, status: 'sent' };
+        } catch (err) {
+            console.error(`Failed to send ${type} by ${channel} to ${uid}:`, err.message);
+            return { channel, status: 'failed', error: err.message };
+        }
+    }));
+
+    await feedRef.set({ type, title, body, view, bookingId: bookingId || null, read: false, deliveries, createdAt: FieldValue.serverTimestamp() });
+};
+
+// Customer and barber owner for an appointment, with how to reach each of them
+const getRecipients = async (db, barberId, appt, customerUserId) => {
+    const barberSnap = await appPath(db).collection('public').doc('data').collection('barbers').doc(barberId).get();
+    const barber = barberSnap.exists ? barberSnap.data() : {};
+
+    const recipients = [];
+    if (customerUserId) {
+        const profile = (await profileRef(db, customerUserId).get()).data() || {};
+        recipients.push({
+            uid: customerUserId,
+            role: RECIPIENTS.CUSTOMER,
+            view: 'bookings',
+            contact: { email: profile.email || appt.customerEmail, phone: profile.phone || appt.customerPhone },
+        });
+    }
+    if (barber.ownerUid) {
+        const profile = (await profileRef(db, barber.ownerUid).get()).data() || {};
+        recipients.push({
+            uid: barber.ownerUid,
+            role: RECIPIENTS.BARBER,
+            view: 'dashboard',
+            contact: { email: profile.email, phone: profile.phone },
+        });
+    }
+    return { barberName: barber.name || 'your barber', recipients };
+};
+
+const notifyAll = async (db, adapters, { type, sourceId, barberId, appt, customerUserId, bookingId, event }) => {
+    const { barberName, recipients } = await getRecipients(db, barberId, appt, customerUserId);
+    for (const recipient of recipients) {
+        const { title, body } = buildMessage(type, { appt, barberName, recipient: recipient.role, event });
+        await deliver(db, adapters, {
+            uid: recipient.uid,
+            notificationId: `${sourceId}_${recipient.role}`,
+            type, title, body, bookingId,
+            view: recipient.view,
+            contact: recipient.contact,
+        });
+    }
+    return recipients.length;
+};
+
+// --- Scheduler passes ---
+
+const scheduleRef = (db, barberId) => appPath(db).collection('public').doc('data').collection('barber_schedules').doc(barberId);
+
+/**
+ * The appointment an event is about, or for a waitlist offer the entry
+ * reshaped like one (offered time, services, waiting customer, minutes left on
+ * the hold when the event was queued). Null if it's gone. Its customerUserId
+ * and bookingId, not the event's, decide who is notified.
+ */
+const loadEventSubject = async (db, event) => {
+    if (event.waitlistEntryId) {
+        const entrySnap = await scheduleRef(db, event.barberId).collection('waitlist').doc(event.waitlistEntryId).get();
+        if (!entrySnap.exists || !entrySnap.data().offer) return null;
+        const entry = entrySnap.data();
+        return {
+            date: entry.date,
+            time: entry.offer.time,
+            service: (entry.services || []).map(s => s.name).join(' + '),
+            customerName: entry.name,
+            customerUserId: entry.customerUserId,
+            bookingId: null,
+            holdMinutes: Math.max(1, Math.round((entry.offer.expiresAt - event.createdAt.toMillis()) / 60000)),
+        };
+    }
+    if (!event.appointmentId) return null;
+    const apptSnap = await scheduleRef(db, event.barberId).collection('appointments').doc(event.appointmentId).get();
+    return apptSnap.exists ? apptSnap.data() : null;
+};
+
+/** Processes unhandled outbox events, oldest first. Resolves to the number handled. */
+export const processEvents = async (db, adapters) => {
+    const snapshot = await appPath(db).collection('notification_events')
+        .where('processedAt', '==', null)
+        .orderBy('createdAt')
+        .limit(EVENT_BATCH_SIZE)
+        .get();
+
+    for (const eventDoc of snapshot.docs) {
+        const event = eventDoc.data();
+        try {
+            const appt = await loadEventSubject(db, event);
+            if (!appt) {
+                await eventDoc.ref.update({ processedAt: FieldValue.serverTimestamp(), skipped: 'appointment not found' });
+                continue;
+            }
+            await notifyAll(db, adapters, {
+                type: event.type,
+                sourceId: eventDoc.id,
+                barberId: event.barberId,
+                appt,
+                customerUserId: appt.customerUserId,
+                bookingId: appt.bookingId || null,
+                event,
+            });
+            await eventDoc.ref.update({ processedAt: FieldValue.serverTimestamp() });
+        } catch (err) {
+            // Left unprocessed so the next pass retries it
+            console.error(`Failed to process notification event ${eventDoc.id}:`, err);
+        }
+    }
+    return snapshot.size;
+};
+
+/**
+ * Reminds both sides of every Confirmed appointment starting within the lead
+ * time. `reminderSentAt` is claimed in a transaction first, so two scheduler
+ * instances never remind twice.
+ */
+export const sendReminders = async (db, adapters, now = new Date()) => {
+    const horizon = new Date(now.getTime() + REMINDER_LEAD_MINUTES * 60 * 1000);
+    const snapshot = await db.collectionGroup('appointments')
+        .where('startAt', '>=', Timestamp.fromDate(now))
+        .where('startAt', '<=', Timestamp.fromDate(horizon))
+        .get();
+
+    let sent = 0;
+    for (const apptDoc of snapshot.docs) {
+        if (!apptDoc.ref.path.startsWith(`artifacts/${APP_ID}/`)) continue;
+
+        const claimed = await db.runTransaction(async (transaction) => {
+            const fresh = await transaction.get(apptDoc.ref);
+            const appt = fresh.data();
+            if (appt.status !== 'Confirmed' || appt.reminderSentAt) return null;
+            transaction.update(apptDoc.ref, { reminderSentAt: FieldValue.serverTimestamp() });
+            return appt;
+        });
+        if (!claimed) continue;
+
+        const barberId = apptDoc.ref.parent.parent.id;
+        await notifyAll(db, adapters, {
+            type: NOTIFICATION_TYPES.REMINDER,
+            sourceId: `reminder_${apptDoc.id}`,
+            barberId,
+            appt: claimed,
+            customerUserId: claimed.customerUserId,
+            bookingId: claimed.bookingId,
+        });
+        sent += 1;
+    }
+    return sent;
+};
+
+export const runOnce = async (db, adapters) => {
+    const events = await processEvents(db, adapters);
+    const reminders = await sendReminders(db, adapters);
+    console.log(`[scheduler] ${new Date().toISOString()} processed ${events} events, sent ${reminders} reminders`);
+};
+
+const main = async () => {
+    initializeApp({ projectId: process.env.GCLOUD_PROJECT || 'demo-kutkart' });
+    const db = getFirestore();
+    const adapters = createChannelAdapters();
+
+    if (process.argv.includes('--once')) {
+        await runOnce(db, adapters);
+        return;
+    }
+
+    let running = false;
+    const tick = async () => {
+        if (running) return; // A slow pass shouldn't overlap the next one
+        running = true;
+        try {
+            await runOnce(db, adapters);
+        } catch (err) {
+            console.error('[scheduler] pass failed:', err);
+        } finally {
+            running = false;
+        }
+    };
+    await tick();
+    const timer = setInterval(tick, POLL_INTERVAL_SECONDS * 1000);
+    process.on('SIGINT', () => {
+        clearInterval(timer);
+        process.exit(0);
+    });
+};
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+    main().catch(err => {
+        console.error(err);
+        process.exit(1);
+    });
+}
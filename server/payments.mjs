@@ -0,0 +1,264 @@
+/**
+ * KutKart payment confirmation.
+ *
+ * The only place a booking becomes paid and Confirmed. Once the customer's card
+ * has been charged through the payment provider, the app posts the payment here:
+ *   POST /payments/confirm  { paymentId, bookingIds, cardLast4? }   (Authorization: Bearer <Firebase ID token>)
+ * The server checks with the provider that the payment went through for the
+ * bookings' total, then confirms them in one transaction: the slot holds become
+ * permanent claims, both copies of each booking are marked paid and a
+ * booking-confirmed event goes to the notification outbox. firestore.rules
+ * don't let customers make any of those writes themselves.
+ * Errors are { error, code? }; `code` is SLOT_TAKEN or HOLD_EXPIRED from app.jsx.
+ *
+ * Run against the Firestore and Auth emulators with the app's mock provider:
+ *   npm install firebase-admin
+ *   FIRESTORE_EMULATOR_HOST=localhost:8080 FIREBASE_AUTH_EMULATOR_HOST=localhost:9099 GCLOUD_PROJECT=demo-kutkart \
+ *     ALLOWED_ORIGIN=http://localhost:5173 MOCK_PAYMENTS=1 node server/payments.mjs
+ *
+ * Options (environment):
+ *   ALLOWED_ORIGIN      required; the app's origin, sent as Access-Control-Allow-Origin
+ *   MOCK_PAYMENTS=1     accept the app's mock payments (demos only; see createMockGateway)
+ *   KUTKART_APP_ID      app id used in the artifacts/{appId} paths (default: default-kutkart-app)
+ *   PORT                port to listen on (default: 8789)
+ */
+import { createServer } from 'node:http';
+import { pathToFileURL } from 'node:url';
+import { initializeApp } from 'firebase-admin/app';
+import { getAuth } from 'firebase-admin/auth';
+import { getFirestore, FieldValue } from 'firebase-admin/firestore';
+import { findSlotConflict } from '../shared/availability.mjs';
+
+const APP_ID = process.env.KUTKART_APP_ID || 'default-kutkart-app';
+const PORT = Number(process.env.PORT || 8789);
+const ALLOWED_ORIGIN = process.env.ALLOWED_ORIGIN;
+
+// Keep in sync with the booking error codes and MAX_SERIES_OCCURRENCES in app.jsx
+const SLOT_TAKEN = 'booking/slot-taken';
+const HOLD_EXPIRED = 'booking/hold-expired';
+const MAX_BOOKINGS_PER_PAYMENT = 12;
+
+const MAX_BODY_BYTES = 4 * 1024;
+
+// --- Payment gateways ---
+// A gateway is { name, verifyPayment(paymentId, { amount, currency, reference }) -> { paid, cardLast4?, reason? } }.
+// `name` matches the app's payment provider, which each booking records as `payment.provider`.
+// A real adapter looks the payment up with the provider's API and only reports it paid
+// if it was captured for `amount` in `currency` against `reference` (the first booking id).
+
+/**
+ * The app's mock provider keeps its payments in the browser, so there is nothing
+ * to look up: any mock payment id is taken as paid. For demos only.
+ */
+export const createMockGateway = () => ({
+    name: 'mock',
+    async verifyPayment(paymentId) {
+        return paymentId.startsWith('mock_pay_') ? { paid: true } : { paid: false, reason: 'Unknown payment.' };
+    },
+});
+
+// --- Confirmation ---
+
+const httpError = (status, message, code = null) => Object.assign(new Error(message), { status, code });
+
+/**
+ * Checks a confirm request from the app and returns the fields the server uses.
+ * Throws an error with `status` 400 if anything is missing or malformed.
+ */
+export const parseConfirmRequest = (body) => {
+    const { paymentId, bookingIds, cardLast4 = null } = body || {};
+    if (typeof paymentId !== 'string' || !paymentId) throw httpError(400, 'paymentId must be a string.');
+    if (!Array.isArray(bookingIds) || bookingIds.length < 1 || bookingIds.length > MAX_BOOKINGS_PER_PAYMENT
+        || !bookingIds.every(id => typeof id === 'string' && /^[A-Za-z0-9]+$/.test(id))) {
+        throw httpError(400, `bookingIds must list 1 to ${MAX_BOOKINGS_PER_PAYMENT} booking ids.`);
+    }
+    if (cardLast4 !== null && !/^\d{4}$/.test(cardLast4)) throw httpError(400, 'cardLast4 must be 4 digits.');
+    return { paymentId, bookingIds: [...new Set(bookingIds)], cardLast4 };
+};
+
+const totalAmount = (bookings) => bookings.reduce((sum, booking) => sum + booking.payment.amount, 0);
+
+/**
+ * Confirms customer `uid`'s bookings paid for by `paymentId`. Several bookings
+ * are only accepted together as one recurring series. Confirming bookings that
+ * are already Confirmed with this payment does nothing, so the app can retry.
+ * Throws 402 if the gateway doesn't vouch for the payment, and 409 with
+ * HOLD_EXPIRED (the lapsed booking was released) or SLOT_TAKEN (its time was
+ * taken while the hold was lapsed); the app refunds in those cases.
+ */
+export const confirmPaidBookings = async (db, gateway, uid, { paymentId, bookingIds, cardLast4 }, nowMs = Date.now()) => {
+    const appData = db.collection('artifacts').doc(APP_ID);
+    const scheduleRef = (barberId) => appData.collection('public').doc('data').collection('barber_schedules').doc(barberId);
+    const bookingRefs = bookingIds.map(id => appData.collection('users').doc(uid).collection('bookings').doc(id));
+
+    const bookings = (await db.getAll(...bookingRefs)).map(snap => (snap.exists ? snap.data() : null));
+    if (bookings.some(booking => !booking?.payment || booking.payment.provider !== gateway.name)) {
+        throw httpError(400, 'Unknown booking.');
+    }
+    const [first] = bookings;
+    if (bookings.length > 1 && bookings.some(booking => !booking.seriesId || booking.seriesId !== first.seriesId)) {
+        throw httpError(400, 'Only the visits of one series can be paid for together.');
+    }
+    if (bookings.every(booking => booking.status === 'Confirmed' && booking.payment.paymentId === paymentId)) return;
+
+    const amount = totalAmount(bookings);
+    const verified = await gateway.verifyPayment(paymentId, { amount, currency: first.payment.currency, reference: bookingIds[0] });
+    if (!verified.paid) throw httpError(402, verified.reason || 'The payment has not gone through.');
+
+    await db.runTransaction(async (transaction) => {
+        const snaps = await transaction.getAll(...bookingRefs);
+        if (snaps.some(snap => !snap.exists || snap.data().status !== 'Pending Payment')) {
+            throw httpError(409, 'The hold on this booking ran out and it was released.', HOLD_EXPIRED);
+        }
+        const visits = snaps.map(snap => ({ ref: snap.ref, ...snap.data() }));
+        if (totalAmount(visits) !== amount) throw httpError(409, 'The booking changed while it was being paid for.');
+
+        const dayRefs = visits.map(visit => scheduleRef(visit.barberId).collection('days').doc(visit.dateKey));
+        const daySnaps = await transaction.getAll(...dayRefs);
+        visits.forEach((visit, i) => {
+            const claims = { ...(daySnaps[i].exists ? daySnaps[i].data().slots : {}) };
+            if (claims[visit.time]?.appointmentId === visit.appointmentId) delete claims[visit.time];
+            if (findSlotConflict(claims, visit.time, visit.duration, nowMs)) {
+                throw httpError(409, `Slot ${visit.time} on ${visit.date} was released before payment completed.`, SLOT_TAKEN);
+            }
+        });
+
+        visits.forEach((visit, i) => {
+            transaction.set(dayRefs[i], {
+                slots: {
+                    [visit.time]: {
+                        appointmentId: visit.appointmentId,
+                        customerUserId: uid,
+                        duration: visit.duration,
+                        holdExpiresAt: FieldValue.delete(),
+                        waitlistEntryId: FieldValue.delete(),
+                    },
+                },
+                changedTimes: [visit.time],
+            }, { merge: true });
+
+            const update = {
+                status: 'Confirmed',
+                holdExpiresAt: FieldValue.delete(),
+                'payment.status': 'paid',
+                'payment.paymentId': paymentId,
+                'payment.cardLast4': verified.cardLast4 || cardLast4,
+                'payment.paidAt': FieldValue.serverTimestamp(),
+                'payment.failureReason': FieldValue.delete(),
+            };
+            transaction.update(visit.ref, update);
+            transaction.update(scheduleRef(visit.barberId).collection('appointments').doc(visit.appointmentId), update);
+        });
+
+        const [firstVisit] = visits;
+        transaction.set(appData.collection('notification_events').doc(), {
+            type: 'booking-confirmed',
+            barberId: firstVisit.barberId,
+            appointmentId: firstVisit.appointmentId,
+            bookingId: bookingIds[0],
+            customerUserId: uid,
+            ...(firstVisit.seriesId && { seriesCount: visits.length, intervalWeeks: firstVisit.series.intervalWeeks }),
+            createdAt: FieldValue.serverTimestamp(),
+            processedAt: null,
+        });
+    });
+};
+
+// --- Server ---
+
+const readJsonBody = (req) => new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    const onData = (chunk) => {
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) {
+            req.off('data', onData);
+            req.pause();
+            reject(httpError(413, 'Request body is too large.'));
+            return;
+        }
+        chunks.push(chunk);
+    };
+    req.on('data', onData);
+    req.on('end', () => {
+        try {
+            resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+        } catch {
+            reject(httpError(400, 'Request body must be JSON.'));
+        }
+    });
+    req.on('error', reject);
+});
+
+// The caller's uid from their Firebase ID token; guests can pay too, so anonymous tokens count
+const authenticate = async (auth, req) => {
+    const token = /^Bearer (.+)$/.exec(req.headers.authorization || '')?.[1];
+    if (!token) throw httpError(401, 'Sign in to pay.');
+    try {
+        return (await auth.verifyIdToken(token)).uid;
+    } catch {
+        throw httpError(401, 'Sign in to pay.');
+    }
+};
+
+export const createPaymentsServer = ({ db, auth, gateway, allowedOrigin = ALLOWED_ORIGIN }) => {
+    const cors = {
+        'Access-Control-Allow-Origin': allowedOrigin,
+        'Access-Control-Allow-Methods': 'POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+        'Vary': 'Origin',
+    };
+    const sendJson = (res, status, body, headers = {}) => res.writeHead(status, { ...cors, ...headers, 'Content-Type': 'application/json' }).end(JSON.stringify(body));
+
+    return createServer(async (req, res) => {
+        const { pathname } = new URL(req.url, 'http://localhost');
+        if (pathname !== '/payments/confirm') {
+            res.writeHead(404, cors).end();
+            return;
+        }
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204, cors).end();
+            return;
+        }
+        if (req.method !== 'POST') {
+            res.writeHead(405, cors).end();
+            return;
+        }
+
+        try {
+            const uid = await authenticate(auth, req);
+            const request = parseConfirmRequest(await readJsonBody(req));
+            await confirmPaidBookings(db, gateway, uid, request);
+            sendJson(res, 200, { status: 'confirmed' });
+        } catch (err) {
+            const status = err.status || 500;
+            if (status >= 500) console.error('[payments] confirmation failed:', err);
+            if (status === 413) {
+                // The rest of the body was never read, so the connection can't be reused
+                res.on('finish', () => req.destroy());
+                sendJson(res, status, { error: err.message }, { Connection: 'close' });
+                return;
+            }
+            sendJson(res, status, status >= 500 ? { error: 'Payment confirmation failed.' } : { error: err.message, ...(err.code && { code: err.code }) });
+        }
+    });
+};
+
+const main = () => {
+    if (!ALLOWED_ORIGIN) {
+        console.error('[payments] ALLOWED_ORIGIN is not set; set it to the app\'s origin.');
+        process.exit(1);
+    }
+    if (process.env.MOCK_PAYMENTS !== '1') {
+        console.error('[payments] No payment gateway is configured. Set MOCK_PAYMENTS=1 to accept the app\'s mock payments.');
+        process.exit(1);
+    }
+    initializeApp();
+    const server = createPaymentsServer({ db: getFirestore(), auth: getAuth(), gateway: createMockGateway() });
+    server.listen(PORT, () => console.log(`[payments] listening on http://localhost:${PORT}`));
+    process.on('SIGINT', () => server.close(() => process.exit(0)));
+};
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+    main();
+}
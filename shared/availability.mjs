@@ -0,0 +1,249 @@
+/**
+ * KutKart availability engine: the slot maths behind the booking screen,
+ * the barber dashboard and the walk-in queue in app.jsx, and the slot check
+ * server/payments.mjs makes before confirming a booking. Nothing here touches
+ * React or Firestore, so every function works on plain objects and is tested
+ * with `node --test shared/`. Times are 'HH:MM' strings at the edges and
+ * minutes-since-midnight internally; days are 'YYYY-MM-DD' keys in local time.
+ */
+
+// Walk-in queue entry statuses; the queue estimates below need to know who's in the chair
+export const QUEUE_STATUS = { WAITING: 'waiting', IN_SERVICE: 'in-service', DONE: 'done', LEFT: 'left' };
+
+export const BOOKING_WINDOW_DAYS = 30; // How far ahead customers may book
+export const CHANGE_CUTOFF_HOURS = 2; // Customers can't cancel or reschedule closer to the slot than this
+
+// Appointments in these states no longer occupy the chair
+export const NON_BLOCKING_STATUSES = ['Cancelled', 'Cancelled-by-barber'];
+
+export const DEFAULT_AVAILABILITY = {
+    slotInterval: 30, // Minutes between bookable start times
+    // Indexed by Date#getDay(): 0 = Sunday ... 6 = Saturday
+    weeklyHours: [
+        { open: false, start: '09:00', end: '17:00' },
+        { open: true, start: '09:00', end: '17:00' },
+        { open: true, start: '09:00', end: '17:00' },
+        { open: true, start: '09:00', end: '17:00' },
+        { open: true, start: '09:00', end: '17:00' },
+        { open: true, start: '09:00', end: '17:00' },
+        { open: true, start: '09:00', end: '17:00' },
+    ],
+    breaks: [{ start: '13:00', end: '13:30' }], // Applied every working day
+    holidays: [], // Date keys the barber is away
+};
+
+export const pad2 = (n) => n.toString().padStart(2, '0');
+
+export const timeToMinutes = (time) => {
+    const [h, m] = time.split(':').map(Number);
+    return h * 60 + m;
+};
+
+export const minutesToTime = (minutes) => `${pad2(Math.floor(minutes / 60))}:${pad2(minutes % 60)}`;
+
+export const toDateKey = (date) => `${date.getFullYear()}-${pad2(date.getMonth() + 1)}-${pad2(date.getDate())}`;
+
+// Fills in anything a barber document doesn't specify with the defaults
+export const resolveAvailability = (availability) => ({ ...DEFAULT_AVAILABILITY, ...(availability || {}) });
+
+const intervalsOverlap = (a, b) => a.start < b.end && b.start < a.end;
+
+// Removes `cut` from every interval in `windows`, splitting where needed
+export const subtractInterval = (windows, cut) => windows.flatMap(w => {
+    if (!intervalsOverlap(w, cut)) return [w];
+    const parts = [];
+    if (cut.start > w.start) parts.push({ start: w.start, end: cut.start });
+    if (cut.end < w.end) parts.push({ start: cut.end, end: w.end });
+    return parts;
+});
+
+const isAppointmentOnDate = (appt, date) => (
+    appt.dateKey ? appt.dateKey === toDateKey(date) : appt.date === date.toDateString()
+);
+
+// Unpaid bookings only hold their slot until the checkout hold runs out
+export const isBlockingAppointment = (appt, nowMs = Date.now()) => (
+    !NON_BLOCKING_STATUSES.includes(appt.status) &&
+    !(appt.status === 'Pending Payment' && appt.holdExpiresAt && appt.holdExpiresAt <= nowMs)
+);
+
+/**
+ * Returns the open intervals (in minutes) for a barber on a given day,
+ * i.e. working hours minus breaks. Closed days and holidays yield [].
+ */
+export const getWorkingWindows = (availability, date) => {
+    const { weeklyHours, breaks, holidays } = resolveAvailability(availability);
+    if (holidays.includes(toDateKey(date))) return [];
+
+    const day = weeklyHours[date.getDay()];
+    if (!day || !day.open) return [];
+
+    return breaks.reduce(
+        (windows, b) => subtractInterval(windows, { start: timeToMinutes(b.start), end: timeToMinutes(b.end) }),
+        [{ start: timeToMinutes(day.start), end: timeToMinutes(day.end) }]
+    );
+};
+
+/**
+ * Converts a day's appointments into busy intervals. Older appointments were
+ * saved without a duration, so they fall back to a single slot.
+ */
+const getBusyIntervals = (appointments, date, fallbackDuration) => appointments
+    .filter(appt => isBlockingAppointment(appt) && isAppointmentOnDate(appt, date))
+    .map(appt => {
+        const start = timeToMinutes(appt.time);
+        return { start, end: start + (appt.duration || fallbackDuration) };
+    });
+
+/**
+ * Computes the bookable start times for one barber on one day.
+ * A slot is offered only if the whole service (`duration` minutes) fits inside
+ * a working window and doesn't overlap any existing appointment. Past days,
+ * past times today and days beyond the booking window are never offered.
+ */
+export const getAvailableSlots = ({ availability, date, duration, appointments = [], now = new Date(), windowDays = BOOKING_WINDOW_DAYS }) => {
+    const { slotInterval } = resolveAvailability(availability);
+    const dateKey = toDateKey(date);
+    const todayKey = toDateKey(now);
+
+    const lastBookable = new Date(now);
+    lastBookable.setDate(lastBookable.getDate() + windowDays);
+    if (dateKey < todayKey || dateKey > toDateKey(lastBookable)) return [];
+
+    const busy = getBusyIntervals(appointments, date, slotInterval);
+    const earliestStart = dateKey === todayKey ? now.getHours() * 60 + now.getMinutes() : -1;
+
+    const slots = [];
+    getWorkingWindows(availability, date).forEach(window => {
+        for (let start = window.start; start + duration <= window.end; start += slotInterval) {
+            if (start <= earliestStart) continue;
+            const candidate = { start, end: start + duration };
+            if (busy.some(b => intervalsOverlap(candidate, b))) continue;
+            slots.push({ time: minutesToTime(start), isAvailable: true });
+        }
+    });
+    return slots;
+};
+
+// Start of an appointment as a Date. Older records only carry the toDateString() text.
+export const getAppointmentStart = (appt) => {
+    const start = appt.dateKey ? new Date(`${appt.dateKey}T00:00`) : new Date(appt.date);
+    start.setMinutes(timeToMinutes(appt.time));
+    return start;
+};
+
+// Whether a customer may still cancel or move this booking
+export const isWithinChangeWindow = (booking, now = new Date()) => (
+    booking.status === 'Confirmed' &&
+    getAppointmentStart(booking).getTime() - now.getTime() > CHANGE_CUTOFF_HOURS * 60 * 60 * 1000
+);
+
+export const SLOT_INTERVAL_OPTIONS = [10, 15, 20, 30, 45, 60];
+
+/**
+ * Sanity-checks an availability document before it is saved.
+ * Returns a list of human-readable problems; empty means valid.
+ */
+export const validateAvailability = (availability) => {
+    const problems = [];
+    const dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+    if (!SLOT_INTERVAL_OPTIONS.includes(availability.slotInterval)) {
+        problems.push('Pick a slot length from the list.');
+    }
+    availability.weeklyHours.forEach((day, i) => {
+        if (day.open && timeToMinutes(day.start) >= timeToMinutes(day.end)) {
+            problems.push(`${dayNames[i]}: closing time must be after opening time.`);
+        }
+    });
+    availability.breaks.forEach((b, i) => {
+        if (timeToMinutes(b.start) >= timeToMinutes(b.end)) {
+            problems.push(`Break ${i + 1}: end time must be after start time.`);
+        }
+    });
+    return problems;
+};
+
+// A claim made at checkout carries `holdExpiresAt` (epoch ms) until payment succeeds
+const isClaimActive = (claim, nowMs = Date.now()) => !claim.holdExpiresAt || claim.holdExpiresAt > nowMs;
+
+/**
+ * Checks a proposed booking against the slots already claimed on a day
+ * (the `slots` map on a barber's day document, keyed by start time).
+ * Expired checkout holds are ignored. Returns the start time it clashes
+ * with, or null if it fits.
+ */
+export const findSlotConflict = (claimedSlots, time, duration, nowMs = Date.now()) => {
+    const requested = { start: timeToMinutes(time), end: timeToMinutes(time) + duration };
+    const clash = Object.entries(claimedSlots || {}).find(([claimedTime, claim]) => {
+        const start = timeToMinutes(claimedTime);
+        return isClaimActive(claim, nowMs) && intervalsOverlap(requested, { start, end: start + claim.duration });
+    });
+    return clash ? clash[0] : null;
+};
+
+// Turns a day document's `slots` map into appointment-shaped records for getAvailableSlots
+export const claimsToAppointments = (claimedSlots, dateKey, nowMs = Date.now()) => Object.entries(claimedSlots || {})
+    .filter(([, claim]) => isClaimActive(claim, nowMs))
+    .map(([time, claim]) => ({
+        id: claim.appointmentId,
+        waitlistEntryId: claim.waitlistEntryId || null,
+        dateKey,
+        time,
+        duration: claim.duration,
+        status: 'Confirmed',
+    }));
+
+// Earliest start at or after `from` where `duration` minutes fit in a working window without hitting anything in `busy`
+const findEarliestFit = (windows, busy, from, duration) => {
+    for (const window of windows) {
+        const free = busy.reduce((parts, b) => subtractInterval(parts, b), [window]);
+        for (const part of free) {
+            const start = Math.max(part.start, from);
+            if (start + duration <= part.end) return start;
+        }
+    }
+    return null;
+};
+
+const minutesOfDay = (ms) => {
+    const date = new Date(ms);
+    return date.getHours() * 60 + date.getMinutes();
+};
+
+/**
+ * Estimated start (minutes after midnight) for each entry in today's walk-in
+ * queue. Whoever is in the chair finishes first; everyone waiting is then
+ * fitted, in order, into the gaps between booked appointments inside working
+ * hours. `estimatedStart` is null when someone can't be fitted in today.
+ */
+export const estimateQueueStarts = ({ availability, entries, appointments, now = new Date() }) => {
+    const nowMinutes = now.getHours() * 60 + now.getMinutes();
+    const windows = getWorkingWindows(availability, now);
+    const busy = getBusyIntervals(appointments, now, 30);
+    let cursor = nowMinutes;
+
+    return entries.map(entry => {
+        if (entry.status === QUEUE_STATUS.IN_SERVICE) {
+            const start = minutesOfDay(entry.startedAt);
+            const end = Math.max(start + entry.duration, nowMinutes);
+            cursor = Math.max(cursor, end);
+            return { ...entry, estimatedStart: start, estimatedEnd: end };
+        }
+        const start = findEarliestFit(windows, busy, cursor, entry.duration);
+        if (start === null) return { ...entry, estimatedStart: null, estimatedEnd: null };
+        busy.push({ start, end: start + entry.duration });
+        cursor = start + entry.duration;
+        return { ...entry, estimatedStart: start, estimatedEnd: start + entry.duration };
+    });
+};
+
+// Minutes a new walk-in needing `duration` would wait right now, or null if they can't be seen today
+export const getWalkInWait = ({ availability, entries, appointments, duration, now = new Date() }) => {
+    const estimates = estimateQueueStarts({
+        availability, appointments, now,
+        entries: [...entries, { id: 'new', status: QUEUE_STATUS.WAITING, duration }],
+    });
+    const start = estimates[estimates.length - 1].estimatedStart;
+    return start === null ? null : start - (now.getHours() * 60 + now.getMinutes());
+};
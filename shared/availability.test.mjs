@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getAvailableSlots, BOOKING_WINDOW_DAYS } from './availability.mjs';
+
+// 2030-01-07 is a Monday, open 09:00-17:00 with a 13:00-13:30 break by default
+const MONDAY = new Date('2030-01-07T00:00');
+const EARLIER = new Date('2030-01-01T08:00');
+
+const times = (options) => getAvailableSlots({ date: MONDAY, duration: 30, now: EARLIER, ...options }).map(slot => slot.time);
+
+test('offers every slot in working hours except the break', () => {
+    const slots = times({});
+    assert.equal(slots[0], '09:00');
+    assert.equal(slots[slots.length - 1], '16:30');
+    assert.ok(slots.includes('12:30'));
+    assert.ok(!slots.includes('13:00'));
+    assert.ok(slots.includes('13:30'));
+});
+
+test('a service has to finish before the break starts', () => {
+    const slots = times({ duration: 60 });
+    assert.ok(slots.includes('12:00'));
+    assert.ok(!slots.includes('12:30'));
+    assert.ok(!slots.includes('13:00'));
+});
+
+test('offers nothing on a holiday or a closed day', () => {
+    assert.deepEqual(times({ availability: { holidays: ['2030-01-07'] } }), []);
+    assert.deepEqual(getAvailableSlots({ date: new Date('2030-01-06T00:00'), duration: 30, now: EARLIER }), []);
+});
+
+test('a 60-minute service must end before the next booking', () => {
+    const appointments = [{ dateKey: '2030-01-07', time: '11:00', duration: 30, status: 'Confirmed' }];
+    const slots = times({ duration: 60, appointments });
+    assert.ok(slots.includes('09:30'));
+    assert.ok(!slots.includes('10:30'));
+    assert.ok(!slots.includes('11:00'));
+    assert.ok(slots.includes('11:30'));
+});
+
+test('cancelled bookings and lapsed payment holds free their slot', () => {
+    const appointments = [
+        { dateKey: '2030-01-07', time: '10:00', duration: 30, status: 'Cancelled' },
+        { dateKey: '2030-01-07', time: '11:00', duration: 30, status: 'Pending Payment', holdExpiresAt: 1 },
+    ];
+    const slots = times({ appointments });
+    assert.ok(slots.includes('10:00'));
+    assert.ok(slots.includes('11:00'));
+});
+
+test('skips times that have already passed today', () => {
+    const slots = times({ now: new Date('2030-01-07T10:10') });
+    assert.equal(slots[0], '10:30');
+});
+
+test('offers nothing in the past or beyond the booking window', () => {
+    assert.deepEqual(times({ now: new Date('2030-01-08T08:00') }), []);
+
+    const lastDay = new Date(MONDAY);
+    lastDay.setDate(lastDay.getDate() - BOOKING_WINDOW_DAYS);
+    assert.ok(times({ now: lastDay }).length > 0);
+    const tooEarly = new Date(lastDay);
+    tooEarly.setDate(tooEarly.getDate() - 1);
+    assert.deepEqual(times({ now: tooEarly }), []);
+});
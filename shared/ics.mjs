@@ -0,0 +1,75 @@
+/**
+ * KutKart iCalendar (RFC 5545) helpers, shared by the app's .ics downloads
+ * (app.jsx) and the barber feed (server/ics-feed.mjs) so both write the same
+ * UIDs and SEQUENCE numbers. Each event's UID is derived from the booking id
+ * and its SEQUENCE from the reschedule count, so importing a fresh copy
+ * updates the existing event instead of adding a second one.
+ */
+
+const ICS_PRODID = '-//KutKart//Bookings//EN';
+const ICS_LINE_OCTETS = 75;
+
+export const icsEscape = (text) => String(text ?? '').replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+
+export const toIcsUtc = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// UTF-8 length of one code point
+const utf8Octets = (char) => {
+    const codePoint = char.codePointAt(0);
+    return codePoint < 0x80 ? 1 : codePoint < 0x800 ? 2 : codePoint < 0x10000 ? 3 : 4;
+};
+
+/**
+ * Folds a content line so no line is longer than 75 octets of UTF-8. Each
+ * continuation line starts with a space, which counts toward its 75, and
+ * breaks only fall between code points, never inside a multi-byte character.
+ */
+export const foldIcsLine = (line) => {
+    const lines = [];
+    let current = '';
+    let octets = 0;
+    for (const char of line) {
+        const size = utf8Octets(char);
+        if (octets + size > ICS_LINE_OCTETS) {
+            lines.push(current);
+            current = ' ';
+            octets = 1;
+        }
+        current += char;
+        octets += size;
+    }
+    lines.push(current);
+    return lines.join('\r\n');
+};
+
+export const getIcsUid = (record) => `${record.bookingId || record.id}@kutkart`;
+
+/**
+ * One VEVENT for a booking (customer side) or appointment (barber side).
+ * Cancelled records are kept with STATUS:CANCELLED so calendars drop the event.
+ * `location` and `description` are optional.
+ */
+export const buildIcsEvent = (record, { start, end, cancelled, summary, location, description, now = new Date() }) => [
+    'BEGIN:VEVENT',
+    `UID:${getIcsUid(record)}`,
+    `SEQUENCE:${(record.rescheduleCount || 0) + (cancelled ? 1 : 0)}`,
+    `DTSTAMP:${toIcsUtc(now)}`,
+    `DTSTART:${toIcsUtc(start)}`,
+    `DTEND:${toIcsUtc(end)}`,
+    `SUMMARY:${icsEscape(summary)}`,
+    location && `LOCATION:${icsEscape(location)}`,
+    description && `DESCRIPTION:${icsEscape(description)}`,
+    `STATUS:${cancelled ? 'CANCELLED' : 'CONFIRMED'}`,
+    'END:VEVENT',
+].filter(Boolean).map(foldIcsLine).join('\r\n');
+
+export const buildIcsCalendar = (events, name) => [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${ICS_PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    foldIcsLine(`X-WR-CALNAME:${icsEscape(name)}`),
+    ...events,
+    'END:VCALENDAR',
+].join('\r\n') + '\r\n';